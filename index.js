@@ -1,5 +1,8 @@
 import Sudoku, {
   RANK,
+  RANKS,
+  VARIANTS,
+  PAIR_VARIANTS,
   DIGITS,
   SPACES,
   ALL,
@@ -8,6 +11,7 @@ import Sudoku, {
   cellMask,
   digitMask,
   cellsFromMask,
+  patternToMask,
   indicesFor,
   masksFor,
   cellRow,
@@ -15,7 +19,11 @@ import Sudoku, {
   cellRegion,
   cellRegion2D,
   SearchState,
-  forEachCandidate
+  SOLVERS,
+  forEachCandidate,
+  SYMMETRIES,
+  symmetryAllows,
+  isSymmetric
 } from './src/sudoku/Sudoku.js';
 
 import SudokuSieve, {
@@ -26,10 +34,57 @@ import SudokuSieve, {
   getAreaComboMasks,
 } from './src/sudoku/SudokuSieve.js';
 
+import LogicalSolver, {
+  SolverState,
+  TECHNIQUES,
+  TECHNIQUE_NAMES,
+  UNSOLVED_RATING,
+  DIFFICULTY_BANDS,
+  rateStep,
+  difficultyBand,
+  bandOf,
+  explainStep,
+  cellName,
+  houseName,
+} from './src/sudoku/LogicalSolver.js';
+
+import DancingLinks from './src/sudoku/DancingLinks.js';
+import { countSolutions } from './src/sudoku/bitboard.js';
+import { minlex } from './src/sudoku/minlex.js';
+import Transform from './src/sudoku/Transform.js';
+import {
+  parseSdk, toSdk,
+  parseSdm, toSdm,
+  parseSs, toSs,
+  parsePencilmarks, toPencilmarks,
+} from './src/sudoku/formats.js';
+import ConstrainedSudoku, {
+  Constraint,
+  Thermometer,
+  Arrow,
+  KropkiDot,
+  CONSTRAINT_TYPES,
+} from './src/sudoku/ConstrainedSudoku.js';
+import KillerSudoku from './src/sudoku/KillerSudoku.js';
+import SamuraiSudoku from './src/sudoku/SamuraiSudoku.js';
+
+import {
+  TASKS,
+  runJob,
+  generateInParallel,
+  createNodeWorker,
+  createWebWorker,
+} from './src/sudoku/parallel.js';
+
+import { createRng } from './src/util/random.js';
+
 import sudoku17 from './src/sudoku/sudoku-17.json' with { type: 'json' };
 
 export {
   RANK,
+  RANKS,
+  VARIANTS,
+  PAIR_VARIANTS,
   DIGITS,
   SPACES,
   ALL,
@@ -37,14 +92,39 @@ export {
   indicesFor,
   masksFor,
   encode, decode, isDigit,
-  digitMask, cellMask, cellsFromMask,
+  digitMask, cellMask, cellsFromMask, patternToMask,
   cellRow, cellCol, cellRegion, cellRegion2D,
   Sudoku,
   SearchState,
+  SOLVERS,
+  DancingLinks,
+  countSolutions,
+  minlex,
+  Transform,
+  parseSdk, toSdk,
+  parseSdm, toSdm,
+  parseSs, toSs,
+  parsePencilmarks, toPencilmarks,
+  ConstrainedSudoku,
+  Constraint, Thermometer, Arrow, KropkiDot,
+  CONSTRAINT_TYPES,
+  KillerSudoku,
+  SamuraiSudoku,
   SudokuSieve,
   searchForItemsFromMask,
   seedSieveDc, seedSieveFp,
   getDigitComboMasks, getAreaComboMasks,
   forEachCandidate,
+  SYMMETRIES, symmetryAllows, isSymmetric,
+  LogicalSolver,
+  SolverState,
+  TECHNIQUES, TECHNIQUE_NAMES,
+  UNSOLVED_RATING, DIFFICULTY_BANDS,
+  rateStep, difficultyBand, bandOf,
+  explainStep,
+  cellName, houseName,
+  TASKS, runJob, generateInParallel,
+  createNodeWorker, createWebWorker,
+  createRng,
   sudoku17
 };
@@ -1,5 +1,6 @@
 import arg from 'arg';
 import Sudoku, { SearchState } from '../../src/sudoku/Sudoku.js';
+import { createRng } from '../../src/util/random.js';
 
 const args = arg({
   '--amount': Number,
@@ -11,14 +12,18 @@ const args = arg({
   '--verbose': Boolean,
   '-v': '--verbose',
   '--v': '--verbose',
+
+  '--seed': String,
 });
 
 const amount = Math.trunc(Number(args['--amount']) || 1);
 const normalize = Boolean(args['--normalize']);
 const verbose = Boolean(args['--verbose']);
+// Same seed, same output
+const rng = (args['--seed'] !== undefined) ? createRng(args['--seed']) : Math.random;
 
 const startTime = Date.now();
-const searchState = new SearchState();
+const searchState = new SearchState(null, rng);
 const config = new Sudoku();
 for (let n = 0; n < amount; n++) {
   config.genConfig(searchState);
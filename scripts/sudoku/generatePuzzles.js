@@ -1,6 +1,9 @@
 import arg from 'arg';
-import Sudoku, { MIN_CLUES } from '../../src/sudoku/Sudoku.js';
+import Sudoku, { MIN_CLUES, SYMMETRIES, patternToMask, symmetryAllows } from '../../src/sudoku/Sudoku.js';
 import { seedSieveDc } from '../../src/sudoku/SudokuSieve.js';
+import { bandOf, difficultyBand } from '../../src/sudoku/LogicalSolver.js';
+import { createRng } from '../../src/util/random.js';
+import { generateInParallel } from '../../src/sudoku/parallel.js';
 
 const args = arg({
   '--solution': String,
@@ -9,9 +12,14 @@ const args = arg({
   '--normalize': Boolean,
   '--timeLimit': Number,
   '--sieveLevel': Number,
-  '--difficulty': Number,
+  '--difficulty': String,
   '--json': Boolean,
   '--fingerprint': Number,
+  '--symmetry': String,
+  '--pattern': String,
+  '--minimal': Boolean,
+  '--seed': String,
+  '--workers': Number,
 
   '-s': '--solution',
   '--grid': '--solution',
@@ -23,7 +31,12 @@ const args = arg({
   '-d': '--difficulty',
   '--diff': '--difficulty',
   '-j': '--json',
-  '-f': '--fingerprint'
+  '-f': '--fingerprint',
+  '-y': '--symmetry',
+  '--sym': '--symmetry',
+  '-p': '--pattern',
+  '-m': '--minimal',
+  '-w': '--workers'
 });
 
 const DEFAULT_AMOUNT = 1;
@@ -51,7 +64,42 @@ const sieveLevel = Math.trunc(Number(args['--sieveLevel']) || DEFAULT_SIEVE_LEVE
 if (sieveLevel < 0 || sieveLevel === 1 || sieveLevel > 4) {
   throw new Error(`Invalid sieveLevel ${sieveLevel}; expected 2 - 4.`);
 }
-const targetDifficulty = Math.trunc(Number(args['--difficulty']) || 1);
+// A level (0 - 10, where 0 accepts any difficulty), or a band name (easy, medium, tough, hard, extreme)
+const rawDifficulty = args['--difficulty'] || '0';
+const targetDifficulty = isNaN(Number(rawDifficulty)) ? rawDifficulty : Math.trunc(Number(rawDifficulty));
+// Throws if invalid
+difficultyBand(targetDifficulty);
+const symmetry = args['--symmetry'] || 'none';
+if (!(symmetry in SYMMETRIES)) {
+  throw new Error(`Invalid symmetry ${symmetry}; expected one of ${Object.keys(SYMMETRIES).join(', ')}`);
+}
+if (!symmetryAllows(symmetry, numClues)) {
+  throw new Error(`Invalid number of clues ${numClues} for ${symmetry} symmetry`);
+}
+// Picture of the clue cells, e.g. 'x..x..x..' ... (81 cells). Only --seed, --timeLimit and
+// the output options apply to it.
+const pattern = args['--pattern'] ? patternToMask(args['--pattern']) : null;
+if (pattern && providedSolution) {
+  throw new Error('Cannot use both --pattern and --solution');
+}
+if (pattern) {
+  const unused = ['--clues', '--difficulty', '--symmetry', '--minimal', '--sieveLevel', '--normalize']
+    .filter((flag) => args[flag] !== undefined);
+  if (unused.length > 0) {
+    throw new Error(`Cannot use --pattern with ${unused.join(', ')}`);
+  }
+}
+// Keep removing clues until none can go; the clue count becomes an upper limit
+const minimal = Boolean(args['--minimal']);
+// Same seed, same puzzles (unless the time limit is hit)
+const seed = args['--seed'];
+const rng = (seed !== undefined) ? createRng(seed) : Math.random;
+// Generate across this many worker threads. Seeded runs then give different puzzles
+// than with one thread, but the same ones for any number of workers.
+const workers = Math.trunc(Number(args['--workers']) || 1);
+if (workers < 1) {
+  throw new Error(`Invalid number of workers ${workers}; expected 1 - any`);
+}
 const json = Boolean(args['--json']);
 const fpLevel = Math.trunc(Number(args['--fingerprint']) || 0);
 
@@ -61,50 +109,103 @@ let fp3 = undefined;
 let fp4 = undefined;
 if (providedSolution) {
   if (normalize) providedSolution.normalize();
-  if (sieveLevel >= 2) seedSieveDc({ grid: providedSolution, sieve, level: sieveLevel });
+  if (sieveLevel >= 2) seedSieveDc({ grid: providedSolution, sieve, level: sieveLevel, rng });
   if (fpLevel >= 2) fp2 = providedSolution.dc2();
   if (fpLevel >= 3) fp3 = providedSolution.dc3();
   if (fpLevel >= 4) fp4 = providedSolution.dc4();
 }
 
+/**
+ * Reports a puzzle generated from a pattern the same way as `generateRatedPuzzle`.
+ * @param {Sudoku | null} puzzle
+ */
+function ratePatternPuzzle(puzzle) {
+  return { puzzle, rating: puzzle ? puzzle.difficulty() : -1, attempts: 1 };
+}
+
 let count = 0;
-if (json && amount > 1) console.log('[');
-while (count < amount) {
-  const grid = providedSolution || Sudoku.generateConfig();
-  if (normalize) grid.normalize();
-  if (!providedSolution && sieveLevel >= 2) {
-    sieve = seedSieveDc({ grid, sieve: [], level: sieveLevel });
+
+/**
+ * Prints a generated puzzle, or exits if the time limit was hit.
+ * @param {object} result
+ * @param {Sudoku | null} result.puzzle
+ * @param {Sudoku} result.solution
+ * @param {number} result.rating
+ * @param {number} result.attempts
+ */
+function output({ puzzle, solution, rating, attempts }) {
+  if (!puzzle) {
+    console.warn(`🚨 Time limit exceeded after ${attempts} attempts.`);
+    process.exit(1);
   }
-  const puzzle = Sudoku.generatePuzzle2({
-    grid,
-    numClues,
+
+  if (json) {
+    if (fpLevel >= 2 && !providedSolution) fp2 = solution.dc2();
+    if (fpLevel >= 3 && !providedSolution) fp3 = solution.dc3();
+    if (fpLevel >= 4 && !providedSolution) fp4 = solution.dc4();
+
+    console.log(JSON.stringify({
+      puzzle: puzzle.toString(),
+      solution: solution.toString(),
+      numClues: 81 - puzzle.numEmptyCells,
+      difficulty: rating,
+      band: bandOf(rating),
+      attempts,
+      seed,
+      fingerprint2: fp2,
+      fingerprint3: fp3,
+      fingerprint4: fp4
+    }, null, '  ') + ((amount > 1 && count < (amount - 1)) ? ',' : ''));
+  } else {
+    console.log(puzzle.toString());
+  }
+
+  count++;
+}
+
+if (json && amount > 1) console.log('[');
+if (workers > 1) {
+  const options = pattern ? { pattern, timeoutMs } : {
+    grid: providedSolution ? providedSolution.toString() : undefined,
     sieve,
+    sieveLevel,
+    normalize,
+    numClues,
     difficulty: targetDifficulty,
-    timeoutMs
+    timeoutMs,
+    symmetry,
+    minimal
+  };
+  const results = generateInParallel({
+    task: pattern ? 'pattern' : 'puzzle',
+    amount,
+    workers,
+    options,
+    seed
   });
-  if (puzzle) {
-    if (json) {
-      if (fpLevel >= 2 && !providedSolution) fp2 = grid.dc2();
-      if (fpLevel >= 3 && !providedSolution) fp3 = grid.dc3();
-      if (fpLevel >= 4 && !providedSolution) fp4 = grid.dc4();
-
-      console.log(JSON.stringify({
-        puzzle: puzzle.toString(),
-        solution: grid.toString(),
-        numClues: 81 - puzzle.numEmptyCells,
-        // difficulty: puzzle.difficulty(),
-        fingerprint2: fp2,
-        fingerprint3: fp3,
-        fingerprint4: fp4
-      }, null, '  ') + ((amount > 1 && count < (amount - 1)) ? ',' : ''));
-    } else {
-      console.log(puzzle.toString());
+  for await (const { puzzle, grid, rating, attempts } of results) {
+    output({ puzzle, solution: grid, rating, attempts });
+  }
+} else {
+  while (count < amount) {
+    const grid = providedSolution || Sudoku.generateConfig(rng);
+    if (normalize) grid.normalize();
+    if (!providedSolution && sieveLevel >= 2) {
+      sieve = seedSieveDc({ grid, sieve: [], level: sieveLevel, rng });
     }
-
-    count++;
-  } else {
-    console.warn('🚨 Time limit exceeded.');
-    process.exit(1);
+    const { puzzle, rating, attempts } = pattern ?
+      ratePatternPuzzle(Sudoku.generateFromPattern({ pattern, timeoutMs, rng })) :
+      Sudoku.generateRatedPuzzle({
+        grid,
+        numClues,
+        sieve,
+        difficulty: targetDifficulty,
+        timeoutMs,
+        symmetry,
+        minimal,
+        rng
+      });
+    output({ puzzle, solution: (pattern && puzzle) ? puzzle.solution() : grid, rating, attempts });
   }
 }
 if (json && amount > 1) console.log(']');
@@ -1,11 +1,13 @@
 import arg from 'arg';
 import Sudoku from '../../src/sudoku/Sudoku.js';
 import { seedSieveDc } from '../../src/sudoku/SudokuSieve.js';
+import { createRng } from '../../src/util/random.js';
 
 const args = arg({
   '--grid': String,
   '--level': Number,
   '--numbers': Boolean,
+  '--seed': String,
 
   '--puzzle': '--grid',
   '--solution': '--grid',
@@ -34,8 +36,10 @@ if (level < 2 || level > 4) {
   process.exit();
 }
 const asNumbers = Boolean(args['--numbers']);
+// Same seed, same order of items found (the sorted sieve is the same either way)
+const rng = (args['--seed'] !== undefined) ? createRng(args['--seed']) : Math.random;
 
-const sieve = seedSieveDc({ grid, sieve: [], level });
+const sieve = seedSieveDc({ grid, sieve: [], level, rng });
 
 if (asNumbers) {
   console.log(JSON.stringify(sieve.map(item => item.toString())));
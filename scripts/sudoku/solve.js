@@ -1,5 +1,6 @@
 import arg from 'arg';
-import Sudoku, { SearchState } from '../../src/sudoku/Sudoku.js';
+import Sudoku, { SOLVERS, SearchState } from '../../src/sudoku/Sudoku.js';
+import { createRng } from '../../src/util/random.js';
 
 const args = arg({
   '--puzzle': String,
@@ -11,6 +12,10 @@ const args = arg({
   '--verbose': Boolean,
   '-v': '--verbose',
   '--v': '--verbose',
+
+  '--seed': String,
+
+  '--solver': String,
 });
 
 const rawPuzzle = args['--puzzle'] || args['_'][0];
@@ -21,16 +26,40 @@ if (!puzzle) {
 }
 const firstOnly = Boolean(args['--first']);
 const verbose = Boolean(args['--verbose']);
+// Same seed, same order of solutions
+const rng = (args['--seed'] !== undefined) ? createRng(args['--seed']) : Math.random;
+// 'dfs' (randomized depth-first search), 'dlx' (Dancing Links), or 'bitboard' (only counts)
+const solver = args['--solver'] || 'dfs';
+if (!SOLVERS.includes(solver)) {
+  throw new Error(`Invalid solver ${solver}; expected one of ${SOLVERS.join(', ')}`);
+}
 
 if (verbose) {
   console.log(`Solving ${puzzle.toString()}`);
 }
 
-if (firstOnly) {
-  console.log(puzzle.solution().toString());
+if (solver === 'bitboard') {
+  const start = Date.now();
+  const numSolutions = puzzle.solutionCount({ solver });
+  const end = Date.now();
+  console.log(verbose ? `Found ${numSolutions} solutions in ${end - start} ms.` : numSolutions);
+} else if (firstOnly && solver === 'dfs') {
+  console.log(puzzle.solution(rng).toString());
+} else if (solver === 'dlx') {
+  const start = Date.now();
+  let numSolutions = 0;
+  puzzle.forEachSolution((solution) => {
+    console.log(solution.toString());
+    numSolutions++;
+    return !firstOnly;
+  }, { solver });
+  const end = Date.now();
+  if (verbose) {
+    console.log(`Found ${numSolutions} solutions in ${end - start} ms.`);
+  }
 } else {
   const start = Date.now();
-  const search = new SearchState(puzzle);
+  const search = new SearchState(puzzle, rng);
   while (search.advanceToSolution()) {
     console.log(search.solution.toString());
   }
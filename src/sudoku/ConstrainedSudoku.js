@@ -0,0 +1,453 @@
+import Sudoku, { encode, decode } from './Sudoku.js';
+import { range, shuffle } from '../util/arrays.js';
+
+/** @typedef {import('../util/random.js').Rng} Rng */
+
+/**
+ * Returns the candidate mask of the digits from `lo` to `hi`.
+ * @param {number} lo
+ * @param {number} hi
+ */
+const between = (lo, hi) => ((lo > hi) ? 0 : ((encode(hi) << 1) - 1) & ~(encode(lo) - 1));
+
+/**
+ * Returns the smallest digit in a candidate mask.
+ * @param {number} mask
+ */
+const lowest = (mask) => 32 - Math.clz32(mask & -mask);
+
+/**
+ * Returns the largest digit in a candidate mask.
+ * @param {number} mask
+ */
+const highest = (mask) => 32 - Math.clz32(mask);
+
+/**
+ * A rule that a puzzle adds on top of the usual ones, over some of its cells. Subclasses
+ * remove the candidates that can't satisfy the rule in `reduce`, and check full boards in
+ * `isSatisfiedBy`. `ConstrainedSudoku` solves puzzles with any mix of them.
+ *
+ * To be saved and restored with `ConstrainedSudoku`, a subclass's constructor should take
+ * the object its `toJSON` returns, and be listed under its `type` (see `CONSTRAINT_TYPES`).
+ */
+export class Constraint {
+  /**
+   * @param {string} type The name the constraint is saved under.
+   * @param {number[]} cells Indices of the cells the rule covers.
+   * @throws {Error} If the cells aren't distinct cell indices.
+   */
+  constructor(type, cells) {
+    if (
+      !Array.isArray(cells) ||
+      cells.length === 0 ||
+      new Set(cells).size !== cells.length ||
+      !cells.every((ci) => Number.isInteger(ci) && ci >= 0)
+    ) {
+      throw new Error(`Invalid ${type}: expected distinct cell indices, got ${JSON.stringify(cells)}`);
+    }
+
+    /** @type {string} */
+    this.type = type;
+
+    /** @type {readonly number[]} */
+    this.cells = Object.freeze([...cells]);
+  }
+
+  /**
+   * Removes candidates that can't satisfy the rule, placing any digit left as the only
+   * candidate for its cell (see `restrict`).
+   * @param {Sudoku} sudoku
+   * @returns {boolean | null} Whether any candidates were removed, or `null` if the rule
+   * can't be satisfied.
+   */
+  reduce(sudoku) {
+    return false;
+  }
+
+  /**
+   * Whether the digits of a full board satisfy the rule.
+   * @param {Sudoku} grid
+   * @returns {boolean}
+   */
+  isSatisfiedBy(grid) {
+    return true;
+  }
+
+  /**
+   * Returns a plain object for `JSON.stringify`.
+   */
+  toJSON() {
+    return { type: this.type, cells: [...this.cells] };
+  }
+
+  /**
+   * Removes a cell's candidates outside the given mask, placing the digit if only one is left.
+   * @param {Sudoku} sudoku
+   * @param {number} ci
+   * @param {number} allowed Candidate mask of the digits the cell may hold.
+   * @returns {boolean | null} Whether any candidates were removed, or `null` if none are left
+   * or placing the last one clashes.
+   */
+  static restrict(sudoku, ci, allowed) {
+    const candidates = sudoku._candidates[ci] & allowed;
+    if (candidates === 0) return null;
+    if (candidates === sudoku._candidates[ci]) return false;
+    const digit = decode(candidates);
+    if (digit > 0) {
+      sudoku.setDigit(digit, ci);
+      if (!sudoku.isValid()) return null;
+    } else {
+      sudoku._candidates[ci] = candidates;
+    }
+    return true;
+  }
+}
+
+/**
+ * A thermometer: digits strictly increase from the bulb to the tip.
+ */
+export class Thermometer extends Constraint {
+  /**
+   * @param {object} options
+   * @param {number[]} options.cells From the bulb to the tip; at least two.
+   */
+  constructor({ cells }) {
+    super('thermo', cells);
+    if (cells.length < 2) throw new Error(`Invalid thermo: expected at least 2 cells, got ${cells.length}`);
+  }
+
+  reduce(sudoku) {
+    const { digits } = sudoku._geometry;
+    const { cells } = this;
+    // Each cell is above the lowest the one before it can be...
+    const lows = [];
+    let low = 0;
+    for (const ci of cells) {
+      const candidates = sudoku._candidates[ci] & between(low + 1, digits);
+      if (candidates === 0) return null;
+      low = lowest(candidates);
+      lows.push(low);
+    }
+
+    // ...and below the highest the one after it can be.
+    let reduced = false;
+    let high = digits + 1;
+    for (let i = cells.length - 1; i >= 0; i--) {
+      const result = Constraint.restrict(sudoku, cells[i], between(lows[i], high - 1));
+      if (result === null) return null;
+      reduced ||= result;
+      high = highest(sudoku._candidates[cells[i]]);
+    }
+    return reduced;
+  }
+
+  isSatisfiedBy(grid) {
+    return this.cells.every((ci, i) => (i === 0 || grid.getDigit(ci) > grid.getDigit(this.cells[i - 1])));
+  }
+}
+
+/**
+ * An arrow: the digit in the circle is the sum of the digits along the arrow. Digits may
+ * repeat along the arrow, as far as the usual rules allow.
+ */
+export class Arrow extends Constraint {
+  /**
+   * @param {object} options
+   * @param {number} options.circle The cell in the circle.
+   * @param {number[]} options.cells The cells along the arrow.
+   */
+  constructor({ circle, cells }) {
+    super('arrow', [circle, ...cells]);
+
+    /** @type {number} */
+    this.circle = circle;
+
+    /** @type {readonly number[]} */
+    this.arrow = Object.freeze([...cells]);
+  }
+
+  reduce(sudoku) {
+    const { digits } = sudoku._geometry;
+    const candidates = sudoku._candidates;
+    let minSum = 0;
+    let maxSum = 0;
+    for (const ci of this.arrow) {
+      minSum += lowest(candidates[ci]);
+      maxSum += highest(candidates[ci]);
+    }
+
+    let reduced = Constraint.restrict(sudoku, this.circle, between(minSum, Math.min(maxSum, digits)));
+    if (reduced === null) return null;
+    const lo = lowest(candidates[this.circle]);
+    const hi = highest(candidates[this.circle]);
+
+    // Each cell makes up what the others can't, and no more than the others leave.
+    for (const ci of this.arrow) {
+      const othersMin = minSum - lowest(candidates[ci]);
+      const othersMax = maxSum - highest(candidates[ci]);
+      const result = Constraint.restrict(sudoku, ci, between(Math.max(1, lo - othersMax), hi - othersMin));
+      if (result === null) return null;
+      reduced ||= result;
+    }
+    return reduced;
+  }
+
+  isSatisfiedBy(grid) {
+    return grid.getDigit(this.circle) === this.arrow.reduce((sum, ci) => sum + grid.getDigit(ci), 0);
+  }
+
+  toJSON() {
+    return { type: this.type, circle: this.circle, cells: [...this.arrow] };
+  }
+}
+
+/**
+ * The digits that can sit across each color of kropki dot from a digit.
+ * @type {Record<string, (digit: number) => number[]>}
+ */
+const KROPKI_PARTNERS = {
+  white: (digit) => [digit - 1, digit + 1],
+  black: (digit) => [digit * 2, digit / 2]
+};
+
+/**
+ * A kropki dot between two cells: white for consecutive digits, black for digits where one
+ * is twice the other.
+ */
+export class KropkiDot extends Constraint {
+  /**
+   * @param {object} options
+   * @param {number[]} options.cells The two cells the dot sits between.
+   * @param {string} options.color `'white'` or `'black'`.
+   */
+  constructor({ cells, color }) {
+    super('kropki', cells);
+    if (cells.length !== 2) throw new Error(`Invalid kropki: expected 2 cells, got ${cells.length}`);
+    if (!Object.hasOwn(KROPKI_PARTNERS, color)) {
+      throw new Error(`Invalid kropki color ${color}; expected one of ${Object.keys(KROPKI_PARTNERS).join(', ')}`);
+    }
+
+    /** @type {string} */
+    this.color = color;
+  }
+
+  /**
+   * Returns the candidate mask of the digits that can sit across the dot from any of the given ones.
+   * @param {Sudoku} sudoku
+   * @param {number} candidates
+   */
+  _partners(sudoku, candidates) {
+    const { digits, candidateDigits } = sudoku._geometry;
+    return candidateDigits(candidates).reduce((mask, digit) => KROPKI_PARTNERS[this.color](digit)
+      .filter((d) => Number.isInteger(d) && d >= 1 && d <= digits)
+      .reduce((partners, d) => (partners | encode(d)), mask), 0);
+  }
+
+  reduce(sudoku) {
+    const [a, b] = this.cells;
+    const first = Constraint.restrict(sudoku, a, this._partners(sudoku, sudoku._candidates[b]));
+    if (first === null) return null;
+    const second = Constraint.restrict(sudoku, b, this._partners(sudoku, sudoku._candidates[a]));
+    if (second === null) return null;
+    return first || second;
+  }
+
+  isSatisfiedBy(grid) {
+    const [a, b] = this.cells;
+    return KROPKI_PARTNERS[this.color](grid.getDigit(a)).includes(grid.getDigit(b));
+  }
+
+  toJSON() {
+    return { type: this.type, cells: [...this.cells], color: this.color };
+  }
+}
+
+/**
+ * The constraint classes that `ConstrainedSudoku.fromJSON` restores, by `type`:
+ * - `'thermo'` - `Thermometer`
+ * - `'arrow'` - `Arrow`
+ * - `'kropki'` - `KropkiDot`
+ * @type {Readonly<Record<string, new (json: object) => Constraint>>}
+ */
+export const CONSTRAINT_TYPES = Object.freeze({
+  thermo: Thermometer,
+  arrow: Arrow,
+  kropki: KropkiDot
+});
+
+/**
+ * A board with extra constraints, such as thermometers, arrows, and kropki dots. Searches
+ * for solutions alternate the usual candidate reduction with each constraint's own, so new
+ * rules only need a `Constraint` subclass. The board may have any layout (see `Sudoku`).
+ */
+export class ConstrainedSudoku {
+  /**
+   * @param {object} options
+   * @param {Constraint[]} options.constraints (Default none)
+   * @param {Sudoku | string | number[]} options.board (Default empty) Any given digits.
+   * @throws {Error} If a constraint covers a cell the board doesn't have.
+   */
+  constructor({ constraints = [], board = new Sudoku() } = {}) {
+    /** @type {Sudoku} */
+    this.board = new Sudoku(board);
+
+    /** @type {readonly Constraint[]} */
+    this.constraints = Object.freeze([...constraints]);
+
+    const { spaces } = this.board._geometry;
+    this.constraints.forEach(({ type, cells }) => {
+      const outside = cells.find((ci) => ci >= spaces);
+      if (outside !== undefined) throw new Error(`Invalid ${type}: no cell ${outside}`);
+    });
+  }
+
+  /**
+   * Whether a full board follows the rules, including the constraints.
+   * @param {Sudoku} grid
+   * @returns {boolean}
+   */
+  isSolvedBy(grid) {
+    return grid.isSolved() && this.constraints.every((constraint) => constraint.isSatisfiedBy(grid));
+  }
+
+  /**
+   * Reduces candidates with the usual rules and the constraints until neither finds anything more.
+   * @param {Sudoku} sudoku
+   * @returns {boolean} `false` if the board can't be solved.
+   */
+  _propagate(sudoku) {
+    for (;;) {
+      sudoku._reduce();
+      if (!sudoku.isValid()) return false;
+      let reduced = false;
+      for (const constraint of this.constraints) {
+        const result = constraint.reduce(sudoku);
+        if (result === null || !sudoku.isValid()) return false;
+        reduced ||= result;
+      }
+      if (!reduced) return true;
+    }
+  }
+
+  /**
+   * Searches for solutions depth first, trying the cell with the fewest candidates next.
+   * @param {Sudoku} sudoku Modified by the search.
+   * @param {number} limit Stops after finding this many solutions.
+   * @param {Rng} rng Decides the order solutions are found in.
+   * @param {((solution: Sudoku) => void) | null} onSolution
+   * @param {Sudoku | null} first (Default none) A full grid whose digit each cell tries first.
+   * @returns {number} The number of solutions found.
+   */
+  _search(sudoku, limit, rng, onSolution, first = null) {
+    if (!this._propagate(sudoku)) return 0;
+    if (sudoku.isFull()) {
+      if (!this.isSolvedBy(sudoku)) return 0;
+      if (onSolution) onSolution(new Sudoku(sudoku));
+      return 1;
+    }
+
+    const ci = sudoku._pickEmptyCell(rng);
+    let count = 0;
+    const digits = shuffle([...sudoku.getCandidates(ci)], rng);
+    if (first) digits.sort((a, b) => (b === first.getDigit(ci)) - (a === first.getDigit(ci)));
+    for (const digit of digits) {
+      const next = new Sudoku(sudoku);
+      next.setDigit(digit, ci);
+      if (!next.isValid()) continue;
+      count += this._search(next, limit - count, rng, onSolution, first);
+      if (count >= limit) break;
+    }
+    return count;
+  }
+
+  /**
+   * Returns the candidates left for each cell once the usual rules and the constraints have
+   * been applied, e.g. only `1` for the bulb of a thermometer nine cells long.
+   * @returns {number[][] | null} The candidate digits of each cell, or `null` if the
+   * puzzle turns out to have no solution.
+   */
+  candidates() {
+    const sudoku = new Sudoku(this.board);
+    if (!sudoku.isValid() || !this._propagate(sudoku)) return null;
+    return range(sudoku._geometry.spaces).map((ci) => [...sudoku.getCandidates(ci)]);
+  }
+
+  /**
+   * Searches for solutions, stopping at the second.
+   * @param {object} options
+   * @param {Rng} options.rng (Default `Math.random`) Decides the order cells and digits are tried in.
+   * @returns {number} `0` for no solution, `1` for a single solution, or `2` for more.
+   */
+  solutionsFlag({ rng = Math.random } = {}) {
+    return this.solutionCount({ limit: 2, rng });
+  }
+
+  /**
+   * Determines whether this puzzle has a single solution.
+   * @param {object} options See `solutionsFlag`.
+   * @returns {boolean}
+   */
+  hasUniqueSolution(options) {
+    return this.solutionsFlag(options) === 1;
+  }
+
+  /**
+   * Counts the puzzle's solutions.
+   * @param {object} options
+   * @param {number} options.limit (Default no limit) Stops counting at this many.
+   * @param {Rng} options.rng (Default `Math.random`) Decides the order cells and digits are tried in.
+   * @returns {number}
+   */
+  solutionCount({ limit = Infinity, rng = Math.random } = {}) {
+    return this.board.isValid() ? this._search(new Sudoku(this.board), limit, rng, null) : 0;
+  }
+
+  /**
+   * Finds a solution.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers, which decide
+   * which solution is found first.
+   * @returns {Sudoku | null} The first solution found, or `null` if there is none.
+   */
+  solution(rng = Math.random) {
+    let found = null;
+    if (this.board.isValid()) {
+      this._search(new Sudoku(this.board), 1, rng, (solution) => { found = solution; });
+    }
+    return found;
+  }
+
+  /**
+   * Returns a plain object for `JSON.stringify`. See `fromJSON`.
+   */
+  toJSON() {
+    return {
+      board: this.board.toString(),
+      constraints: this.constraints.map((constraint) => constraint.toJSON())
+    };
+  }
+
+  /**
+   * Restores a puzzle saved with `toJSON`. The board's layout isn't saved, so pass it again.
+   * @param {string | { board: string, constraints: object[] }} json
+   * @param {object} options
+   * @param {Record<string, new (json: object) => Constraint>} options.types (Default
+   * `CONSTRAINT_TYPES`) The constraint classes to restore, by `type`. Add any custom ones.
+   * @param {object} options.layout (Default a standard board) See `Sudoku.layout`.
+   * @returns {ConstrainedSudoku}
+   * @throws {Error} If a constraint's type isn't one of the `types`.
+   */
+  static fromJSON(json, { types = CONSTRAINT_TYPES, layout = {} } = {}) {
+    const { board, constraints } = (typeof json === 'string') ? JSON.parse(json) : json;
+    return new ConstrainedSudoku({
+      board: new Sudoku(board, layout),
+      constraints: constraints.map((constraint) => {
+        if (!Object.hasOwn(types, constraint.type)) {
+          throw new Error(`Unknown constraint type ${constraint.type}; expected one of ${Object.keys(types).join(', ')}`);
+        }
+        return new types[constraint.type](constraint);
+      })
+    });
+  }
+}
+
+export default ConstrainedSudoku;
@@ -0,0 +1,203 @@
+/**
+ * Exact cover solver using Knuth's Dancing Links (Algorithm X).
+ *
+ * Columns are constraints that must each be satisfied exactly once, and rows are choices
+ * that each satisfy some of the columns. A solution is a set of rows that together
+ * satisfy every column exactly once.
+ *
+ * Nodes live in parallel arrays rather than objects; node `0` is the root,
+ * and nodes `1` through `numColumns` are the column headers.
+ */
+export class DancingLinks {
+  /**
+   * @param {number} numColumns
+   */
+  constructor(numColumns) {
+    this.numColumns = numColumns;
+    this.numRows = 0;
+
+    /** @type {number[]} */
+    this._left = [];
+    /** @type {number[]} */
+    this._right = [];
+    /** @type {number[]} */
+    this._up = [];
+    /** @type {number[]} */
+    this._down = [];
+    /** Column header of each node. @type {number[]} */
+    this._col = [];
+    /** Row of each node (`-1` for the root and headers). @type {number[]} */
+    this._row = [];
+    /** Number of rows remaining in each column. @type {number[]} */
+    this._size = Array(numColumns + 1).fill(0);
+    /** First node of each row. @type {number[]} */
+    this._rowStart = [];
+    /** Rows chosen with `select()`. @type {number[]} */
+    this._selected = [];
+    /** Whether each column has been covered by a selected row. @type {boolean[]} */
+    this._covered = Array(numColumns + 1).fill(false);
+
+    for (let i = 0; i <= numColumns; i++) {
+      this._left.push(i - 1);
+      this._right.push(i + 1);
+      this._up.push(i);
+      this._down.push(i);
+      this._col.push(i);
+      this._row.push(-1);
+    }
+    this._left[0] = numColumns;
+    this._right[numColumns] = 0;
+  }
+
+  /**
+   * Adds a row that satisfies the given columns.
+   * @param {number[]} columns Column indices, from `0` to `numColumns - 1`.
+   * @returns {number} The row's index.
+   */
+  addRow(columns) {
+    const rowId = this.numRows++;
+    let first = -1;
+    columns.forEach(column => {
+      const c = column + 1;
+      const node = this._left.length;
+
+      // Link at the bottom of the column
+      this._up.push(this._up[c]);
+      this._down.push(c);
+      this._down[this._up[c]] = node;
+      this._up[c] = node;
+      this._col.push(c);
+      this._row.push(rowId);
+      this._size[c]++;
+
+      // Link at the end of the row
+      if (first < 0) {
+        first = node;
+        this._left.push(node);
+        this._right.push(node);
+      } else {
+        this._left.push(this._left[first]);
+        this._right.push(first);
+        this._right[this._left[first]] = node;
+        this._left[first] = node;
+      }
+    });
+    this._rowStart.push(first);
+    return rowId;
+  }
+
+  /**
+   * Makes the given row part of every solution.
+   * @param {number} rowId
+   * @returns {boolean} `false` if the row conflicts with a row already selected; otherwise `true`.
+   */
+  select(rowId) {
+    const first = this._rowStart[rowId];
+    let node = first;
+    do {
+      if (this._covered[this._col[node]]) return false;
+      node = this._right[node];
+    } while (node !== first);
+
+    do {
+      this._covered[this._col[node]] = true;
+      this._cover(this._col[node]);
+      node = this._right[node];
+    } while (node !== first);
+    this._selected.push(rowId);
+    return true;
+  }
+
+  /**
+   * Searches for solutions.
+   * @param {number} limit (Default no limit) Stops after finding this many solutions.
+   * @param {((rows: number[]) => boolean | void) | null} onSolution Called with the rows of each
+   * solution found, including the selected rows. Returning `false` stops the search.
+   * @returns {number} The number of solutions found.
+   */
+  search(limit = Infinity, onSolution = null) {
+    const L = this._left;
+    const R = this._right;
+    const D = this._down;
+    const C = this._col;
+    const S = this._size;
+    const rows = [...this._selected];
+    let count = 0;
+
+    // Returns `true` once the search should stop.
+    const recurse = () => {
+      if (R[0] === 0) {
+        count++;
+        const stop = onSolution && onSolution([...rows]) === false;
+        return stop || count >= limit;
+      }
+
+      // Branch on the column with the fewest rows
+      let c = R[0];
+      for (let j = R[c]; j !== 0 && S[c] > 1; j = R[j]) {
+        if (S[j] < S[c]) c = j;
+      }
+      if (S[c] === 0) return false;
+
+      this._cover(c);
+      for (let r = D[c]; r !== c; r = D[r]) {
+        rows.push(this._row[r]);
+        for (let j = R[r]; j !== r; j = R[j]) this._cover(C[j]);
+        const done = recurse();
+        for (let j = L[r]; j !== r; j = L[j]) this._uncover(C[j]);
+        rows.pop();
+        if (done) {
+          this._uncover(c);
+          return true;
+        }
+      }
+      this._uncover(c);
+      return false;
+    };
+
+    if (limit > 0) recurse();
+    return count;
+  }
+
+  /**
+   * Removes a column, and every row that satisfies it, from the matrix.
+   * @param {number} c Column header node.
+   */
+  _cover(c) {
+    const L = this._left;
+    const R = this._right;
+    const U = this._up;
+    const D = this._down;
+    R[L[c]] = R[c];
+    L[R[c]] = L[c];
+    for (let i = D[c]; i !== c; i = D[i]) {
+      for (let j = R[i]; j !== i; j = R[j]) {
+        D[U[j]] = D[j];
+        U[D[j]] = U[j];
+        this._size[this._col[j]]--;
+      }
+    }
+  }
+
+  /**
+   * Restores a column removed by `_cover`.
+   * @param {number} c Column header node.
+   */
+  _uncover(c) {
+    const L = this._left;
+    const R = this._right;
+    const U = this._up;
+    const D = this._down;
+    for (let i = U[c]; i !== c; i = U[i]) {
+      for (let j = L[i]; j !== i; j = L[j]) {
+        this._size[this._col[j]]++;
+        D[U[j]] = j;
+        U[D[j]] = j;
+      }
+    }
+    R[L[c]] = c;
+    L[R[c]] = c;
+  }
+}
+
+export default DancingLinks;
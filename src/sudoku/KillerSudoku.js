@@ -0,0 +1,326 @@
+import Sudoku, { RANK, ALL, SPACES, DIGITS, encode, orthogonalNeighbors } from './Sudoku.js';
+import { ConstrainedSudoku, Constraint } from './ConstrainedSudoku.js';
+import { chooseRandom, countBits, randInt, range, shuffle } from '../util/arrays.js';
+
+/** @typedef {import('../util/random.js').Rng} Rng */
+
+/**
+ * A group of cells whose digits add up to `sum`, with no digit repeated.
+ * @typedef {object} Cage
+ * @property {number[]} cells Indices of the cells in the cage.
+ * @property {number} sum
+ */
+
+/**
+ * Adds up the digits in a candidate mask.
+ * @param {number} mask
+ */
+const maskSum = (mask) => range(DIGITS + 1, 1).reduce((sum, d) => ((mask & encode(d)) ? sum + d : sum), 0);
+
+/** The largest sum of any number of different digits. */
+const MAX_SUM = maskSum(ALL);
+
+/**
+ * The sets of different digits, as candidate masks, that fill a cage of each size and sum,
+ * e.g. `COMBOS[2][4]` is `[0b101]` (`1 + 3`).
+ * @type {number[][][]}
+ */
+const COMBOS = range(DIGITS + 1).map(() => range(MAX_SUM + 1).map(() => []));
+range(ALL + 1, 1).forEach((mask) => COMBOS[countBits(mask)][maskSum(mask)].push(mask));
+
+/**
+ * Returns the cells of each house outside the cages that lie within it, as cages adding up
+ * to what's left of the house's sum. Houses with no cage inside, or nothing left, are skipped.
+ * @param {readonly Cage[]} cages
+ * @param {number[][]} houses
+ * @returns {Cage[]}
+ */
+function leftoverCages(cages, houses) {
+  return houses.flatMap((house) => {
+    const inside = cages.filter(({ cells }) => cells.every((ci) => house.includes(ci)));
+    const covered = new Set(inside.flatMap(({ cells }) => cells));
+    const cells = house.filter((ci) => !covered.has(ci));
+    const sum = MAX_SUM - inside.reduce((total, cage) => total + cage.sum, 0);
+    if (inside.length === 0 || cells.length === 0 || sum < 1 || COMBOS[cells.length][sum].length === 0) return [];
+    return [{ cells, sum }];
+  });
+}
+
+/** How many times `KillerSudoku.generate` repairs its cages before growing them again. */
+const MAX_REPAIRS = 50;
+
+/**
+ * Groups cells of a full grid into random connected cages, with no digit repeated, grown
+ * from random cells to random sizes of at least two cells. Cells left on their own then
+ * join a neighboring cage with room and without their digit, where there is one.
+ * @param {number[]} cells The cells to group.
+ * @param {Sudoku} config The full grid.
+ * @param {number} maxCageSize
+ * @param {Rng} rng
+ * @returns {number[][]} The cells of each cage, in ascending order.
+ */
+function cutCages(cells, config, maxCageSize, rng) {
+  const free = new Set(cells);
+  /** @type {number[][]} */
+  const groups = [];
+  shuffle([...cells], rng).forEach((start) => {
+    if (!free.has(start)) return;
+    const size = Math.min(maxCageSize, randInt(maxCageSize - 1, rng) + 2);
+    const group = [start];
+    let digits = encode(config.getDigit(start));
+    free.delete(start);
+    while (group.length < size) {
+      const next = chooseRandom([...new Set(group.flatMap((ci) => orthogonalNeighbors(ci)))].filter((ni) => (
+        free.has(ni) && !(digits & encode(config.getDigit(ni)))
+      )), rng);
+      if (next === null) break;
+      group.push(next);
+      digits |= encode(config.getDigit(next));
+      free.delete(next);
+    }
+    groups.push(group);
+  });
+
+  groups.filter((group) => group.length === 1).forEach((single) => {
+    const [ci] = single;
+    const host = chooseRandom(groups.filter((group) => (
+      group !== single &&
+      group.length > 0 &&
+      group.length < maxCageSize &&
+      !group.some((i) => config.getDigit(i) === config.getDigit(ci)) &&
+      orthogonalNeighbors(ci).some((ni) => group.includes(ni))
+    )), rng);
+    if (host !== null) host.push(single.pop());
+  });
+  return groups.filter((group) => group.length > 0).map((group) => group.sort((a, b) => a - b));
+}
+
+/**
+ * The rule for one cage: its digits add up to its sum, with none repeated.
+ */
+class CageConstraint extends Constraint {
+  /**
+   * @param {Cage} cage
+   */
+  constructor({ cells, sum }) {
+    super('cage', cells);
+
+    /** @type {number} */
+    this.sum = sum;
+  }
+
+  /**
+   * Removes candidates that can't be part of any digit combination that fills the cage.
+   */
+  reduce(sudoku) {
+    const { cells, sum } = this;
+    let placed = 0;
+    let union = 0;
+    const empty = [];
+    for (const ci of cells) {
+      const digit = sudoku.getDigit(ci);
+      if (digit > 0) {
+        if (placed & encode(digit)) return null;
+        placed |= encode(digit);
+      } else {
+        union |= sudoku._candidates[ci];
+        empty.push(ci);
+      }
+    }
+
+    // The digits still needed must be a combination's other digits, with a candidate for
+    // each empty cell, and all of them among the empty cells' candidates.
+    let possible = false;
+    let allowed = 0;
+    for (const combo of COMBOS[cells.length][sum]) {
+      if ((combo & placed) !== placed) continue;
+      const needed = combo & ~placed;
+      if ((union & needed) !== needed) continue;
+      if (empty.some((ci) => !(sudoku._candidates[ci] & needed))) continue;
+      possible = true;
+      allowed |= needed;
+    }
+    if (!possible) return null;
+
+    let reduced = false;
+    for (const ci of empty) {
+      if (sudoku.getDigit(ci) > 0) continue;
+      const result = Constraint.restrict(sudoku, ci, allowed);
+      if (result === null) return null;
+      reduced ||= result;
+    }
+    return reduced;
+  }
+
+  isSatisfiedBy(grid) {
+    const digits = this.cells.map((ci) => grid.getDigit(ci));
+    return new Set(digits).size === digits.length && digits.reduce((total, d) => total + d, 0) === this.sum;
+  }
+
+  toJSON() {
+    return { type: this.type, cells: [...this.cells], sum: this.sum };
+  }
+}
+
+/**
+ * Killer sudoku: a 9x9 board whose cells are grouped into cages, each showing the sum of
+ * its digits. Digits can't repeat within a cage, on top of the usual rules. Puzzles
+ * usually have no given digits, and cages that cover the whole board.
+ *
+ * Each cage is a constraint of a `ConstrainedSudoku`, which does the solving. So is the rest
+ * of each house outside the cages that lie within it: its digits add up to what the
+ * house's `45` leaves over, which cuts searches down a great deal.
+ */
+export class KillerSudoku extends ConstrainedSudoku {
+  /**
+   * @param {object} options
+   * @param {Cage[]} options.cages No cell may be in more than one cage.
+   * @param {Sudoku | string | number[]} options.board (Default empty) Any given digits.
+   * The board's layout, such as jigsaw regions (see `Sudoku`), is kept.
+   * @throws {Error} If a cage is empty, too big, overlaps another, or has a sum that no
+   * digits add up to; or if the board is not 9x9.
+   */
+  constructor({ cages, board = new Sudoku() }) {
+    const sudoku = new Sudoku(board);
+    if (sudoku.rank !== RANK) {
+      throw new Error(`Killer sudoku only supports 9x9 (rank ${RANK}) boards; got rank ${sudoku.rank}`);
+    }
+
+    const frozen = Object.freeze(cages.map(({ cells, sum }) => Object.freeze({ cells: Object.freeze([...cells]), sum })));
+    const cageOf = Array(SPACES).fill(-1);
+    frozen.forEach(({ cells, sum }, i) => {
+      if (cells.length === 0 || cells.length > DIGITS) {
+        throw new Error(`Invalid cage ${i}: expected 1 to ${DIGITS} cells, got ${cells.length}`);
+      }
+      if (!Number.isInteger(sum) || sum < 1 || sum > MAX_SUM || COMBOS[cells.length][sum].length === 0) {
+        throw new Error(`Invalid cage ${i}: no ${cells.length} different digits add up to ${sum}`);
+      }
+      cells.forEach((ci) => {
+        if (!Number.isInteger(ci) || ci < 0 || ci >= SPACES) {
+          throw new Error(`Invalid cage ${i}: no cell ${ci}`);
+        }
+        if (cageOf[ci] >= 0) {
+          throw new Error(`Invalid cage ${i}: cell ${ci} is already in cage ${cageOf[ci]}`);
+        }
+        cageOf[ci] = i;
+      });
+    });
+
+    const leftovers = leftoverCages(frozen, sudoku._geometry.houses);
+    super({ constraints: [...frozen, ...leftovers].map((cage) => new CageConstraint(cage)), board: sudoku });
+
+    /** @type {readonly Cage[]} */
+    this.cages = frozen;
+
+    /**
+     * The index of each cell's cage, or `-1` if it's in none.
+     * @type {number[]}
+     */
+    this._cageOf = cageOf;
+  }
+
+  /**
+   * Returns the digit combinations that can fill a cage, in ascending order, e.g.
+   * `[[1, 2, 6], [1, 3, 5], [2, 3, 4]]` for three cells adding up to `9`.
+   * @param {number} size The number of cells in the cage.
+   * @param {number} sum
+   * @returns {number[][]}
+   */
+  static combinations(size, sum) {
+    if (size < 1 || size > DIGITS || sum < 1 || sum > MAX_SUM) return [];
+    return COMBOS[size][sum]
+      .map((mask) => range(DIGITS + 1, 1).filter((d) => (mask & encode(d))))
+      // Combinations are the same length, with single digits, so they sort as strings.
+      .sort((a, b) => a.join('').localeCompare(b.join('')));
+  }
+
+  /**
+   * Returns the cage that the given cell is in, or `null` if it's in none.
+   * @param {number} ci
+   * @returns {Cage | null}
+   */
+  cageOf(ci) {
+    return (this._cageOf[ci] >= 0) ? this.cages[this._cageOf[ci]] : null;
+  }
+
+  /**
+   * Returns a plain object for `JSON.stringify`. See `fromJSON`.
+   */
+  toJSON() {
+    return {
+      board: this.board.toString(),
+      cages: this.cages.map(({ cells, sum }) => ({ cells: [...cells], sum }))
+    };
+  }
+
+  /**
+   * Restores a puzzle saved with `toJSON`. Jigsaw regions aren't saved, so pass them again.
+   * @param {string | { board: string, cages: Cage[] }} json
+   * @param {object} layout (Default a standard board) See `Sudoku.layout`.
+   * @returns {KillerSudoku}
+   */
+  static fromJSON(json, layout = {}) {
+    const { board, cages } = (typeof json === 'string') ? JSON.parse(json) : json;
+    return new KillerSudoku({ cages, board: new Sudoku(board, layout) });
+  }
+
+  /**
+   * Generates a killer sudoku with a unique solution and no given digits, by grouping the
+   * cells of a full grid into random cages of at least two cells. Whenever the cages allow
+   * another solution, the cage of a cell that differs in it is cut again together with a
+   * neighboring cage, and after too many such repairs the cages are grown again from scratch.
+   * A cage is only left with one cell, giving its digit away, when the cages around it have
+   * no room for it; with a `maxCageSize` of `3` or more that's one or two cages at most.
+   * @param {object} options
+   * @param {Sudoku} options.grid (Default a new config) The full grid to build cages over.
+   * Its layout, such as jigsaw regions, is kept.
+   * @param {number} options.maxCageSize (Default `5`) The most cells in a cage, up to `9`.
+   * @param {Rng} options.rng (Default `Math.random`) Source of random numbers. With a seeded
+   * generator (see `createRng`), the same options give the same puzzle.
+   * @returns {KillerSudoku}
+   */
+  static generate({ grid, maxCageSize = 5, rng = Math.random } = {}) {
+    const config = grid ? new Sudoku(grid) : Sudoku.generateConfig(rng);
+    if (!config.isSolved()) throw new Error('grid must be a full, valid board');
+    if (maxCageSize < 1 || maxCageSize > DIGITS) {
+      throw new Error(`Invalid maxCageSize ${maxCageSize}; expected 1 to ${DIGITS}`);
+    }
+
+    const toCage = (cells) => ({ cells, sum: cells.reduce((total, ci) => total + config.getDigit(ci), 0) });
+    const singles = (groups) => groups.filter((cells) => cells.length === 1).length;
+    const empty = new Sudoku([], config.layout);
+    let groups = cutCages(range(SPACES), config, maxCageSize, rng);
+    let repairs = 0;
+    for (;;) {
+      const killer = new KillerSudoku({ cages: groups.map(toCage), board: empty });
+      let other = null;
+      // Trying the grid's digits first finds it at once, and then any other solution nearby.
+      killer._search(new Sudoku(empty), 2, rng, (solution) => {
+        if (!solution.equals(config)) other = solution;
+      }, config);
+      if (other === null) return killer;
+
+      if (++repairs > MAX_REPAIRS) {
+        groups = cutCages(range(SPACES), config, maxCageSize, rng);
+        repairs = 0;
+        continue;
+      }
+
+      // Cut the cage of a differing cell again, along with a neighboring cage,
+      // preferably one with differing cells of its own.
+      const differs = (ci) => other.getDigit(ci) !== config.getDigit(ci);
+      const ci = chooseRandom(range(SPACES).filter(differs), rng);
+      const a = groups.findIndex((cells) => cells.includes(ci));
+      const around = new Set(groups[a].flatMap((i) => orthogonalNeighbors(i)));
+      const neighbors = range(groups.length).filter((g) => g !== a && groups[g].some((i) => around.has(i)));
+      const differing = neighbors.filter((g) => groups[g].some(differs));
+      const b = chooseRandom(differing.length > 0 ? differing : neighbors, rng);
+      const cut = cutCages([...groups[a], ...groups[b]], config, maxCageSize, rng);
+      if (singles(cut) <= singles([groups[a], groups[b]])) {
+        groups = [...groups.filter((_, g) => g !== a && g !== b), ...cut];
+      }
+    }
+  }
+}
+
+export default KillerSudoku;
@@ -0,0 +1,1211 @@
+import { countBits, range } from '../util/arrays.js';
+import Sudoku, {
+  RANK,
+  DIGITS,
+  SPACES,
+  ALL,
+  cellRow,
+  cellCol,
+  VARIANTS,
+  encode,
+} from './Sudoku.js';
+
+/**
+ * A single deduction found by the logical solver.
+ * @typedef {object} Step
+ * @property {string} technique Name of the technique that produced this step.
+ * @property {number[]} cells Indices of the cells that make up the pattern.
+ * @property {number[]} digits Digits the pattern is built on.
+ * @property {number[]} houses Indices of the houses (see `houseName`) the pattern lives in.
+ * @property {{ cell: number, digit: number }[]} placements Digits to place.
+ * @property {{ cell: number, digit: number }[]} eliminations Candidates to remove.
+ */
+
+/**
+ * A step along with a human-readable explanation of it.
+ * @typedef {Step & { explanation: string }} Hint
+ */
+
+/**
+ * @typedef {object} Technique
+ * @property {string} name
+ * @property {number | ((s: Step) => number)} rating How hard the technique is for a person,
+ * on a scale modeled after Sudoku Explainer. May depend on the step.
+ * @property {(state: SolverState) => Step | null} find Finds the first
+ * applicable step on the board, or `null` if the technique does not apply.
+ */
+
+/**
+ * Lookup tables describing the houses of a board.
+ * @typedef {{
+ *  houses: number[][],
+ *  rows: number[],
+ *  cols: number[],
+ *  regions: number[],
+ *  extras: number[],
+ *  cellHouses: number[][],
+ *  cellRegions: number[],
+ *  neighbors: number[][],
+ *  sees: Uint8Array
+ * }} Shape
+ */
+
+/**
+ * Shapes of the boards solved so far, by their `Sudoku` lookup tables, so that jigsaw
+ * boards get their own regions, and variant boards their extra houses.
+ * @type {WeakMap<object, Shape>}
+ */
+const SHAPES = new WeakMap();
+
+/**
+ * Returns the (cached) shape of the given board.
+ * @param {Sudoku} sudoku
+ * @returns {Shape}
+ */
+function shape(sudoku) {
+  const geometry = sudoku._geometry;
+  if (!SHAPES.has(geometry)) {
+    const { houses, cellHouses, cellRegions, cellNeighbors } = geometry;
+    const sees = new Uint8Array(SPACES * SPACES);
+    cellNeighbors.forEach((neighbors, ci) => {
+      neighbors.forEach(ni => { sees[ci * SPACES + ni] = 1; });
+    });
+    SHAPES.set(geometry, {
+      houses,
+      rows: range(DIGITS),
+      cols: range(DIGITS).map(i => DIGITS + i),
+      regions: range(DIGITS).map(i => DIGITS * 2 + i),
+      extras: range(houses.length - DIGITS * 3).map(i => DIGITS * 3 + i),
+      cellHouses,
+      cellRegions,
+      neighbors: cellNeighbors,
+      sees
+    });
+  }
+  return SHAPES.get(geometry);
+}
+
+/** What to call the houses each of the `VARIANTS` adds. */
+const VARIANT_HOUSE_KINDS = Object.freeze({ x: 'diagonal', windoku: 'window' });
+
+/**
+ * Returns a readable name for the given house index,
+ * where rows come first, then columns, then regions, then those of any variants.
+ * @param {number} house
+ * @param {object} options
+ * @param {string[]} options.variants (Default none) The board's variants (see `Sudoku.layout`),
+ * which name the houses after the regions.
+ * @returns {string}
+ */
+export function houseName(house, { variants = [] } = {}) {
+  if (house < DIGITS * 3) {
+    const kind = ['row', 'column', 'region'][(house / DIGITS) | 0];
+    return `${kind} ${(house % DIGITS) + 1}`;
+  }
+  let extra = house - DIGITS * 3;
+  for (const variant of variants.filter(name => Object.hasOwn(VARIANTS, name))) {
+    const count = VARIANTS[variant](RANK).length;
+    if (extra < count) return `${VARIANT_HOUSE_KINDS[variant]} ${extra + 1}`;
+    extra -= count;
+  }
+  throw new Error(`Unknown house ${house} for variants ${variants.join(', ') || 'none'}`);
+}
+
+/**
+ * Returns a readable name for the given cell, e.g. `r1c1` for cell 0.
+ * @param {number} ci
+ * @returns {string}
+ */
+export const cellName = (ci) => `r${cellRow(ci) + 1}c${cellCol(ci) + 1}`;
+
+/**
+ * Returns the digits represented by the given candidates mask, in ascending order.
+ * @param {number} mask
+ * @returns {number[]}
+ */
+function digitsOf(mask) {
+  const digits = [];
+  for (let digit = 1; mask > 0; digit++, mask >>= 1) {
+    if (mask & 1) digits.push(digit);
+  }
+  return digits;
+}
+
+/**
+ * Calls `callback` with each combination of `k` items, in lexicographic order,
+ * until the callback returns something truthy, which is then returned.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} k
+ * @param {(combo: T[]) => R} callback
+ * @returns {R | null}
+ */
+function findCombo(items, k, callback, start = 0, combo = []) {
+  if (combo.length === k) return callback(combo) || null;
+  for (let i = start; i <= items.length - (k - combo.length); i++) {
+    combo.push(items[i]);
+    const result = findCombo(items, k, callback, i + 1, combo);
+    combo.pop();
+    if (result) return result;
+  }
+  return null;
+}
+
+/**
+ * Builds a step object, leaving out anything not given.
+ * @param {string} technique
+ * @param {Partial<Step>} parts
+ * @returns {Step}
+ */
+const step = (technique, { cells = [], digits = [], houses = [], placements = [], eliminations = [] }) => ({
+  technique, cells, digits, houses, placements, eliminations
+});
+
+/**
+ * Working copy of a puzzle's digits and pencilmarks used by the logical solver.
+ */
+export class SolverState {
+  /**
+   * @param {Sudoku} sudoku
+   * @param {object} options
+   * @param {boolean} options.pencilmarks (Default `false`) Whether empty cells start with the
+   * board's candidates, rather than every digit.
+   */
+  constructor(sudoku, { pencilmarks = false } = {}) {
+    this.shape = shape(sudoku);
+    /** Options for making boards of the same shape (see `Sudoku.layout`). */
+    this.layout = sudoku.layout;
+    /** @type {number[]} */
+    this.digits = sudoku.board;
+    /** @type {number[]} */
+    this.candidates = this.digits.map((digit, ci) => (
+      (digit > 0) ? encode(digit) : (pencilmarks ? sudoku._candidates[ci] & ALL : ALL)
+    ));
+    this.digits.forEach((digit, ci) => {
+      if (digit > 0) this._eliminateFromPeers(ci, digit);
+    });
+  }
+
+  /**
+   * Whether the two cells share a house.
+   * @param {number} a
+   * @param {number} b
+   */
+  sees(a, b) {
+    return this.shape.sees[a * SPACES + b] === 1;
+  }
+
+  /**
+   * Returns the empty cells in the given house that have the digit as a candidate.
+   * @param {number} house
+   * @param {number} digit
+   * @returns {number[]}
+   */
+  cellsWith(house, digit) {
+    const b = encode(digit);
+    return this.shape.houses[house].filter(ci => (
+      this.digits[ci] === 0 && (this.candidates[ci] & b)
+    ));
+  }
+
+  /**
+   * Returns the empty cells that see every one of the given cells
+   * and have the digit as a candidate.
+   * @param {number[]} cells
+   * @param {number} digit
+   * @returns {number[]}
+   */
+  cellsSeeingAll(cells, digit) {
+    const b = encode(digit);
+    const result = [];
+    for (let ci = 0; ci < SPACES; ci++) {
+      if (this.digits[ci] > 0 || !(this.candidates[ci] & b) || cells.includes(ci)) continue;
+      if (cells.every(other => this.sees(ci, other))) result.push(ci);
+    }
+    return result;
+  }
+
+  /**
+   * Returns a mask of the digits already placed in the given house.
+   * @param {number} house
+   */
+  placedIn(house) {
+    return this.shape.houses[house].reduce((mask, ci) => (
+      (this.digits[ci] > 0) ? (mask | encode(this.digits[ci])) : mask
+    ), 0);
+  }
+
+  /** Whether every cell has a digit. */
+  isSolved() {
+    return this.digits.every(digit => digit > 0);
+  }
+
+  /** Whether some empty cell has run out of candidates. */
+  isBroken() {
+    return this.digits.some((digit, ci) => (digit === 0 && this.candidates[ci] === 0));
+  }
+
+  /**
+   * Places the digit and removes it from the candidates of the cell's peers.
+   * @param {number} ci
+   * @param {number} digit
+   */
+  place(ci, digit) {
+    this.digits[ci] = digit;
+    this.candidates[ci] = encode(digit);
+    this._eliminateFromPeers(ci, digit);
+  }
+
+  /**
+   * @param {number} ci
+   * @param {number} digit
+   */
+  _eliminateFromPeers(ci, digit) {
+    const b = encode(digit);
+    for (const ni of this.shape.neighbors[ci]) {
+      if (this.digits[ni] === 0) this.candidates[ni] &= ~b;
+    }
+  }
+
+  /**
+   * Applies the placements and eliminations of a step.
+   * @param {Step} s
+   */
+  apply(s) {
+    s.eliminations.forEach(({ cell, digit }) => { this.candidates[cell] &= ~encode(digit); });
+    s.placements.forEach(({ cell, digit }) => this.place(cell, digit));
+  }
+
+  /**
+   * Returns a copy of this state that can be changed independently.
+   * @returns {SolverState}
+   */
+  clone() {
+    const copy = Object.create(SolverState.prototype);
+    copy.shape = this.shape;
+    copy.layout = this.layout;
+    copy.digits = [...this.digits];
+    copy.candidates = [...this.candidates];
+    return copy;
+  }
+
+  /**
+   * Returns a Sudoku with the digits and candidates of this state.
+   * @returns {Sudoku}
+   */
+  toSudoku() {
+    return Sudoku.fromState({ digits: this.digits, candidates: this.candidates }, this.layout);
+  }
+}
+
+/** @param {SolverState} state */
+function findFullHouse(state) {
+  const { houses } = state.shape;
+  for (let h = 0; h < houses.length; h++) {
+    const empty = houses[h].filter(ci => state.digits[ci] === 0);
+    if (empty.length !== 1) continue;
+    const [digit] = digitsOf(ALL & ~state.placedIn(h));
+    if (digit && (state.candidates[empty[0]] & encode(digit))) {
+      return step('Full House', {
+        cells: empty, digits: [digit], houses: [h],
+        placements: [{ cell: empty[0], digit }]
+      });
+    }
+  }
+  return null;
+}
+
+/** @param {SolverState} state */
+function findHiddenSingle(state) {
+  const { regions, extras, rows, cols } = state.shape;
+  for (const h of [...regions, ...extras, ...rows, ...cols]) {
+    const placed = state.placedIn(h);
+    for (let digit = 1; digit <= DIGITS; digit++) {
+      if (placed & encode(digit)) continue;
+      const cells = state.cellsWith(h, digit);
+      if (cells.length === 1) {
+        return step('Hidden Single', {
+          cells, digits: [digit], houses: [h],
+          placements: [{ cell: cells[0], digit }]
+        });
+      }
+    }
+  }
+  return null;
+}
+
+/** @param {SolverState} state */
+function findNakedSingle(state) {
+  for (let ci = 0; ci < SPACES; ci++) {
+    if (state.digits[ci] > 0 || countBits(state.candidates[ci]) !== 1) continue;
+    const [digit] = digitsOf(state.candidates[ci]);
+    return step('Naked Single', {
+      cells: [ci], digits: [digit],
+      placements: [{ cell: ci, digit }]
+    });
+  }
+  return null;
+}
+
+/**
+ * Looks for a digit whose candidates in one of the `from` houses are
+ * confined to a single house of the `to` kind, allowing the digit to be
+ * removed from the rest of that house.
+ * @param {SolverState} state
+ * @param {string} technique
+ * @param {number[]} from
+ * @param {number[]} to
+ */
+function findLockedCandidates(state, technique, from, to) {
+  const { houses, cellHouses } = state.shape;
+  for (const h of from) {
+    for (let digit = 1; digit <= DIGITS; digit++) {
+      const cells = state.cellsWith(h, digit);
+      if (cells.length < 2) continue;
+      const target = to.find(t => cells.every(ci => cellHouses[ci].includes(t)));
+      if (target === undefined) continue;
+      const eliminations = state.cellsWith(target, digit)
+        .filter(ci => !houses[h].includes(ci))
+        .map(cell => ({ cell, digit }));
+      if (eliminations.length > 0) {
+        return step(technique, { cells, digits: [digit], houses: [h, target], eliminations });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks for `k` cells in a house whose candidates are limited to the same `k` digits.
+ * @param {SolverState} state
+ * @param {number} k
+ * @param {string} technique
+ */
+function findNakedSubset(state, k, technique) {
+  const { houses } = state.shape;
+  for (let h = 0; h < houses.length; h++) {
+    const empty = houses[h].filter(ci => state.digits[ci] === 0);
+    const pool = empty.filter(ci => countBits(state.candidates[ci]) <= k);
+    const found = findCombo(pool, k, (cells) => {
+      const union = cells.reduce((mask, ci) => (mask | state.candidates[ci]), 0);
+      if (countBits(union) !== k) return null;
+      const eliminations = [];
+      empty.forEach(ci => {
+        if (cells.includes(ci)) return;
+        digitsOf(state.candidates[ci] & union).forEach(digit => eliminations.push({ cell: ci, digit }));
+      });
+      if (eliminations.length === 0) return null;
+      return step(technique, { cells: [...cells], digits: digitsOf(union), houses: [h], eliminations });
+    });
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Looks for `k` digits in a house that can only go in the same `k` cells.
+ * @param {SolverState} state
+ * @param {number} k
+ * @param {string} technique
+ */
+function findHiddenSubset(state, k, technique) {
+  const { houses } = state.shape;
+  for (let h = 0; h < houses.length; h++) {
+    const placed = state.placedIn(h);
+    /** @type {{ digit: number, cells: number[] }[]} */
+    const pool = [];
+    for (let digit = 1; digit <= DIGITS; digit++) {
+      if (placed & encode(digit)) continue;
+      const cells = state.cellsWith(h, digit);
+      if (cells.length > 0 && cells.length <= k) pool.push({ digit, cells });
+    }
+    const found = findCombo(pool, k, (combo) => {
+      const cells = [...new Set(combo.flatMap(c => c.cells))].sort((a, b) => a - b);
+      if (cells.length !== k) return null;
+      const keep = combo.reduce((mask, c) => (mask | encode(c.digit)), 0);
+      const eliminations = [];
+      cells.forEach(ci => {
+        digitsOf(state.candidates[ci] & ~keep).forEach(digit => eliminations.push({ cell: ci, digit }));
+      });
+      if (eliminations.length === 0) return null;
+      return step(technique, { cells, digits: digitsOf(keep), houses: [h], eliminations });
+    });
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Looks for a basic fish of size `k` (X-Wing, Swordfish, Jellyfish) on rows, then on columns.
+ * @param {SolverState} state
+ * @param {number} k
+ * @param {string} technique
+ */
+function findFish(state, k, technique) {
+  const { rows, cols, houses } = state.shape;
+  for (const [bases, covers, coverOf] of [[rows, cols, cellCol], [cols, rows, cellRow]]) {
+    for (let digit = 1; digit <= DIGITS; digit++) {
+      const pool = bases
+        .map(h => ({ h, cells: state.cellsWith(h, digit) }))
+        .filter(({ cells }) => cells.length >= 2 && cells.length <= k);
+      const found = findCombo(pool, k, (combo) => {
+        const coverIndices = [...new Set(combo.flatMap(b => b.cells.map(coverOf)))];
+        if (coverIndices.length !== k) return null;
+        const baseHouses = combo.map(b => b.h);
+        const cells = combo.flatMap(b => b.cells);
+        const eliminations = coverIndices
+          .flatMap(i => state.cellsWith(covers[i], digit))
+          .filter(ci => !baseHouses.some(h => houses[h].includes(ci)))
+          .map(cell => ({ cell, digit }));
+        if (eliminations.length === 0) return null;
+        return step(technique, {
+          cells, digits: [digit],
+          houses: [...baseHouses, ...coverIndices.sort((a, b) => a - b).map(i => covers[i])],
+          eliminations
+        });
+      });
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the empty cells with exactly two candidates.
+ * @param {SolverState} state
+ */
+const bivalueCells = (state) => state.candidates
+  .map((mask, ci) => ci)
+  .filter(ci => state.digits[ci] === 0 && countBits(state.candidates[ci]) === 2);
+
+/** @param {SolverState} state */
+function findXYWing(state) {
+  const bivalues = bivalueCells(state);
+  for (const pivot of bivalues) {
+    const pivotMask = state.candidates[pivot];
+    const wings = bivalues.filter(ci => (
+      ci !== pivot && state.sees(pivot, ci) &&
+      countBits(state.candidates[ci] & pivotMask) === 1
+    ));
+    for (let i = 0; i < wings.length; i++) {
+      for (let j = i + 1; j < wings.length; j++) {
+        const a = state.candidates[wings[i]];
+        const b = state.candidates[wings[j]];
+        const z = a & b & ~pivotMask;
+        // Each wing must share a different pivot digit, and the same third digit.
+        if (!z || (a & b & pivotMask) || ((a | b) & pivotMask) !== pivotMask) continue;
+        const [digit] = digitsOf(z);
+        const eliminations = state.cellsSeeingAll([wings[i], wings[j]], digit)
+          .filter(ci => ci !== pivot)
+          .map(cell => ({ cell, digit }));
+        if (eliminations.length > 0) {
+          return step('XY-Wing', {
+            cells: [pivot, wings[i], wings[j]],
+            digits: digitsOf(pivotMask | z),
+            eliminations
+          });
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/** @param {SolverState} state */
+function findXYZWing(state) {
+  const bivalues = bivalueCells(state);
+  for (let pivot = 0; pivot < SPACES; pivot++) {
+    const pivotMask = state.candidates[pivot];
+    if (state.digits[pivot] > 0 || countBits(pivotMask) !== 3) continue;
+    const wings = bivalues.filter(ci => (
+      state.sees(pivot, ci) && (state.candidates[ci] & ~pivotMask) === 0
+    ));
+    for (let i = 0; i < wings.length; i++) {
+      for (let j = i + 1; j < wings.length; j++) {
+        const a = state.candidates[wings[i]];
+        const b = state.candidates[wings[j]];
+        if ((a | b) !== pivotMask || countBits(a & b) !== 1) continue;
+        const [digit] = digitsOf(a & b);
+        const eliminations = state.cellsSeeingAll([pivot, wings[i], wings[j]], digit)
+          .map(cell => ({ cell, digit }));
+        if (eliminations.length > 0) {
+          return step('XYZ-Wing', {
+            cells: [pivot, wings[i], wings[j]],
+            digits: digitsOf(pivotMask),
+            eliminations
+          });
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the houses of the given kind in which the digit has exactly two candidates.
+ * @param {SolverState} state
+ * @param {number[]} kind
+ * @param {number} digit
+ */
+const strongLinks = (state, kind, digit) => kind
+  .map(h => ({ h, cells: state.cellsWith(h, digit) }))
+  .filter(({ cells }) => cells.length === 2);
+
+/** @param {SolverState} state */
+function findSkyscraper(state) {
+  const { rows, cols } = state.shape;
+  for (const [kind, coverOf] of [[rows, cellCol], [cols, cellRow]]) {
+    for (let digit = 1; digit <= DIGITS; digit++) {
+      const links = strongLinks(state, kind, digit);
+      for (let i = 0; i < links.length; i++) {
+        for (let j = i + 1; j < links.length; j++) {
+          const [a1, a2] = links[i].cells;
+          const [b1, b2] = links[j].cells;
+          // Find the ends that line up, leaving the other two as the roof.
+          let roof = null;
+          if (coverOf(a1) === coverOf(b1) && coverOf(a2) !== coverOf(b2)) roof = [a2, b2];
+          else if (coverOf(a1) === coverOf(b2) && coverOf(a2) !== coverOf(b1)) roof = [a2, b1];
+          else if (coverOf(a2) === coverOf(b1) && coverOf(a1) !== coverOf(b2)) roof = [a1, b2];
+          else if (coverOf(a2) === coverOf(b2) && coverOf(a1) !== coverOf(b1)) roof = [a1, b1];
+          if (!roof) continue;
+          const eliminations = state.cellsSeeingAll(roof, digit).map(cell => ({ cell, digit }));
+          if (eliminations.length > 0) {
+            return step('Skyscraper', {
+              cells: [a1, a2, b1, b2], digits: [digit],
+              houses: [links[i].h, links[j].h],
+              eliminations
+            });
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/** @param {SolverState} state */
+function findTwoStringKite(state) {
+  const { rows, cols } = state.shape;
+  for (let digit = 1; digit <= DIGITS; digit++) {
+    const rowLinks = strongLinks(state, rows, digit);
+    const colLinks = strongLinks(state, cols, digit);
+    for (const row of rowLinks) {
+      for (const col of colLinks) {
+        const cells = [...row.cells, ...col.cells];
+        if (new Set(cells).size !== 4) continue;
+        for (const r of row.cells) {
+          for (const c of col.cells) {
+            if (state.shape.cellRegions[r] !== state.shape.cellRegions[c]) continue;
+            const ends = [row.cells.find(ci => ci !== r), col.cells.find(ci => ci !== c)];
+            const eliminations = state.cellsSeeingAll(ends, digit).map(cell => ({ cell, digit }));
+            if (eliminations.length > 0) {
+              return step('2-String Kite', {
+                cells, digits: [digit],
+                houses: [row.h, col.h],
+                eliminations
+              });
+            }
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/** @param {SolverState} state */
+function findWWing(state) {
+  const { houses } = state.shape;
+  const bivalues = bivalueCells(state);
+  for (let i = 0; i < bivalues.length; i++) {
+    for (let j = i + 1; j < bivalues.length; j++) {
+      const a = bivalues[i];
+      const b = bivalues[j];
+      const mask = state.candidates[a];
+      if (state.candidates[b] !== mask || state.sees(a, b)) continue;
+      for (const linkDigit of digitsOf(mask)) {
+        const [digit] = digitsOf(mask & ~encode(linkDigit));
+        const eliminations = state.cellsSeeingAll([a, b], digit).map(cell => ({ cell, digit }));
+        if (eliminations.length === 0) continue;
+        for (let h = 0; h < houses.length; h++) {
+          const link = state.cellsWith(h, linkDigit);
+          if (link.length !== 2 || link.includes(a) || link.includes(b)) continue;
+          const [s1, s2] = link;
+          if (
+            (state.sees(s1, a) && state.sees(s2, b)) ||
+            (state.sees(s1, b) && state.sees(s2, a))
+          ) {
+            return step('W-Wing', {
+              cells: [a, b, s1, s2],
+              digits: [linkDigit, digit],
+              houses: [h],
+              eliminations
+            });
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/** @param {SolverState} state */
+function findUniqueRectangle(state) {
+  for (let r1 = 0; r1 < DIGITS; r1++) {
+    for (let r2 = r1 + 1; r2 < DIGITS; r2++) {
+      for (let c1 = 0; c1 < DIGITS; c1++) {
+        for (let c2 = c1 + 1; c2 < DIGITS; c2++) {
+          const corners = [r1 * DIGITS + c1, r1 * DIGITS + c2, r2 * DIGITS + c1, r2 * DIGITS + c2];
+          if (corners.some(ci => state.digits[ci] > 0)) continue;
+          // The rectangle must span exactly two regions, and the digits could only swap
+          // places if no corner is in a variant's house.
+          if (new Set(corners.map(ci => state.shape.cellRegions[ci])).size !== 2) continue;
+          if (corners.some(ci => state.shape.cellHouses[ci].length > 3)) continue;
+          const common = corners.reduce((mask, ci) => (mask & state.candidates[ci]), ALL);
+          const commonDigits = digitsOf(common);
+          for (let i = 0; i < commonDigits.length; i++) {
+            for (let j = i + 1; j < commonDigits.length; j++) {
+              const pair = encode(commonDigits[i]) | encode(commonDigits[j]);
+              const floor = corners.filter(ci => state.candidates[ci] === pair);
+              const roof = corners.filter(ci => state.candidates[ci] !== pair);
+              const digits = [commonDigits[i], commonDigits[j]];
+              let eliminations = [];
+
+              if (floor.length === 3) {
+                // Type 1: the only corner with extra candidates can't be either of the pair.
+                eliminations = digits.map(digit => ({ cell: roof[0], digit }));
+              } else if (
+                floor.length === 2 &&
+                state.candidates[roof[0]] === state.candidates[roof[1]] &&
+                countBits(state.candidates[roof[0]]) === 3
+              ) {
+                // Type 2: one of the roof corners must hold the extra digit.
+                const [extra] = digitsOf(state.candidates[roof[0]] & ~pair);
+                eliminations = state.cellsSeeingAll(roof, extra).map(cell => ({ cell, digit: extra }));
+              }
+
+              if (eliminations.length > 0) {
+                return step('Unique Rectangle', { cells: corners, digits, eliminations });
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Places naked and hidden singles until there are none left.
+ * @param {SolverState} state
+ * @returns {boolean} `false` if the board runs into a contradiction; otherwise `true`.
+ */
+function propagateSingles(state) {
+  const { houses } = state.shape;
+  let progress = true;
+  while (progress) {
+    progress = false;
+
+    for (let ci = 0; ci < SPACES; ci++) {
+      if (state.digits[ci] > 0) continue;
+      const mask = state.candidates[ci];
+      if (mask === 0) return false;
+      if ((mask & (mask - 1)) === 0) {
+        state.place(ci, digitsOf(mask)[0]);
+        progress = true;
+      }
+    }
+
+    for (const house of houses) {
+      // Tally which digits are placed, and which can go in one or more cells.
+      let placed = 0;
+      let once = 0;
+      let more = 0;
+      for (const ci of house) {
+        if (state.digits[ci] > 0) {
+          const b = encode(state.digits[ci]);
+          if (placed & b) return false;
+          placed |= b;
+        } else {
+          more |= (once & state.candidates[ci]);
+          once |= state.candidates[ci];
+        }
+      }
+      if ((placed | once) !== ALL) return false;
+
+      const singles = once & ~more & ~placed;
+      if (singles === 0) continue;
+      for (const ci of house) {
+        if (state.digits[ci] > 0 || !(state.candidates[ci] & singles)) continue;
+        const mask = state.candidates[ci] & singles;
+        // Two digits that can only go in the same cell.
+        if (mask & (mask - 1)) return false;
+        state.place(ci, digitsOf(mask)[0]);
+        progress = true;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Tries each candidate in turn, following the singles it forces.
+ * If that leads to a contradiction, the candidate can be removed.
+ * @param {SolverState} state
+ */
+function findForcingChain(state) {
+  for (let ci = 0; ci < SPACES; ci++) {
+    if (state.digits[ci] > 0) continue;
+    for (const digit of digitsOf(state.candidates[ci])) {
+      const trial = state.clone();
+      trial.place(ci, digit);
+      if (!propagateSingles(trial)) {
+        return step('Forcing Chain', {
+          cells: [ci], digits: [digit],
+          eliminations: [{ cell: ci, digit }]
+        });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * All techniques known to the logical solver, in their default order
+ * (roughly easiest to hardest).
+ * @type {Technique[]}
+ */
+export const TECHNIQUES = Object.freeze([
+  { name: 'Full House', rating: 1.0, find: findFullHouse },
+  {
+    name: 'Hidden Single',
+    // Easier to spot within a region (or a variant's house) than along a row or column.
+    rating: (s) => ((s.houses[0] >= DIGITS * 2) ? 1.2 : 1.5),
+    find: findHiddenSingle
+  },
+  { name: 'Naked Single', rating: 2.3, find: findNakedSingle },
+  {
+    name: 'Locked Candidates (Pointing)',
+    rating: 2.6,
+    find: (state) => findLockedCandidates(
+      state, 'Locked Candidates (Pointing)',
+      [...state.shape.regions, ...state.shape.extras], [...state.shape.rows, ...state.shape.cols]
+    )
+  },
+  {
+    name: 'Locked Candidates (Claiming)',
+    rating: 2.8,
+    find: (state) => findLockedCandidates(
+      state, 'Locked Candidates (Claiming)',
+      [...state.shape.rows, ...state.shape.cols], [...state.shape.regions, ...state.shape.extras]
+    )
+  },
+  { name: 'Naked Pair', rating: 3.0, find: (state) => findNakedSubset(state, 2, 'Naked Pair') },
+  { name: 'X-Wing', rating: 3.2, find: (state) => findFish(state, 2, 'X-Wing') },
+  { name: 'Hidden Pair', rating: 3.4, find: (state) => findHiddenSubset(state, 2, 'Hidden Pair') },
+  { name: 'Naked Triple', rating: 3.6, find: (state) => findNakedSubset(state, 3, 'Naked Triple') },
+  { name: 'Swordfish', rating: 3.8, find: (state) => findFish(state, 3, 'Swordfish') },
+  { name: 'Hidden Triple', rating: 4.0, find: (state) => findHiddenSubset(state, 3, 'Hidden Triple') },
+  { name: 'Skyscraper', rating: 4.0, find: findSkyscraper },
+  { name: '2-String Kite', rating: 4.1, find: findTwoStringKite },
+  { name: 'XY-Wing', rating: 4.2, find: findXYWing },
+  { name: 'XYZ-Wing', rating: 4.4, find: findXYZWing },
+  { name: 'W-Wing', rating: 4.4, find: findWWing },
+  { name: 'Unique Rectangle', rating: 4.5, find: findUniqueRectangle },
+  { name: 'Naked Quad', rating: 5.0, find: (state) => findNakedSubset(state, 4, 'Naked Quad') },
+  { name: 'Jellyfish', rating: 5.2, find: (state) => findFish(state, 4, 'Jellyfish') },
+  { name: 'Hidden Quad', rating: 5.4, find: (state) => findHiddenSubset(state, 4, 'Hidden Quad') },
+  { name: 'Forcing Chain', rating: 7.5, find: findForcingChain },
+]);
+
+/** Names of all techniques, in their default order. */
+export const TECHNIQUE_NAMES = Object.freeze(TECHNIQUES.map(t => t.name));
+
+/** The rating given to puzzles that need more than the logical solver knows. */
+export const UNSOLVED_RATING = 11.0;
+
+/**
+ * @typedef {object} DifficultyBand
+ * @property {number} min Lowest rating in the band.
+ * @property {number} max Highest rating in the band.
+ */
+
+/**
+ * Named ranges of puzzle ratings.
+ * - `easy`: singles only.
+ * - `medium`: needs locked candidates, pairs or an X-Wing.
+ * - `tough`: needs triples, quads, fish, wings or unique rectangles.
+ * - `hard`: needs forcing chains.
+ * - `extreme`: needs more than the logical solver knows.
+ * @type {Readonly<Object<string, DifficultyBand>>}
+ */
+export const DIFFICULTY_BANDS = Object.freeze({
+  easy: Object.freeze({ min: 1.0, max: 2.3 }),
+  medium: Object.freeze({ min: 2.6, max: 3.4 }),
+  tough: Object.freeze({ min: 3.6, max: 5.4 }),
+  hard: Object.freeze({ min: 6.0, max: 10.9 }),
+  extreme: Object.freeze({ min: UNSOLVED_RATING, max: UNSOLVED_RATING })
+});
+
+/**
+ * Returns every rating a puzzle can have: those of the techniques, taking ratings that vary
+ * by step for both regions and lines, and `UNSOLVED_RATING`. Worked out on each call, as
+ * `Sudoku` may not have loaded yet when this module does.
+ * @returns {number[]}
+ */
+const puzzleRatings = () => [
+  ...TECHNIQUES.flatMap(({ rating }) => (
+    (typeof rating === 'function') ? [rating({ houses: [DIGITS * 2] }), rating({ houses: [0] })] : [rating]
+  )),
+  UNSOLVED_RATING
+];
+
+/**
+ * Whether some puzzle can be rated from `min` to `max`.
+ * @param {number} min
+ * @param {number} max
+ */
+const isReachable = (min, max) => puzzleRatings().some(rating => (rating >= min && rating <= max));
+
+/**
+ * Returns the levels that some puzzle can be rated at. Others, such as `6`, have no
+ * technique rated in them.
+ * @returns {number[]}
+ */
+const reachableLevels = () => range(11, 1).filter(level => isReachable(level, (level === 10) ? Infinity : level + 0.9));
+
+/**
+ * Resolves a difficulty to the range of ratings it allows.
+ * @param {number | string | DifficultyBand} difficulty One of:
+ * - A level from `1` to `10`, matching the whole-number part of the rating
+ * (level `10` includes everything rated above it);
+ * - The name of one of the `DIFFICULTY_BANDS`;
+ * - A `{ min, max }` range.
+ * @returns {DifficultyBand | null} The range, or `null` if `difficulty` is `0` or omitted (any rating).
+ * @throws {Error} If the difficulty is invalid, or no puzzle can be rated in it, e.g. level `6`,
+ * as no technique is rated from `6.0` to `6.9`. Generating such puzzles would never end.
+ */
+export function difficultyBand(difficulty) {
+  if (difficulty === undefined || difficulty === null || difficulty === 0) return null;
+  if (typeof difficulty === 'number') {
+    if (!Number.isInteger(difficulty) || difficulty < 0 || difficulty > 10) {
+      throw new Error(`Invalid difficulty (${difficulty}); expected 0 <= difficulty <= 10`);
+    }
+    const levels = reachableLevels();
+    if (!levels.includes(difficulty)) {
+      throw new Error(`Invalid difficulty (${difficulty}); no technique is rated at it. Expected one of ${levels.join(', ')}`);
+    }
+    return { min: difficulty, max: (difficulty === 10) ? Infinity : difficulty + 0.9 };
+  }
+  if (typeof difficulty === 'string') {
+    if (!(difficulty in DIFFICULTY_BANDS)) {
+      throw new Error(
+        `Unknown difficulty band (${difficulty}); expected one of ${Object.keys(DIFFICULTY_BANDS).join(', ')}`
+      );
+    }
+    return DIFFICULTY_BANDS[difficulty];
+  }
+  const { min, max } = difficulty;
+  if (!(min <= max)) throw new Error(`Invalid difficulty range (${min} - ${max})`);
+  if (!isReachable(min, max)) throw new Error(`Invalid difficulty range (${min} - ${max}); no technique is rated in it`);
+  return { min, max };
+}
+
+/**
+ * Returns the name of the band the given rating falls in.
+ * @param {number} rating
+ * @returns {string | null} The band name, or `null` if the rating falls between bands.
+ */
+export function bandOf(rating) {
+  const entry = Object.entries(DIFFICULTY_BANDS).find(([, { min, max }]) => (rating >= min && rating <= max));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Returns how hard the given step is for a person to find.
+ * @param {Step} s
+ * @returns {number}
+ */
+export function rateStep(s) {
+  const { rating } = TECHNIQUES.find(t => t.name === s.technique);
+  return (typeof rating === 'function') ? rating(s) : rating;
+}
+
+/**
+ * Joins items into a readable list, e.g. `1, 2 and 3`.
+ * @param {any[]} items
+ * @returns {string}
+ */
+function listOf(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/** @param {number[]} cells */
+const cellList = (cells) => listOf(cells.map(cellName));
+
+/**
+ * Describes eliminations grouped by digit, e.g. `5 from r1c1 and r1c2`.
+ * @param {{ cell: number, digit: number }[]} eliminations
+ * @returns {string}
+ */
+function eliminationList(eliminations) {
+  /** @type {Map<number, number[]>} */
+  const byDigit = new Map();
+  eliminations.forEach(({ cell, digit }) => {
+    if (!byDigit.has(digit)) byDigit.set(digit, []);
+    byDigit.get(digit).push(cell);
+  });
+  return listOf(
+    [...byDigit.keys()].sort((a, b) => a - b).map(digit => `${digit} from ${cellList(byDigit.get(digit))}`)
+  );
+}
+
+/**
+ * @param {Step} s
+ * @param {(house: number) => string} name
+ */
+const explainLockedCandidates = ({ cells, digits: [digit], houses: [from, to], eliminations }, name) => (
+  `In ${name(from)}, ${digit} can only go in ${cellList(cells)}, which are all in ${name(to)}. ` +
+  `So ${digit} can't go anywhere else in ${name(to)}: remove ${eliminationList(eliminations)}.`
+);
+
+/**
+ * @param {Step} s
+ * @param {(house: number) => string} name
+ */
+const explainNakedSubset = ({ cells, digits, houses: [house], eliminations }, name) => (
+  `${cellList(cells)} can only hold ${listOf(digits)} between them, ` +
+  `so those digits can't go anywhere else in ${name(house)}: remove ${eliminationList(eliminations)}.`
+);
+
+/**
+ * @param {Step} s
+ * @param {(house: number) => string} name
+ */
+const explainHiddenSubset = ({ cells, digits, houses: [house], eliminations }, name) => (
+  `In ${name(house)}, ${listOf(digits)} can only go in ${cellList(cells)}, ` +
+  `so those cells can't hold anything else: remove ${eliminationList(eliminations)}.`
+);
+
+/**
+ * @param {Step} s
+ * @param {(house: number) => string} name
+ */
+const explainFish = ({ digits: [digit], houses, eliminations }, name) => {
+  const bases = houses.slice(0, houses.length / 2).map(name);
+  const covers = houses.slice(houses.length / 2).map(name);
+  return (
+    `${listOf(bases).replace(/^./, c => c.toUpperCase())} each need a ${digit}, and can only place it in ${listOf(covers)}. ` +
+    `That uses up the ${digit} of each of ${listOf(covers)}: remove ${eliminationList(eliminations)}.`
+  );
+};
+
+/**
+ * Builds a human-readable explanation for each technique's steps, given a function that
+ * names houses (see `houseName`).
+ * @type {Object<string, (s: Step, name: (house: number) => string) => string>}
+ */
+const EXPLAINERS = {
+  'Full House': ({ placements: [{ cell, digit }], houses: [house] }, name) => (
+    `${cellName(cell)} is the last empty cell in ${name(house)}, so it must be ${digit}.`
+  ),
+  'Hidden Single': ({ placements: [{ cell, digit }], houses: [house] }, name) => (
+    `In ${name(house)}, ${digit} can only go in ${cellName(cell)}.`
+  ),
+  'Naked Single': ({ placements: [{ cell, digit }] }) => (
+    `${cellName(cell)} can only be ${digit}; every other digit is already in its row, column or region.`
+  ),
+  'Locked Candidates (Pointing)': explainLockedCandidates,
+  'Locked Candidates (Claiming)': explainLockedCandidates,
+  'Naked Pair': explainNakedSubset,
+  'Naked Triple': explainNakedSubset,
+  'Naked Quad': explainNakedSubset,
+  'Hidden Pair': explainHiddenSubset,
+  'Hidden Triple': explainHiddenSubset,
+  'Hidden Quad': explainHiddenSubset,
+  'X-Wing': explainFish,
+  'Swordfish': explainFish,
+  'Jellyfish': explainFish,
+  'Skyscraper': ({ cells, digits: [digit], houses: [a, b], eliminations }, name) => (
+    `${digit} can only go in two places in each of ${name(a)} and ${name(b)} (${cellList(cells)}). ` +
+    `One end of each lines up, so one of the other two ends must be ${digit}: ` +
+    `remove ${eliminationList(eliminations)}.`
+  ),
+  '2-String Kite': ({ cells, digits: [digit], houses: [row, col], eliminations }, name) => (
+    `${digit} can only go in two places in each of ${name(row)} and ${name(col)} (${cellList(cells)}), ` +
+    `and the two pairs are joined in a region, so one of the far ends must be ${digit}: ` +
+    `remove ${eliminationList(eliminations)}.`
+  ),
+  'XY-Wing': ({ cells: [pivot, ...wings], eliminations }) => (
+    `${cellName(pivot)} is either of its two digits, and either way one of ${cellList(wings)} ` +
+    `must be ${eliminations[0].digit}: remove ${eliminationList(eliminations)}.`
+  ),
+  'XYZ-Wing': ({ cells, eliminations }) => (
+    `One of ${cellList(cells)} must be ${eliminations[0].digit}, ` +
+    `so cells that see all three can't be: remove ${eliminationList(eliminations)}.`
+  ),
+  'W-Wing': ({ cells: [a, b, ...link], digits: [linkDigit, digit], houses: [house], eliminations }, name) => (
+    `${cellName(a)} and ${cellName(b)} can only be ${linkDigit} or ${digit}. ` +
+    `In ${name(house)}, ${linkDigit} must go in ${link.map(cellName).join(' or ')}, which see them, ` +
+    `so one of the pair must be ${digit}: remove ${eliminationList(eliminations)}.`
+  ),
+  'Forcing Chain': ({ cells: [cell], digits: [digit], eliminations }) => (
+    `If ${cellName(cell)} were ${digit}, the singles that follow would lead to a contradiction, ` +
+    `so it can't be: remove ${eliminationList(eliminations)}.`
+  ),
+  'Unique Rectangle': ({ cells, digits, eliminations }) => {
+    const [{ digit }] = eliminations;
+    return (
+      `${cellList(cells)} form a rectangle over two regions. If they held only ${listOf(digits)}, ` +
+      `those digits could swap places and the puzzle would have two solutions, ` +
+      (digits.includes(digit) ?
+        `so the corner with other candidates can't be either of them: ` :
+        `so one of the corners with other candidates must be ${digit}: `) +
+      `remove ${eliminationList(eliminations)}.`
+    );
+  },
+};
+
+/**
+ * Builds a human-readable explanation of the given step.
+ * @param {Step} s
+ * @param {object} options
+ * @param {string[]} options.variants (Default none) The variants of the board the step was
+ * found on, to name their houses (see `houseName`).
+ * @returns {string}
+ */
+export function explainStep(s, { variants = [] } = {}) {
+  return EXPLAINERS[s.technique](s, (house) => houseName(house, { variants }));
+}
+
+/**
+ * Solves puzzles the way a person would, by repeatedly applying the easiest
+ * named technique that makes progress, and never guessing.
+ *
+ * Note: 'Unique Rectangle' assumes the puzzle has a single solution and may
+ * make incorrect eliminations otherwise.
+ */
+export class LogicalSolver {
+  /**
+   * @param {object} options
+   * @param {string[]} [options.techniques] (Default: all, in `TECHNIQUE_NAMES` order)
+   * Names of the techniques the solver may use, in the order they should be tried.
+   * @param {number} [options.maxRating] (Default no limit) Steps rated above this are not taken.
+   * @throws {Error} If a technique name is not recognized.
+   */
+  constructor({ techniques = TECHNIQUE_NAMES, maxRating = Infinity } = {}) {
+    /** @type {Technique[]} */
+    this.techniques = techniques.map(name => {
+      const technique = TECHNIQUES.find(t => t.name === name);
+      if (!technique) throw new Error(`Unknown technique: ${name}`);
+      return technique;
+    });
+    this.maxRating = maxRating;
+  }
+
+  /**
+   * Finds the next step using the first technique (in order) that applies, skipping steps
+   * rated above `maxRating`.
+   * @param {SolverState} state
+   * @returns {Step | null}
+   */
+  findStep(state) {
+    for (const technique of this.techniques) {
+      const found = technique.find(state);
+      if (found && rateStep(found) <= this.maxRating) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the next logical step for the given puzzle, or `null` if the
+   * puzzle is invalid, already full, or none of the techniques apply.
+   * Candidates already removed from the board are left out.
+   * @param {Sudoku} sudoku
+   * @returns {Step | null}
+   */
+  nextStep(sudoku) {
+    if (!sudoku.isValid()) return null;
+    const state = new SolverState(sudoku, { pencilmarks: true });
+    if (state.isSolved() || state.isBroken()) return null;
+    return this.findStep(state);
+  }
+
+  /**
+   * Applies techniques until the puzzle is solved or no technique applies.
+   * @param {Sudoku} sudoku The puzzle to solve. It is not modified.
+   * @returns {{ solved: boolean, steps: Step[], sudoku: Sudoku }} Whether the puzzle
+   * was solved, the steps taken in order, and the board as far as the solver got.
+   */
+  solve(sudoku) {
+    const state = new SolverState(sudoku);
+    /** @type {Step[]} */
+    const steps = [];
+
+    if (sudoku.isValid()) {
+      while (!state.isSolved() && !state.isBroken()) {
+        const found = this.findStep(state);
+        if (!found) break;
+        state.apply(found);
+        steps.push(found);
+      }
+    }
+
+    return {
+      solved: sudoku.isValid() && state.isSolved() && !state.isBroken(),
+      steps,
+      sudoku: state.toSudoku()
+    };
+  }
+
+  /**
+   * Rates how hard the puzzle is for a person, on a scale modeled after Sudoku Explainer:
+   * the rating of the hardest technique needed to solve it.
+   * @param {Sudoku} sudoku
+   * @returns {{ rating: number, hardest: string | null, solved: boolean, steps: Step[] }}
+   * The rating (or `UNSOLVED_RATING` if the solver gets stuck), the name of the hardest
+   * technique used, whether the puzzle was solved, and the steps taken.
+   */
+  rate(sudoku) {
+    const { solved, steps } = this.solve(sudoku);
+    let rating = 0;
+    let hardest = null;
+    steps.forEach(s => {
+      const stepRating = rateStep(s);
+      if (stepRating > rating) {
+        rating = stepRating;
+        hardest = s.technique;
+      }
+    });
+    return { rating: solved ? rating : UNSOLVED_RATING, hardest, solved, steps };
+  }
+
+  /**
+   * Creates a solver with only the techniques rated at or below the given rating, which
+   * takes no step rated above it. It gets stuck on puzzles that need a harder step.
+   * @param {number} maxRating
+   * @returns {LogicalSolver}
+   */
+  static upTo(maxRating) {
+    return new LogicalSolver({
+      techniques: TECHNIQUES.filter(({ rating }) => (
+        // Ratings that vary by step are lowest for regions.
+        ((typeof rating === 'function') ? rating({ houses: [DIGITS * 2] }) : rating) <= maxRating
+      )).map(t => t.name),
+      maxRating
+    });
+  }
+
+  /**
+   * Determines whether the puzzle can be solved with this solver's techniques alone.
+   * @param {Sudoku} sudoku
+   * @returns {boolean}
+   */
+  canSolve(sudoku) {
+    return this.solve(sudoku).solved;
+  }
+}
+
+export default LogicalSolver;
@@ -0,0 +1,340 @@
+import Sudoku, { DIGITS, SPACES, cellRow, cellCol, decode, isDigit } from './Sudoku.js';
+import { range, shuffle } from '../util/arrays.js';
+
+/** @typedef {import('../util/random.js').Rng} Rng */
+
+/** The number of rows and columns that the five grids span. */
+const SIZE = 21;
+
+/**
+ * The row and column of each grid's top left cell: top left, top right, center, bottom
+ * left, and bottom right. The center grid shares each of its corner boxes with one of the others.
+ */
+const GRID_OFFSETS = Object.freeze([[0, 0], [0, 12], [6, 6], [12, 0], [12, 12]]);
+
+/** The index of the center grid, the only one that shares boxes with more than one other. */
+const CENTER = 2;
+
+/**
+ * The grids and cell indices within them at each position of the whole board, row by row.
+ * Positions between the grids have none; shared ones have two.
+ * @type {number[][][]}
+ */
+const POSITIONS = range(SIZE * SIZE).map(() => []);
+GRID_OFFSETS.forEach(([top, left], g) => {
+  range(SPACES).forEach((ci) => POSITIONS[(top + cellRow(ci)) * SIZE + left + cellCol(ci)].push([g, ci]));
+});
+
+/**
+ * Each cell shared by two grids, as `[grid, cellIndex, otherGrid, otherCellIndex]`.
+ * @type {number[][]}
+ */
+const LINKS = POSITIONS.filter((cells) => cells.length === 2).map(([[a, ai], [b, bi]]) => [a, ai, b, bi]);
+
+/** The positions that are in some grid. */
+const USED = range(SIZE * SIZE).filter((pos) => POSITIONS[pos].length > 0);
+
+/**
+ * Returns the grids and cell indices at the given row and column of the whole board.
+ * @param {number} row
+ * @param {number} col
+ * @returns {number[][]}
+ * @throws {Error} If no grid covers the position.
+ */
+function cellsAt(row, col) {
+  const cells = (row >= 0 && row < SIZE && col >= 0 && col < SIZE) ? POSITIONS[row * SIZE + col] : [];
+  if (cells.length === 0) throw new Error(`No samurai cell at r${row + 1}c${col + 1}`);
+  return cells;
+}
+
+/**
+ * Samurai sudoku: five 9x9 grids, one in the center and one overlapping each of its
+ * corner boxes, spanning 21 rows and columns. Each grid follows the usual rules, and the
+ * boxes they share hold the same digits in both.
+ *
+ * Positions on the whole board are given as rows and columns from `0` to `20`.
+ */
+export class SamuraiSudoku {
+  /**
+   * @param {(Sudoku | string | number[])[]} grids (Default empty) The top left, top right,
+   * center, bottom left, and bottom right grids. Digits given for a shared cell in only one
+   * grid are copied to the other.
+   * @throws {Error} If there aren't five standard 9x9 grids, or two grids have different
+   * digits in a shared cell.
+   */
+  constructor(grids = range(GRID_OFFSETS.length).map(() => new Sudoku())) {
+    if (grids.length !== GRID_OFFSETS.length) {
+      throw new Error(`Samurai sudoku needs ${GRID_OFFSETS.length} grids; got ${grids.length}`);
+    }
+
+    /** @type {Sudoku[]} */
+    this.grids = grids.map((grid) => new Sudoku(grid));
+    this.grids.forEach((grid) => grid._checkStandard('Samurai sudoku'));
+
+    LINKS.forEach(([a, ai, b, bi]) => {
+      const digitA = this.grids[a].getDigit(ai);
+      const digitB = this.grids[b].getDigit(bi);
+      if (digitA === digitB) return;
+      if (digitA > 0 && digitB > 0) {
+        throw new Error(`Samurai grids ${a + 1} and ${b + 1} disagree in a shared cell: ${digitA} and ${digitB}`);
+      }
+      if (digitA > 0) {
+        this.grids[b].setDigit(digitA, bi);
+      } else {
+        this.grids[a].setDigit(digitB, ai);
+      }
+    });
+  }
+
+  /**
+   * Reads a board written by `toString` (the five grids' strings, one after another) or
+   * `toFullString` (21 lines, with spaces between the grids).
+   * @param {string} str
+   * @returns {SamuraiSudoku}
+   * @throws {Error} If the string is neither.
+   */
+  static fromString(str) {
+    const lines = str.replace(/\r/g, '').split('\n').filter((line) => line.trim().length > 0);
+    if (lines.length === SIZE) {
+      const grids = GRID_OFFSETS.map(([top, left]) => range(SPACES).map((ci) => {
+        const ch = lines[top + cellRow(ci)][left + cellCol(ci)] ?? ' ';
+        return (ch === ' ') ? '.' : ch;
+      }).join(''));
+      return new SamuraiSudoku(grids);
+    }
+
+    const compact = str.replace(/\s/g, '');
+    if (compact.length !== GRID_OFFSETS.length * SPACES) {
+      throw new Error(`Invalid samurai string: expected ${SIZE} lines or ${GRID_OFFSETS.length * SPACES} cells`);
+    }
+    return new SamuraiSudoku(range(GRID_OFFSETS.length).map((g) => compact.slice(g * SPACES, (g + 1) * SPACES)));
+  }
+
+  /**
+   * Generates a puzzle with a unique solution, by filling the center grid, then the others
+   * around its corner boxes, and removing clues at random for as long as the solution stays unique.
+   * @param {object} options
+   * @param {number} options.numClues (Default `0`) Stops removing clues at this many. There
+   * may be more if no more can go.
+   * @param {Rng} options.rng (Default `Math.random`) Source of random numbers. With a seeded
+   * generator (see `createRng`), the same options give the same puzzle.
+   * @returns {SamuraiSudoku}
+   */
+  static generate({ numClues = 0, rng = Math.random } = {}) {
+    const center = Sudoku.generateConfig(rng);
+    const grids = GRID_OFFSETS.map((_, g) => {
+      if (g === CENTER) return center;
+      // Any box can be completed to a grid, so this always has a solution.
+      const grid = new Sudoku();
+      LINKS.forEach(([a, ai, b, bi]) => {
+        if (a === g) grid.setDigit(center.getDigit(bi), ai);
+        if (b === g) grid.setDigit(center.getDigit(ai), bi);
+      });
+      return grid.solution(rng);
+    });
+
+    const puzzle = new SamuraiSudoku(grids);
+    let clues = USED.length;
+    for (const pos of shuffle([...USED], rng)) {
+      if (clues <= numClues) break;
+      const row = (pos / SIZE) | 0;
+      const col = pos % SIZE;
+      const digit = puzzle.getDigit(row, col);
+      puzzle.setDigit(0, row, col);
+      if (puzzle.hasUniqueSolution({ rng })) {
+        clues--;
+      } else {
+        puzzle.setDigit(digit, row, col);
+      }
+    }
+    return puzzle;
+  }
+
+  /**
+   * Returns the digit at the given row and column of the whole board, or `0` if the cell is empty.
+   * @param {number} row
+   * @param {number} col
+   * @returns {number}
+   */
+  getDigit(row, col) {
+    const [[g, ci]] = cellsAt(row, col);
+    return this.grids[g].getDigit(ci);
+  }
+
+  /**
+   * Sets the digit at the given row and column of the whole board, in every grid that has the cell.
+   * @param {number} digit `0` to empty the cell.
+   * @param {number} row
+   * @param {number} col
+   */
+  setDigit(digit, row, col) {
+    cellsAt(row, col).forEach(([g, ci]) => this.grids[g].setDigit(digit, ci));
+  }
+
+  /** The number of empty cells, counting shared cells once. */
+  get numEmptyCells() {
+    return USED.filter((pos) => {
+      const [[g, ci]] = POSITIONS[pos];
+      return this.grids[g].getDigit(ci) === 0;
+    }).length;
+  }
+
+  /**
+   * Returns true if no grid has clashing digits.
+   * @returns {boolean}
+   */
+  isValid() {
+    return this.grids.every((grid) => grid.isValid());
+  }
+
+  /**
+   * Returns true if every grid is full and valid.
+   * @returns {boolean}
+   */
+  isSolved() {
+    return this.grids.every((grid) => grid.isSolved());
+  }
+
+  /**
+   * Reduces each grid's candidates with the usual rules, and keeps the shared cells' candidates
+   * the same in both grids, until neither finds anything more.
+   * @param {Sudoku[]} grids
+   * @returns {boolean} `false` if the board can't be solved.
+   */
+  static _propagate(grids) {
+    for (;;) {
+      for (const grid of grids) {
+        grid._reduce();
+        if (!grid.isValid()) return false;
+      }
+
+      let changed = false;
+      for (const [a, ai, b, bi] of LINKS) {
+        const both = grids[a]._candidates[ai] & grids[b]._candidates[bi];
+        if (both === 0) return false;
+        for (const [grid, ci] of [[grids[a], ai], [grids[b], bi]]) {
+          if (grid._candidates[ci] === both) continue;
+          changed = true;
+          if (isDigit(both)) {
+            grid.setDigit(decode(both), ci);
+            if (!grid.isValid()) return false;
+          } else {
+            grid._candidates[ci] = both;
+          }
+        }
+      }
+      if (!changed) return true;
+    }
+  }
+
+  /**
+   * Searches the grids for solutions depth first, trying the cell with the fewest candidates next.
+   * @param {Sudoku[]} grids Modified by the search.
+   * @param {number} limit Stops after finding this many solutions.
+   * @param {Rng} rng Decides the order solutions are found in.
+   * @param {((solution: SamuraiSudoku) => void) | null} onSolution
+   * @returns {number} The number of solutions found.
+   */
+  static _search(grids, limit, rng, onSolution) {
+    if (!SamuraiSudoku._propagate(grids)) return 0;
+
+    let best = -1;
+    let bestCell = -1;
+    let fewest = DIGITS + 1;
+    grids.forEach((grid, g) => {
+      const ci = grid._pickEmptyCell(rng);
+      if (ci < 0) return;
+      const count = grid.getCandidates(ci).length;
+      if (count < fewest) {
+        best = g;
+        bestCell = ci;
+        fewest = count;
+      }
+    });
+    if (best < 0) {
+      if (!grids.every((grid) => grid.isSolved())) return 0;
+      if (onSolution) onSolution(new SamuraiSudoku(grids));
+      return 1;
+    }
+
+    let count = 0;
+    for (const digit of shuffle([...grids[best].getCandidates(bestCell)], rng)) {
+      const next = grids.map((grid) => new Sudoku(grid));
+      next[best].setDigit(digit, bestCell);
+      if (!next[best].isValid()) continue;
+      count += SamuraiSudoku._search(next, limit - count, rng, onSolution);
+      if (count >= limit) break;
+    }
+    return count;
+  }
+
+  /**
+   * Searches for solutions, stopping at the second.
+   * @param {object} options
+   * @param {Rng} options.rng (Default `Math.random`) Decides the order cells and digits are tried in.
+   * @returns {number} `0` for no solution, `1` for a single solution, or `2` for more.
+   */
+  solutionsFlag({ rng = Math.random } = {}) {
+    return this.solutionCount({ limit: 2, rng });
+  }
+
+  /**
+   * Determines whether this puzzle has a single solution.
+   * @param {object} options See `solutionsFlag`.
+   * @returns {boolean}
+   */
+  hasUniqueSolution(options) {
+    return this.solutionsFlag(options) === 1;
+  }
+
+  /**
+   * Counts the puzzle's solutions.
+   * @param {object} options
+   * @param {number} options.limit (Default no limit) Stops counting at this many.
+   * @param {Rng} options.rng (Default `Math.random`) Decides the order cells and digits are tried in.
+   * @returns {number}
+   */
+  solutionCount({ limit = Infinity, rng = Math.random } = {}) {
+    if (!this.isValid()) return 0;
+    return SamuraiSudoku._search(this.grids.map((grid) => new Sudoku(grid)), limit, rng, null);
+  }
+
+  /**
+   * Finds a solution.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers, which decide
+   * which solution is found first.
+   * @returns {SamuraiSudoku | null} The first solution found, or `null` if there is none.
+   */
+  solution(rng = Math.random) {
+    let found = null;
+    if (this.isValid()) {
+      SamuraiSudoku._search(this.grids.map((grid) => new Sudoku(grid)), 1, rng, (solution) => { found = solution; });
+    }
+    return found;
+  }
+
+  /**
+   * Returns the five grids' strings (see `Sudoku.toString`) one after another, in the order
+   * they are given to the constructor. Shared cells appear in both grids.
+   * @returns {string}
+   */
+  toString() {
+    return this.grids.map((grid) => grid.toString()).join('');
+  }
+
+  /**
+   * Returns the whole board as 21 lines of 21 characters, with `.` for empty cells and
+   * spaces between the grids.
+   * @returns {string}
+   */
+  toFullString() {
+    return range(SIZE).map((row) => range(SIZE).map((col) => {
+      const cells = POSITIONS[row * SIZE + col];
+      if (cells.length === 0) return ' ';
+      const digit = this.grids[cells[0][0]].getDigit(cells[0][1]);
+      return (digit > 0) ? `${digit}` : '.';
+    }).join('').trimEnd()).join('\n');
+  }
+}
+
+export default SamuraiSudoku;
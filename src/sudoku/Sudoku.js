@@ -13,9 +13,15 @@ import {
   countBits,
   randInt
 } from '../util/arrays.js';
-import { randomBitCombo } from '@metal-pony/counting-js';
 import SudokuSieve, { searchForItemsFromMask, seedSieveDc } from './SudokuSieve.js';
 import { NCK, randomBig } from '../util/combos.js';
+import LogicalSolver, { UNSOLVED_RATING, difficultyBand, explainStep } from './LogicalSolver.js';
+import DancingLinks from './DancingLinks.js';
+import { countSolutions } from './bitboard.js';
+import { minlex } from './minlex.js';
+import Transform from './Transform.js';
+
+/** @typedef {import('../util/random.js').Rng} Rng */
 
 export const RANK = 3;
 /** The number of digits used in sudoku.*/
@@ -34,13 +40,19 @@ export const MIN_CLUES = 17;
  */
 const DIGIT_BAG = range(DIGITS + 1, 1);
 
-/** Used to pull out row constraints. */
-const ROW_MASK = ALL << (DIGITS * 2);
-/** Used to pull out column constraints. */
-const COLUMN_MASK = ALL << DIGITS;
-/** Used to pull out region constraints. */
-const REGION_MASK = ALL;
-const FULL_CONSTRAINTS = ROW_MASK | COLUMN_MASK | REGION_MASK;
+/**
+ * Supported board ranks: a board of rank `n` has `n^2` digits, rows, columns and regions,
+ * and `n^4` cells. Rank `3` is standard sudoku.
+ */
+export const RANKS = Object.freeze([2, 3, 4, 5]);
+/** Maps the number of cells on a board to its rank. */
+const RANK_BY_SPACES = new Map(RANKS.map((rank) => [rank ** 4, rank]));
+/** The number of digits on the largest supported board. */
+const MAX_DIGITS = RANKS[RANKS.length - 1] ** 2;
+/** How each digit is written, indexed by digit; digits above `9` are letters. */
+const DIGIT_SYMBOLS = '0123456789ABCDEFGHIJKLMNOP';
+/** How many times `genConfig` starts over, on boards where searches can get stuck, before giving up. */
+const MAX_CONFIG_ATTEMPTS = 100;
 
 const DIGIT_MASKS = [0, ...range(DIGITS).map((d) => (1 << d))];
 /**
@@ -75,6 +87,26 @@ export function cellsFromMask(mask) {
   return cells;
 }
 
+/**
+ * Builds a cell mask from a picture of a clue layout, where `.`, `0`, `-` and `_` are empty
+ * cells and any other character (e.g. `x`) is a clue. Whitespace is ignored, so the picture
+ * may be split into rows.
+ * @param {string} picture
+ * @returns {bigint}
+ * @throws {Error} If the picture does not have exactly 81 cells.
+ * @example
+ * patternToMask('x...x...x' + '.'.repeat(72)) // 0b100010001000...n
+ */
+export function patternToMask(picture) {
+  const cells = picture.replace(/\s/g, '');
+  if (cells.length !== SPACES) {
+    throw new Error(`Pattern has ${cells.length} cells; expected ${SPACES}`);
+  }
+  return [...cells].reduce((mask, ch, ci) => (
+    ('.0-_'.includes(ch)) ? mask : (mask | (1n << BigInt(SPACES - ci - 1)))
+  ), 0n);
+}
+
 const CELL_MASKS = range(SPACES).map((cellIndex) => (1n << (BigInt(SPACES - cellIndex - 1))));
 /**
  * Maps each cell index to a mask representing it and its symmetric counterpart cell.
@@ -96,10 +128,10 @@ const CELL_MASK_COMPLEMENTS = range(SPACES).map((cellIndex) => {
 export const cellMask = (cellIndex) => CELL_MASKS[cellIndex];
 
 /**
- * Maps digits (the indices) to their encoded board values.
+ * Maps digits (the indices) to their encoded board values, for boards of any rank.
  * @type {number[]}
  **/
-const ENCODER = [0, ...range(DIGITS).map((shift) => 1<<shift)];
+const ENCODER = [0, ...range(MAX_DIGITS).map((shift) => 1<<shift)];
 /**
  * Maps encoded board values (the indices) to the digits they represent.
  * @type {number[]}
@@ -128,12 +160,6 @@ const CANDIDATE_DECODINGS = range(1<<DIGITS).map(encoded => {
  */
 export const forEachCandidate = (encoded, callback) => CANDIDATE_DECODINGS[encoded].forEach(d => callback(d));
 
-/**
- * Maps the encoded board values (the indices) to the list of candidate digits (ENCODED) they represent.
- * @type {number[][]}
- **/
-const CANDIDATES = CANDIDATE_DECODINGS.map(c => c.map(digit => ENCODER[digit]));
-
 const BIT_COUNT_MAP = range(1<<DIGITS).map(countBits);
 
 /**
@@ -169,15 +195,17 @@ export const masksFor = {
 
 /**
  * Encodes a digit value.
- * @param {number} digit From 0 - 9
+ * @param {number} digit From 0 - 9 (or up to 25 on larger boards)
  */
 export const encode = (digit) => ENCODER[digit];
 
 /**
- * Decodes an encoded value.
+ * Decodes an encoded value, giving `0` unless it holds exactly one digit.
  * @param {number} encoded
  */
-export const decode = (encoded) => DECODER[encoded];
+export const decode = (encoded) => (
+  (encoded < DECODER.length) ? DECODER[encoded] : (((encoded & (encoded - 1)) === 0) ? 32 - Math.clz32(encoded) : 0)
+);
 
 /**
  * Returns whether the given encoded value represents a digit.
@@ -233,6 +261,460 @@ export const CELL_NEIGHBORS = range(SPACES).map((ci) => {
 /** Returns the region index of the given cell.*/
 export const cellRegion2D = (row, col) => CELL_REGIONS[row * DIGITS + col];
 
+/**
+ * Extra houses that variants add to the rows, columns, and regions. Each gives the cells of
+ * the houses it adds on a board of the given rank. Like the others, each extra house must
+ * hold every digit once.
+ * - `'x'` - Sudoku-X: the two main diagonals.
+ * - `'windoku'` - Windoku, or Hyper Sudoku: the square "windows" one cell in from each edge
+ *   and one cell apart, e.g. rows and columns 2 - 4 and 6 - 8 on a 9x9 board. Boards up to
+ *   9x9 only, as filling larger ones takes too long.
+ * @type {Readonly<Record<string, (rank: number) => number[][]>>}
+ */
+export const VARIANTS = Object.freeze({
+  x: (rank) => {
+    const digits = rank * rank;
+    return [
+      range(digits).map((i) => i * (digits + 1)),
+      range(digits).map((i) => (i + 1) * (digits - 1))
+    ];
+  },
+  windoku: (rank) => {
+    if (rank > RANK) throw new Error(`Windoku only supports boards up to 9x9 (rank ${RANK}); got rank ${rank}`);
+    const digits = rank * rank;
+    const starts = range(rank - 1).map((w) => 1 + w * (rank + 1));
+    return starts.flatMap((top) => starts.map((left) => (
+      range(digits).map((i) => (top + ((i / rank) | 0)) * digits + left + (i % rank))
+    )));
+  }
+});
+
+/**
+ * Returns each pair of cells that are the given row and column offsets apart.
+ * @param {number} rank
+ * @param {number[][]} offsets `[rows, cols]` apart, one way round; e.g. `[0, 1]` and not `[0, -1]`.
+ * @returns {number[][]}
+ */
+function offsetPairs(rank, offsets) {
+  const digits = rank * rank;
+  return range(digits * digits).flatMap((ci) => {
+    const row = (ci / digits) | 0;
+    const col = ci % digits;
+    return offsets
+      .filter(([dr, dc]) => (row + dr >= 0 && row + dr < digits && col + dc >= 0 && col + dc < digits))
+      .map(([dr, dc]) => [ci, ci + dr * digits + dc]);
+  });
+}
+
+/**
+ * Variants that restrict pairs of cells rather than adding houses. Each gives the pairs of
+ * cells it applies to on a board of the given rank, and the digits that either cell of a
+ * pair can't hold when the other holds `digit`.
+ * - `'antiknight'` - Cells a chess knight's move apart can't hold the same digit.
+ * - `'antiking'` - Cells a chess king's move apart, diagonally too, can't hold the same digit.
+ * - `'nonconsecutive'` - Orthogonally neighboring cells can't hold consecutive digits.
+ *
+ * Boards with these are searched with the `'dfs'` solver, as the others can't express them.
+ * @type {Readonly<Record<string, { pairs: (rank: number) => number[][], forbids: (digit: number) => number[] }>>}
+ */
+export const PAIR_VARIANTS = Object.freeze({
+  antiknight: {
+    pairs: (rank) => offsetPairs(rank, [[1, -2], [1, 2], [2, -1], [2, 1]]),
+    forbids: (digit) => [digit]
+  },
+  antiking: {
+    pairs: (rank) => offsetPairs(rank, [[0, 1], [1, -1], [1, 0], [1, 1]]),
+    forbids: (digit) => [digit]
+  },
+  nonconsecutive: {
+    pairs: (rank) => offsetPairs(rank, [[0, 1], [1, 0]]),
+    forbids: (digit) => [digit - 1, digit + 1]
+  }
+});
+
+/**
+ * Lookup tables for boards of one rank, region layout, and set of variants. The module-level
+ * tables above are the ones for standard 9x9 boards.
+ * @typedef {object} Geometry
+ * @property {number} rank
+ * @property {string[]} variants Names of the `VARIANTS` and `PAIR_VARIANTS` included.
+ * @property {string} regions The region of each cell, written as `1`, `2`, and so on.
+ * @property {boolean} jigsaw Whether the regions are something other than boxes.
+ * @property {boolean} standard Whether this is a 9x9 board of boxes without variants.
+ * @property {number} digits The number of digits, and of rows, columns, and regions.
+ * @property {number} spaces The number of cells.
+ * @property {number} all The candidate mask with every digit.
+ * @property {number[]} cellRows Maps cell indices to rows.
+ * @property {number[]} cellCols Maps cell indices to columns.
+ * @property {number[]} cellRegions Maps cell indices to regions.
+ * @property {number[][]} houses Cell indices of each house: the rows, then the columns, then
+ * the regions, then any added by variants.
+ * @property {number[][]} cellHouses Maps cell indices to the houses (indices of `houses`)
+ * they are in, the row, column, and region first.
+ * @property {{row: number[][], col: number[][], region: number[][]}} indicesFor Cell indices
+ * of each row, column, and region.
+ * @property {number[][]} rowNeighbors
+ * @property {number[][]} colNeighbors
+ * @property {number[][]} regionNeighbors
+ * @property {number[][][]} extraNeighbors Maps cell indices to the other cells of each
+ * variant house they are in.
+ * @property {{ partners: number[][], forbidden: number[] }[]} pairs The rules of any
+ * `PAIR_VARIANTS`: the cells paired with each cell, and, indexed by digit, the candidate
+ * mask that a cell's partners can't hold (`0` for empty cells).
+ * @property {number[][]} cellNeighbors The cells sharing any house or pair with each cell.
+ * @property {bigint[]} cellMasks Maps cell indices to cell masks, the first cell in the highest bit.
+ * @property {(encoded: number) => number[]} candidateDigits Lists the digits in a candidate mask.
+ * @property {(encoded: number) => number} countCandidates Counts the digits in a candidate mask.
+ */
+
+/**
+ * Counts set bits of a 32-bit number.
+ * @param {number} n
+ * @returns {number}
+ */
+function popcount(n) {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Returns the cells orthogonally next to the given one.
+ * @param {number} ci
+ * @param {number} digits (Default `9`) The number of rows and columns.
+ * @returns {number[]}
+ */
+export function orthogonalNeighbors(ci, digits = DIGITS) {
+  const row = (ci / digits) | 0;
+  const col = ci % digits;
+  const neighbors = [];
+  if (row > 0) neighbors.push(ci - digits);
+  if (col > 0) neighbors.push(ci - 1);
+  if (col < digits - 1) neighbors.push(ci + 1);
+  if (row < digits - 1) neighbors.push(ci + digits);
+  return neighbors;
+}
+
+/**
+ * Splits cells into groups joined up through orthogonally neighboring cells, e.g. to check
+ * that a region or cage is in one piece.
+ * @param {number[]} cells
+ * @param {number} digits (Default `9`) The number of rows and columns.
+ * @returns {number[][]} The groups, each in ascending order.
+ */
+export function connectedGroups(cells, digits = DIGITS) {
+  const remaining = new Set(cells);
+  const groups = [];
+  cells.forEach((start) => {
+    if (!remaining.has(start)) return;
+    remaining.delete(start);
+    const group = [start];
+    for (let i = 0; i < group.length; i++) {
+      orthogonalNeighbors(group[i], digits).forEach((ni) => {
+        if (remaining.delete(ni)) group.push(ni);
+      });
+    }
+    groups.push(group.sort((a, b) => a - b));
+  });
+  return groups;
+}
+
+/**
+ * Returns the box layout of regions for the given rank, written as `1`, `2`, and so on.
+ * @param {number} rank
+ * @returns {string}
+ */
+function boxRegions(rank) {
+  const digits = rank * rank;
+  return range(digits * digits).map((ci) => DIGIT_SYMBOLS[
+    ((((ci / digits) | 0) / rank) | 0) * rank + (((ci % digits) / rank) | 0) + 1
+  ]).join('');
+}
+
+/**
+ * Checks a region layout, numbering its regions from `1` in the order they first appear.
+ * @param {string | ArrayLike<string | number>} layout The region of each cell, row by row,
+ * as any distinct characters or numbers.
+ * @param {number} rank
+ * @returns {string} The layout with regions written as `1`, `2`, and so on, like digits.
+ * @throws {Error} If the layout isn't made up of as many connected regions as there are
+ * digits, each with a cell for every digit.
+ */
+function parseRegions(layout, rank) {
+  const digits = rank * rank;
+  const spaces = digits * digits;
+  const labels = Array.from(layout);
+  if (labels.length !== spaces) {
+    throw new Error(`Invalid regions: expected ${spaces} cells, got ${labels.length}`);
+  }
+
+  const numbering = new Map();
+  const regions = labels.map((label) => {
+    if (!numbering.has(label)) numbering.set(label, numbering.size);
+    return numbering.get(label);
+  });
+  if (numbering.size !== digits) {
+    throw new Error(`Invalid regions: expected ${digits} regions, got ${numbering.size}`);
+  }
+
+  range(digits).forEach((region) => {
+    const cells = range(spaces).filter((ci) => regions[ci] === region);
+    if (cells.length !== digits) {
+      throw new Error(`Invalid regions: region ${region + 1} has ${cells.length} cells; expected ${digits}`);
+    }
+    if (connectedGroups(cells, digits).length !== 1) {
+      throw new Error(`Invalid regions: region ${region + 1} is not connected`);
+    }
+  });
+  return regions.map((region) => DIGIT_SYMBOLS[region + 1]).join('');
+}
+
+/**
+ * Builds the lookup tables for boards of the given rank, regions, and variants.
+ * @param {number} rank
+ * @param {string[]} variants
+ * @param {string} regions See `parseRegions`.
+ * @returns {Geometry}
+ */
+function buildGeometry(rank, variants, regions) {
+  const digits = rank * rank;
+  const spaces = digits * digits;
+  const jigsaw = (regions !== boxRegions(rank));
+  const cellRows = range(spaces).map((ci) => (ci / digits) | 0);
+  const cellCols = range(spaces).map((ci) => ci % digits);
+  const cellRegions = Array.from(regions, (symbol) => DIGIT_SYMBOLS.indexOf(symbol) - 1);
+  const cellsOf = (cellHouse) => range(digits).map((h) => range(spaces).filter((ci) => cellHouse[ci] === h));
+  const indices = { row: cellsOf(cellRows), col: cellsOf(cellCols), region: cellsOf(cellRegions) };
+  const neighborsIn = (cellHouse, houses) => range(spaces).map((ci) => houses[cellHouse[ci]].filter((i) => i !== ci));
+  const rowNeighbors = neighborsIn(cellRows, indices.row);
+  const colNeighbors = neighborsIn(cellCols, indices.col);
+  const regionNeighbors = neighborsIn(cellRegions, indices.region);
+  const extraHouses = variants.filter((name) => Object.hasOwn(VARIANTS, name)).flatMap((name) => VARIANTS[name](rank));
+  const extraNeighbors = range(spaces).map((ci) => (
+    extraHouses.filter((house) => house.includes(ci)).map((house) => house.filter((i) => i !== ci))
+  ));
+  const pairs = variants.filter((name) => Object.hasOwn(PAIR_VARIANTS, name)).map((name) => {
+    const partners = range(spaces).map(() => []);
+    PAIR_VARIANTS[name].pairs(rank).forEach(([a, b]) => {
+      partners[a].push(b);
+      partners[b].push(a);
+    });
+    const forbidden = range(digits + 1).map((digit) => ((digit === 0) ? 0 : PAIR_VARIANTS[name].forbids(digit)
+      .filter((d) => (d >= 1 && d <= digits))
+      .reduce((mask, d) => (mask | ENCODER[d]), 0)
+    ));
+    return Object.freeze({ partners, forbidden });
+  });
+
+  return Object.freeze({
+    rank,
+    variants: Object.freeze([...variants]),
+    regions,
+    jigsaw,
+    standard: (rank === RANK) && (variants.length === 0) && !jigsaw,
+    digits,
+    spaces,
+    all: (1 << digits) - 1,
+    cellRows,
+    cellCols,
+    cellRegions,
+    houses: [...indices.row, ...indices.col, ...indices.region, ...extraHouses],
+    cellHouses: range(spaces).map((ci) => [
+      cellRows[ci],
+      digits + cellCols[ci],
+      (digits * 2) + cellRegions[ci],
+      ...range(extraHouses.length).filter((h) => extraHouses[h].includes(ci)).map((h) => (digits * 3) + h)
+    ]),
+    indicesFor: indices,
+    rowNeighbors,
+    colNeighbors,
+    regionNeighbors,
+    extraNeighbors,
+    pairs,
+    cellNeighbors: range(spaces).map((ci) => [...new Set([
+      ...rowNeighbors[ci],
+      ...colNeighbors[ci],
+      ...regionNeighbors[ci],
+      ...extraNeighbors[ci].flat(),
+      ...pairs.flatMap(({ partners }) => partners[ci])
+    ])]),
+    cellMasks: range(spaces).map((ci) => (1n << BigInt(spaces - ci - 1))),
+    // Standard boards look these up; the tables would be too big for 25 digits.
+    candidateDigits: (rank === RANK) ?
+      ((encoded) => CANDIDATE_DECODINGS[encoded]) :
+      ((encoded) => range(digits + 1, 1).filter((d) => (encoded & ENCODER[d]))),
+    countCandidates: (rank === RANK) ? ((encoded) => BIT_COUNT_MAP[encoded]) : popcount
+  });
+}
+
+/**
+ * Keyed by rank, or by rank, variant names, and regions for other boards.
+ * @type {Map<number | string, Geometry>}
+ */
+const GEOMETRIES = new Map();
+
+/**
+ * Returns the (cached) lookup tables for boards of the given rank, variants, and regions.
+ * @param {number} rank One of the `RANKS`.
+ * @param {string[]} variants (Default none) Names of `VARIANTS` and `PAIR_VARIANTS`.
+ * @param {string | ArrayLike<string | number> | null} regions (Default boxes) A region
+ * layout (see `parseRegions`).
+ * @returns {Geometry}
+ */
+function geometryFor(rank, variants = [], regions = null) {
+  if (!RANKS.includes(rank)) {
+    throw new Error(`Unsupported rank ${rank}; expected one of ${RANKS.join(', ')}`);
+  }
+  const names = (variants.length > 0) ? [...new Set(variants)].sort() : variants;
+  const parsed = (regions === null) ? null : parseRegions(regions, rank);
+  const layout = (parsed !== null && parsed !== boxRegions(rank)) ? parsed : null;
+  const key = (names.length > 0 || layout !== null) ? `${rank}:${names.join(',')}:${layout ?? ''}` : rank;
+  if (!GEOMETRIES.has(key)) {
+    names.forEach((name) => {
+      if (!Object.hasOwn(VARIANTS, name) && !Object.hasOwn(PAIR_VARIANTS, name)) {
+        const known = [...Object.keys(VARIANTS), ...Object.keys(PAIR_VARIANTS)];
+        throw new Error(`Unknown variant ${name}; expected one of ${known.join(', ')}`);
+      }
+    });
+    GEOMETRIES.set(key, buildGeometry(rank, names, layout ?? boxRegions(rank)));
+  }
+  return GEOMETRIES.get(key);
+}
+
+/**
+ * Turns a board string into digits, or returns `null` if it doesn't describe a board of the
+ * given rank. `.` and `0` are empty cells, `-` is a row's worth of empty cells, and digits
+ * above `9` are letters (`A` for 10, either case).
+ * @param {string} str
+ * @param {number} rank
+ * @returns {number[] | null}
+ */
+function parseDigits(str, rank) {
+  const { digits, spaces } = geometryFor(rank);
+  const expanded = str.replace(/-/g, '0'.repeat(digits)).replace(/\./g, '0').toUpperCase();
+  if (expanded.length !== spaces) return null;
+  const result = [...expanded].map((ch) => DIGIT_SYMBOLS.indexOf(ch));
+  return result.every((d) => (d >= 0 && d <= digits)) ? result : null;
+}
+
+/**
+ * Groups cells into orbits: sets of cells that the given cell maps take onto each other.
+ * @param {((row: number, col: number) => [number, number])[]} maps
+ * @param {number} digits (Default `9`) Cells per row of the board.
+ * @returns {number[][]}
+ */
+function orbitsOf(maps, digits = DIGITS) {
+  const seen = new Set();
+  const orbits = [];
+  for (let ci = 0; ci < digits * digits; ci++) {
+    if (seen.has(ci)) continue;
+    const orbit = [ci];
+    seen.add(ci);
+    for (let i = 0; i < orbit.length; i++) {
+      maps.forEach(map => {
+        const [row, col] = map(Math.floor(orbit[i] / digits), orbit[i] % digits);
+        const image = row * digits + col;
+        if (!seen.has(image)) {
+          seen.add(image);
+          orbit.push(image);
+        }
+      });
+    }
+    orbits.push(orbit.sort((a, b) => a - b));
+  }
+  return orbits;
+}
+
+/** The cell maps of each symmetry, given the index of the last row and column. */
+const SYMMETRY_MAPS = Object.freeze({
+  none: () => [],
+  rotational180: (last) => [(r, c) => [last - r, last - c]],
+  rotational90: (last) => [(r, c) => [c, last - r]],
+  horizontal: (last) => [(r, c) => [last - r, c]],
+  vertical: (last) => [(r, c) => [r, last - c]],
+  diagonal: () => [(r, c) => [c, r]],
+  antiDiagonal: (last) => [(r, c) => [last - c, last - r]],
+  dihedral: (last) => [(r, c) => [c, last - r], (r, c) => [c, r]]
+});
+
+/**
+ * Clue layout symmetries of 9x9 boards, as the orbits of cells that must be all clues or
+ * all empty. Functions that take a symmetry name also take a `rank` for other boards.
+ * - `none`: Every cell on its own.
+ * - `rotational180`: Unchanged by a half turn.
+ * - `rotational90`: Unchanged by a quarter turn.
+ * - `horizontal`: Mirrored top to bottom, across the middle row.
+ * - `vertical`: Mirrored left to right, across the middle column.
+ * - `diagonal`: Mirrored across the main diagonal (top-left to bottom-right).
+ * - `antiDiagonal`: Mirrored across the anti-diagonal (top-right to bottom-left).
+ * - `dihedral`: Unchanged by every rotation and reflection of the board.
+ * @type {Readonly<Object<string, number[][]>>}
+ */
+export const SYMMETRIES = Object.freeze(Object.fromEntries(Object.entries(SYMMETRY_MAPS).map(
+  ([name, maps]) => [name, orbitsOf(maps(DIGITS - 1))]
+)));
+
+/**
+ * Orbits and their cell masks for each symmetry, by rank. Other ranks are added as needed.
+ * @type {Map<number, Object<string, { orbits: number[][], masks: bigint[] }>>}
+ */
+const SYMMETRY_TABLES = new Map();
+
+/**
+ * Returns the orbits of the given symmetry, and the cell mask of each.
+ * @param {string} symmetry One of the `SYMMETRIES` names.
+ * @param {number} rank (Default `3`) One of the `RANKS`.
+ * @returns {{ orbits: number[][], masks: bigint[] }}
+ */
+function symmetryTable(symmetry, rank = RANK) {
+  if (!(symmetry in SYMMETRIES)) {
+    throw new Error(`Unknown symmetry (${symmetry}); expected one of ${Object.keys(SYMMETRIES).join(', ')}`);
+  }
+  if (!SYMMETRY_TABLES.has(rank)) {
+    const { digits, cellMasks } = geometryFor(rank);
+    SYMMETRY_TABLES.set(rank, Object.fromEntries(Object.entries(SYMMETRY_MAPS).map(([name, maps]) => {
+      const orbits = (rank === RANK) ? SYMMETRIES[name] : orbitsOf(maps(digits - 1), digits);
+      const masks = orbits.map(orbit => orbit.reduce((mask, ci) => (mask | cellMasks[ci]), 0n));
+      return [name, { orbits, masks }];
+    })));
+  }
+  return SYMMETRY_TABLES.get(rank)[symmetry];
+}
+
+/**
+ * Returns whether some clue layout with the given symmetry has exactly `numClues` clues.
+ * @param {string} symmetry
+ * @param {number} numClues
+ * @param {object} options
+ * @param {number} options.rank (Default `3`) One of the `RANKS`.
+ * @returns {boolean}
+ */
+export function symmetryAllows(symmetry, numClues, { rank = RANK } = {}) {
+  // Subset sums of orbit sizes
+  let sums = 1n;
+  const { orbits } = symmetryTable(symmetry, rank);
+  orbits.forEach(orbit => {
+    sums |= (sums << BigInt(orbit.length));
+  });
+  return numClues >= 0 && numClues <= rank ** 4 && ((sums >> BigInt(numClues)) & 1n) === 1n;
+}
+
+/**
+ * Returns whether the given mask has the given symmetry.
+ * @param {bigint} mask
+ * @param {string} symmetry
+ * @param {object} options
+ * @param {number} options.rank (Default `3`) One of the `RANKS`.
+ * @returns {boolean}
+ */
+export function isSymmetric(mask, symmetry, { rank = RANK } = {}) {
+  const { masks } = symmetryTable(symmetry, rank);
+  return masks.every(orbitMask => {
+    const set = mask & orbitMask;
+    return set === 0n || set === orbitMask;
+  });
+}
+
 /**
  * Returns whether an area on a Sudoku board (row, column, or region)
  * is valid given the digits of the cells that make up the area.
@@ -241,7 +723,7 @@ export const cellRegion2D = (row, col) => CELL_REGIONS[row * DIGITS + col];
  */
 export function isAreaValid(areaDigits) {
   let reduced = 0;
-  const vals = areaDigits.filter(d => ((d > 0) && (d <= DIGITS)));
+  const vals = areaDigits.filter(d => ((d > 0) && (d <= MAX_DIGITS)));
   for (let vi = 0; vi < vals.length; vi++) {
     const val = encode(vals[vi]);
     if ((reduced & val) > 0) {
@@ -259,16 +741,17 @@ export function isAreaValid(areaDigits) {
  * @param {number[]} areaVals
  * @returns {boolean}
  */
-const isAreaFull = (areaVals) => areaVals.every(d => (d > 0 && d <= DIGITS));
+const isAreaFull = (areaVals) => areaVals.every(d => (d > 0 && d <= MAX_DIGITS));
 
 class SearchNode {
   /**
-   * @param {Sudoku} sudoku
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers for picking branches.
    */
-  constructor() {
+  constructor(rng = Math.random) {
     this.sudoku = new Sudoku();
     this.emptyCellIndex = -1;
     this.candidates = -1;
+    this.rng = rng;
   }
 
   load(otherSudoku) {
@@ -277,7 +760,7 @@ class SearchNode {
   }
 
   pickCell() {
-    this.emptyCellIndex = this.sudoku._pickEmptyCell();
+    this.emptyCellIndex = this.sudoku._pickEmptyCell(this.rng);
     if (this.emptyCellIndex != -1) {
       this.candidates = this.sudoku._candidates[this.emptyCellIndex];
     }
@@ -287,7 +770,7 @@ class SearchNode {
     // No further branches to try (sudoku is probably invalid or solved).
     if (!this.hasNext()) return null;
 
-    return this._next(new SearchNode(), reductionLevel);
+    return this._next(new SearchNode(this.rng), reductionLevel);
   }
 
   /**
@@ -300,8 +783,8 @@ class SearchNode {
     nextNode.sudoku.copyFrom(this.sudoku);
 
     // Pick a random candidate and set it in the next node.
-    const candidateDigits = CANDIDATE_DECODINGS[this.candidates];
-    const randomCandidateDigit = chooseRandom(candidateDigits);
+    const candidateDigits = this.sudoku._geometry.candidateDigits(this.candidates);
+    const randomCandidateDigit = chooseRandom(candidateDigits, this.rng);
     nextNode.sudoku.setDigit(randomCandidateDigit, this.emptyCellIndex);
     this.candidates &= ~ENCODER[randomCandidateDigit];
 
@@ -360,11 +843,12 @@ export class SudokuNode {
    * Attempts to get a random, unvisited neighbor of this node.
    * Populates the list of neighbors for this node if it does not yet exist.
    * @param {number[]} [omittedNextCells] An array of cell indices to omit from the list of neighbors.
+   * @param {Rng} [rng] (Default `Math.random`) Source of random numbers.
    * @return {SudokuNode} A random unvisited neighbor node.
    */
-  getNextUnvisited(omittedNextCells = []) {
+  getNextUnvisited(omittedNextCells = [], rng = Math.random) {
     this._findNexts(omittedNextCells);
-    return chooseRandom(this.nexts.filter(n => (n !== null && !n.visited)));
+    return chooseRandom(this.nexts.filter(n => (n !== null && !n.visited)), rng);
   }
 }
 
@@ -372,13 +856,18 @@ export class SearchState {
   /**
    * Creates a new object used for searching for sudoku solutions.
    * @param {Sudoku?} puzzle (Optional) A sudoku puzzle to initialize with.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers, which decide
+   * the order that solutions are found in.
    */
-  constructor(puzzle) {
+  constructor(puzzle, rng = Math.random) {
+    /** @type {Rng} */
+    this.rng = rng;
+
     /**
      * Used for search.
      * @type {SearchNode[]}
      */
-    this._stack = Array(SPACES).fill(0).map(_=>new SearchNode());
+    this._stack = Array(SPACES).fill(0).map(_=>new SearchNode(rng));
 
     this._stackSize = 0;
 
@@ -408,6 +897,10 @@ export class SearchState {
    * @param {Sudoku} newPuzzle
    */
   init(newPuzzle) {
+    // Larger boards may need a deeper stack.
+    while (this._stack.length < newPuzzle._geometry.spaces) {
+      this._stack.push(new SearchNode(this.rng));
+    }
     this._solutionCount = 0;
     this._stack[0].load(newPuzzle);
     this._stackSize = 1;
@@ -416,11 +909,13 @@ export class SearchState {
 
   /**
    * Advances the search state to the next solution.
+   * @param {number} reductionLevel
+   * @param {number} maxSteps (Default no limit) Gives up after trying this many boards.
    * @returns True if a solution was found; else false.
    */
-  advanceToSolution(reductionLevel) {
+  advanceToSolution(reductionLevel, maxSteps = Infinity) {
     let top;
-    while (this._stackSize > 0) {
+    for (let steps = 0; this._stackSize > 0 && steps < maxSteps; steps++) {
       top = this._stack[this._stackSize - 1];
       // console.log(`${' '.repeat(this._stackSize)} ${top.sudoku.toString()}`);
       if (top.sudoku.isSolved()) {
@@ -439,6 +934,107 @@ export class SearchState {
   }
 }
 
+/**
+ * Names of the backends that can search for solutions:
+ * - `'dfs'` - Randomized depth-first search over copies of the board (see `SearchState`).
+ * - `'dlx'` - Knuth's Algorithm X with Dancing Links (see `DancingLinks`). Usually faster,
+ * especially when counting many solutions, but always finds them in the same order. Can't
+ * search boards with `PAIR_VARIANTS`.
+ * - `'bitboard'` - Counts solutions without allocating (see `countSolutions`). Fastest for
+ * telling unique puzzles apart, but can't list solutions.
+ */
+export const SOLVERS = Object.freeze(['dfs', 'dlx', 'bitboard']);
+
+/**
+ * Throws if the given name is not one of the `SOLVERS`.
+ * @param {string} solver
+ */
+function checkSolver(solver) {
+  if (!SOLVERS.includes(solver)) {
+    throw new Error(`Unknown solver ${solver}; expected one of ${SOLVERS.join(', ')}`);
+  }
+}
+
+/**
+ * Returns the solver that boards with the given lookup tables are checked with by default:
+ * `'bitboard'` for standard boards, `'dfs'` for boards with `PAIR_VARIANTS`, and otherwise `'dlx'`.
+ * @param {Geometry} geometry
+ * @returns {string}
+ */
+const defaultSolver = ({ standard, pairs }) => (standard ? 'bitboard' : (pairs.length > 0) ? 'dfs' : 'dlx');
+
+/**
+ * Searches for solutions to a puzzle as an exact cover problem.
+ *
+ * Each placement of a digit in a cell is a row that satisfies a column for the cell being
+ * filled, and one for the digit appearing in each of the cell's houses: its row, column,
+ * region, and any added by variants.
+ * Empty cells only get rows for their remaining candidates.
+ * @param {Sudoku} puzzle
+ * @param {number} limit (Default no limit) Stops after finding this many solutions.
+ * @param {((solution: Sudoku) => boolean | void) | null} onSolution Called with each solution
+ * found. Returning `false` stops the search.
+ * @returns {number} The number of solutions found.
+ */
+function dlxSearch(puzzle, limit = Infinity, onSolution = null) {
+  const { digits: numDigits, spaces, houses, cellHouses, pairs, candidateDigits } = puzzle._geometry;
+  if (pairs.length > 0) {
+    throw new Error(`The dlx solver doesn't support pair variants; got ${puzzle.variants.join(', ')}`);
+  }
+  // One column per cell, then one per digit of each house.
+  const dlx = new DancingLinks(spaces + houses.length * numDigits);
+  /** The cell and digit of each row, as `cellIndex * numDigits + digit - 1`. */
+  const placements = [];
+  const givens = [];
+  for (let ci = 0; ci < spaces; ci++) {
+    const given = puzzle._digits[ci];
+    const candidates = given ? ENCODER[given] : puzzle._candidates[ci];
+    candidateDigits(candidates).forEach((digit) => {
+      const row = dlx.addRow([ci, ...cellHouses[ci].map((h) => spaces + h * numDigits + digit - 1)]);
+      placements.push(ci * numDigits + digit - 1);
+      if (given) givens.push(row);
+    });
+  }
+
+  if (!givens.every((row) => dlx.select(row))) return 0;
+
+  return dlx.search(limit, onSolution && ((rows) => {
+    const digits = Array(spaces).fill(0);
+    rows.forEach((row) => {
+      digits[(placements[row] / numDigits) | 0] = (placements[row] % numDigits) + 1;
+    });
+    return onSolution(new Sudoku(digits, puzzle.layout));
+  }));
+}
+
+/**
+ * The number of validity-preserving transforms: transposing or not, times the orders of
+ * bands, stacks, and rows and columns within them (`6^8`), times the digit relabelings (`9!`).
+ */
+const NUM_TRANSFORMS = 2 * (6 ** 8) * 362880;
+
+/**
+ * Returns the digits that don't appear on a board.
+ * @param {number[]} digits
+ * @returns {number[]}
+ */
+const missingDigits = (digits) => range(DIGITS + 1, 1).filter((d) => !digits.includes(d));
+
+/**
+ * Returns every transform that only relabels the given digits among themselves,
+ * starting with the identity.
+ * @param {number[]} digits
+ * @returns {Transform[]}
+ */
+function relabelings(digits) {
+  const orders = digits.reduce((perms, _, i) => perms.flatMap((perm) => (
+    range(i + 1).reverse().map((at) => [...perm.slice(0, at), digits[i], ...perm.slice(at)])
+  )), [[]]);
+  return orders.map((order) => new Transform({
+    digits: range(DIGITS + 1).map((d) => (digits.includes(d) ? order[digits.indexOf(d)] : d))
+  }));
+}
+
 /**
  * Represents a Sudoku board.
  */
@@ -449,55 +1045,55 @@ export class Sudoku {
    *
    * The dot character `.` can also be used to represent an empty space.
    *
-   * The dash character `-` can be used to represent 9 consecutive empty spaces.
+   * The dash character `-` can be used to represent a row's worth (e.g. 9) of consecutive
+   * empty spaces.
+   *
+   * Digits above 9, on larger boards, are letters: `A` for 10, `B` for 11, and so on.
    *
    * Does not check if the sudoku board is valid.
    * @param {string} str
+   * @param {object} options
+   * @param {number | 'auto'} options.rank (Default `3`) The rank the board must have, or
+   * `'auto'` to accept any of the `RANKS`.
    * @returns {boolean}
    */
-  static validateStr(str) {
-    if (!str || typeof str !== 'string' || str.length > SPACES) return false;
-    // Replace '-' and '.' with '0's
-    let _str = str.replace(/-/g, '0'.repeat(DIGITS)).replace(/\./g, '0');
-    return (
-      (_str.length === SPACES) &&
-      (/^[0-9]{81}$/).test(_str)
-    );
+  static validateStr(str, { rank = RANK } = {}) {
+    if (!str || typeof str !== 'string') return false;
+    return ((rank === 'auto') ? RANKS : [rank]).some((r) => parseDigits(str, r) !== null);
   }
 
   /**
    * Builds a Sudoku board from a string, where:
-   * - `.` represents an empty cell.
-   * - `-` represents 9 consecutive empty cells.
+   * - `.` and `0` represent an empty cell.
+   * - `-` represents a row's worth (e.g. 9) of consecutive empty cells.
+   * - Digits above 9, on larger boards, are letters: `A` for 10, `B` for 11, and so on.
+   *
+   * Boards of other ranks need their `rank`, or `'auto'` to work it out from the length,
+   * e.g. 81 cells for rank 3 and 256 for rank 4.
    *
    * An error will be thrown if `str` does not have enough characters to fill
    * the board, or if there are invalid characters.
    *
    * @param {string} str
+   * @param {object} options
+   * @param {number | 'auto'} options.rank (Default `3`) One of the `RANKS`, or `'auto'`.
+   * @param {string[]} options.variants (Default none) Names of the `VARIANTS` and
+   * `PAIR_VARIANTS` the board has.
+   * @param {string | ArrayLike<string | number> | null} options.regions (Default boxes) The
+   * region of each cell (see the constructor).
    * @returns {Sudoku}
-   * @throws {Error} If the string is not 81 characters long or contains invalid characters.
-   */
-  static fromString(str) {
-    // Replace '-' and '.' with '0's
-    let _str = str.replace(/-/g, '0'.repeat(DIGITS)).replace(/\./g, '0');
-
-    if (_str.length !== SPACES) {
-      throw new Error(`str is invalid (length): ${_str.length}. (Extrapolated: ${_str})`);
+   * @throws {Error} If the string doesn't have the right number of cells for the rank, or
+   * contains invalid characters.
+   */
+  static fromString(str, { rank = RANK, variants = [], regions = null } = {}) {
+    const ranks = (rank === 'auto') ? RANKS : [rank];
+    for (const r of ranks) {
+      const digits = parseDigits(str, r);
+      if (digits) return new Sudoku(digits, { rank: r, variants, regions });
     }
 
-    if (!/^[0-9]+$/.test(_str)) {
-      throw new Error(`Expected only digits, got ${_str}.`);
-    }
-
-    const board = new Sudoku();
-    _str.split('').forEach((char, index) => {
-      const digit = parseInt(char);
-      if (digit > 0) {
-        board.setDigit(digit, index);
-      }
-    });
-
-    return board;
+    const sizes = ranks.map((r) => geometryFor(r).spaces).join(', ');
+    throw new Error(`str is invalid: expected ${sizes} cells of digits, '.' or '-', got ${str}.`);
   }
 
   // Uses DFS to locate valid sudoku puzzle.
@@ -505,10 +1101,18 @@ export class Sudoku {
    *
    * @param {number} numClues
    * @param {number} maxPops
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
+   * @param {object} options
+   * @param {number} options.rank (Default `3`) One of the `RANKS`. Puzzles on larger boards
+   * take much longer, as each removed clue is checked with a full uniqueness search.
+   * @param {string[]} options.variants (Default none) Names of the `VARIANTS` and
+   * `PAIR_VARIANTS` the puzzle has.
+   * @param {string | null} options.regions (Default boxes) The region of each cell (see the
+   * constructor and `generateRegions`).
    * @returns {Sudoku | null}
    */
-  static generatePuzzle(numClues, maxPops = 1<<16) {
-    const config = this.generateConfig();
+  static generatePuzzle(numClues, maxPops = 1<<16, rng = Math.random, { rank = RANK, variants = [], regions = null } = {}) {
+    const config = this.generateConfig(rng, { rank, variants, regions });
     const rootNode = new SudokuNode(config);
     let puzzleStack = [rootNode];
 
@@ -544,12 +1148,12 @@ export class Sudoku {
         continue;
       }
 
-      if (puzzle.numEmptyCells >= (SPACES - numClues)) {
+      if (puzzle.numEmptyCells >= (config._geometry.spaces - numClues)) {
         // console.log(`generatePuzzle> found puzzle with ${puzzle.numEmptyCells} empty cells`);
         break;
       }
 
-      const next = puzzleNode.getNextUnvisited();
+      const next = puzzleNode.getNextUnvisited([], rng);
       if (next) {
         puzzleStack.push(next);
       } else {
@@ -578,9 +1182,10 @@ export class Sudoku {
    * @returns {Sudoku}
    */
   filter(mask) {
+    const { cellMasks } = this._geometry;
     return new Sudoku(this._digits.map((d, i) => (
-      (mask & CELL_MASKS[i]) ? d : 0)
-    ));
+      (mask & cellMasks[i]) ? d : 0)
+    ), this.layout);
   }
 
   /**
@@ -588,7 +1193,8 @@ export class Sudoku {
    * @param {*} mask Bitmask where set bits represent cells to keep.
    */
   filterStr(mask) {
-    return this._digits.map((d, i) => ((mask & CELL_MASKS[i]) ? d : '.')).join('');
+    const { cellMasks } = this._geometry;
+    return this._digits.map((d, i) => ((mask & cellMasks[i]) ? DIGIT_SYMBOLS[d] : '.')).join('');
   }
 
   /**
@@ -596,8 +1202,9 @@ export class Sudoku {
    * filled-in cells (cells with single digits - not multiple candidats).
    */
   get mask() {
+    const { cellMasks } = this._geometry;
     return this._digits.reduce((mask, digit, ci) => (
-      digit ? (mask | cellMask(ci)) : mask
+      digit ? (mask | cellMasks[ci]) : mask
     ), 0n);
   }
 
@@ -606,7 +1213,8 @@ export class Sudoku {
    *
    * NOTE: Not ideal for generating puzzles below 24 clues.
    * @param {object} options
-   * @param {Sudoku} options.solution (! REQUIRED !) A full sudoku grid.
+   * @param {Sudoku} options.solution (! REQUIRED !) A full sudoku grid, of any rank, regions,
+   * and variants.
    * @param {number} options.numClues (Default `32`) Number of clues the
    * puzzle should have. Every number lower than 27 may take exponentially longer
    * to generate.
@@ -614,7 +1222,15 @@ export class Sudoku {
    * to aid generation. It's recommended to generate this when `numClues < 32`.
    * @param {boolean} options.addFailuresToSieve (Default `false`) Whether puzzle
    * generation failures should be added to the sieve. This may impact performance.
+   * Only standard 9x9 solutions support it.
    * @param {number} options.timeoutMs (Default no time limit) Time to limit generating.
+   * @param {string} options.symmetry (Default `'none'`) One of the `SYMMETRIES` the clue
+   * layout should have.
+   * @param {boolean} options.minimal (Default `false`) Whether to `minimize()` the puzzle,
+   * leaving it with at most `numClues` clues.
+   * @param {Rng} options.rng (Default `Math.random`) Source of random numbers.
+   * @param {string} options.solver (Default `'bitboard'`, or the default of `solutionsFlag`
+   * for other grids) One of the `SOLVERS` to check puzzles for uniqueness with.
    * @returns {Sudoku | null} The generated sudoku puzzle or null if time limit is hit
    * or parameters are botched.
    */
@@ -624,19 +1240,29 @@ export class Sudoku {
     sieve = [],
     addFailuresToSieve = false,
     timeoutMs = 0,
+    symmetry = 'none',
+    minimal = false,
+    rng = Math.random,
+    solver = (solution instanceof Sudoku) ? defaultSolver(solution._geometry) : 'bitboard',
   }) {
-    if (numClues < MIN_CLUES) return null;
-    if (numClues > SPACES) return null;
-    if (numClues === SPACES) return new Sudoku(solution);
-    if (!solution) throw new new Error('Must provide solution');
+    checkSolver(solver);
+    if (!solution) throw new Error('Must provide solution');
     if (!(solution instanceof Sudoku) || !solution.isSolved())
       throw new Error('Solutions is invalid');
+    if (solver === 'bitboard') solution._checkStandard('The bitboard solver');
+    if (addFailuresToSieve) solution._checkStandard('addFailuresToSieve');
+    const { rank, spaces, standard } = solution._geometry;
+    if (numClues < (standard ? MIN_CLUES : 0)) return null;
+    if (numClues > spaces) return null;
+    if (numClues === spaces) return new Sudoku(solution);
+    if (!symmetryAllows(symmetry, numClues, { rank }))
+      throw new Error(`No ${symmetry} clue layout has ${numClues} clues`);
 
     let start = Date.now();
     let maskAttempts = 0;
     let puzzle; do {
       let mask; do {
-        mask = randomBitCombo(SPACES, numClues);
+        mask = Sudoku.randomSymmetricMask(numClues, symmetry, rng, { rank });
 
         // Check time occasionally
         maskAttempts++;
@@ -658,57 +1284,163 @@ export class Sudoku {
       } while (mask === 0n);
 
       puzzle = solution.filter(mask);
-      if (!puzzle.hasUniqueSolution()) {
-        if (addFailuresToSieve) searchForItemsFromMask(solution, sieve, mask);
+      if (!puzzle.hasUniqueSolution({ solver })) {
+        if (addFailuresToSieve) searchForItemsFromMask(solution, sieve, mask, false, rng);
         puzzle = null;
       }
     } while (!puzzle);
 
-    return puzzle;
+    return minimal ? puzzle.minimize({ symmetry }) : puzzle;
   }
 
   // Uses DFS to locate valid sudoku puzzle.
   /**
    *
    * @param {object} options
-   * @param {Sudoku} options.grid
+   * @param {Sudoku} options.grid (Default a new config) The solution. Unless a difficulty
+   * is given, it may have any rank, regions, and variants; ratings only support 9x9 boards
+   * without `PAIR_VARIANTS` (see `difficulty()`). Other boards can need far fewer clues, so `numClues` can go below `17` for them.
    * @param {number} options.numClues
    * @param {bigint[]} options.sieve
-   * @param {number} options.difficulty
+   * @param {number | string | import('./LogicalSolver.js').DifficultyBand} options.difficulty
+   * (Default `0`, any) The rating the puzzle should have (see `difficulty()`): a level from
+   * `1` to `10`, a band name from `DIFFICULTY_BANDS`, or a `{ min, max }` range.
+   * Levels and ranges that no technique is rated in, such as `6`, throw (see `difficultyBand`).
    * @param {number} options.timeoutMs
+   * @param {string} options.symmetry (Default `'none'`) One of the `SYMMETRIES` the clue
+   * layout should have. Clues are removed an orbit at a time.
+   * @param {boolean} options.minimal (Default `false`) Whether to keep removing clues until
+   * none can be removed (see `isMinimal()`). The puzzle then has at most `numClues` clues.
+   * @param {Rng} options.rng (Default `Math.random`) Source of random numbers. With a seeded
+   * generator (see `createRng`), the same options give the same puzzle, unless `timeoutMs` is hit.
+   * @param {string} options.solver (Default `'bitboard'`, or the default of `solutionsFlag`
+   * for other grids) One of the `SOLVERS` to check puzzles for uniqueness with. Any of them
+   * finds the same puzzles.
    * @returns {Sudoku | null}
    */
-  static generatePuzzle2({
-    grid = Sudoku.generateConfig(),
+  static generatePuzzle2(options) {
+    return Sudoku._carvePuzzle(options).puzzle;
+  }
+
+  /**
+   * @typedef {object} GenerationReport
+   * @property {Sudoku | null} puzzle The generated puzzle, or `null` if the time limit was hit.
+   * @property {number} rating The puzzle's rating, or `-1` if there is no puzzle.
+   * @property {number} attempts How many puzzles with the requested number of clues were
+   * rated before one fell within the difficulty range.
+   * @property {number} rejected How many clue removals were undone for making the puzzle too hard.
+   * @property {number} putBacks How many times clues were put back to try again.
+   * @property {number} timeMs How long generation took.
+   */
+
+  /**
+   * Generates a puzzle like `generatePuzzle2`, and reports how it went.
+   *
+   * When a difficulty is given, clues whose removal would make the puzzle too hard are
+   * put back right away, and puzzles that end up too easy are partially refilled and
+   * carved again until one falls within the range or time runs out.
+   * @param {object} options See `generatePuzzle2`.
+   * @returns {GenerationReport}
+   */
+  static generateRatedPuzzle(options) {
+    const report = Sudoku._carvePuzzle(options);
+    if (report.puzzle && report.rating < 0) {
+      report.rating = new LogicalSolver().rate(report.puzzle).rating;
+    }
+    return report;
+  }
+
+  /**
+   * Removes clues from a grid at random until the puzzle has the given number of clues.
+   * @param {object} options See `generatePuzzle2`.
+   * @returns {GenerationReport} Where `rating` is `-1` unless a difficulty was requested.
+   */
+  static _carvePuzzle({
+    rng = Math.random,
+    grid = Sudoku.generateConfig(rng),
     numClues = 32,
     sieve = [],
     difficulty = 0,
     timeoutMs = 0,
     useSieve = true,
+    symmetry = 'none',
+    minimal = false,
+    solver = (grid instanceof Sudoku) ? defaultSolver(grid._geometry) : 'bitboard',
   }) {
-    if (numClues < MIN_CLUES || numClues > SPACES) return null;
-    if (numClues === SPACES) return new Sudoku(grid);
+    checkSolver(solver);
+    const start = Date.now();
+    const band = difficultyBand(difficulty);
+    const report = (puzzle, rating, stats = {}) => ({
+      puzzle,
+      rating,
+      attempts: 0,
+      rejected: 0,
+      putBacks: 0,
+      ...stats,
+      timeMs: Date.now() - start
+    });
+
     if (!grid) throw new Error('Must provide solution grid');
     if (!(grid instanceof Sudoku) || !grid.isSolved())
       throw new Error('Solution grid is invalid');
-    if (difficulty < 0 || difficulty > 10)
-      throw new Error(`Invalid difficulty (${difficulty}); expected 0 <= difficulty <= 10`);
-
-    const start = Date.now();
-    const FULLMASK = (1n << BigInt(SPACES)) - 1n;
+    // Ratings need 9x9 boards without pair variants; carving alone works on any.
+    if (band) grid._checkStandard('Rated puzzle generation', { jigsaw: true, variants: 'houses' });
+    if (solver === 'bitboard') grid._checkStandard('The bitboard solver');
+    const { rank, spaces, standard } = grid._geometry;
+    // Sieve items are found with the standard rules.
+    const sieving = useSieve && standard;
+
+    if (numClues < (standard ? MIN_CLUES : 0) || numClues > spaces) return report(null, -1);
+    if (numClues === spaces) return report(new Sudoku(grid), band ? 0 : -1);
+    if (!symmetryAllows(symmetry, numClues, { rank }))
+      throw new Error(`No ${symmetry} clue layout has ${numClues} clues`);
+
+    // Cells are removed and put back an orbit at a time.
+    const { orbits, masks: orbitMasks } = symmetryTable(symmetry, rank);
+
+    // Techniques rated above the band are never needed; puzzles that need them rate `UNSOLVED_RATING`.
+    const rater = band ? LogicalSolver.upTo(band.max) : null;
+    // Only steer away from puzzles that are too hard if some are.
+    // Minimal puzzles can't keep clues just to stay easy.
+    const steer = band && band.max < UNSOLVED_RATING && !minimal;
+    const isTooHard = (puzzle) => (rater.rate(puzzle).rating > band.max);
+
+    const FULLMASK = (1n << BigInt(spaces)) - 1n;
     let maskFails = 0;
     let puzzleCheckFails = 0;
     let putBacks = 0;
+    let attempts = 0;
+    let rejected = 0;
+    let rating = -1;
     let mask = FULLMASK;
-    let remaining = range(SPACES);
+    let clues = spaces;
+    let remaining = range(orbits.length);
     let removed = [];
+    const timedOut = () => (timeoutMs > 0 && (Date.now() - start) > timeoutMs);
+    const fail = () => report(null, -1, { attempts, rejected, putBacks });
+
+    // The puzzle's digits are kept alongside the mask so that checking it allocates nothing.
+    const digits = Uint8Array.from(grid._digits);
+    const removeOrbit = (orbit) => {
+      mask &= ~orbitMasks[orbit];
+      orbits[orbit].forEach((ci) => { digits[ci] = 0; });
+    };
+    const restoreOrbit = (orbit) => {
+      mask |= orbitMasks[orbit];
+      orbits[orbit].forEach((ci) => { digits[ci] = grid._digits[ci]; });
+    };
+    const isUnique = (solver === 'bitboard') ?
+      () => (countSolutions(digits, 2) === 1) :
+      () => (grid.filter(mask).solutionsFlag({ solver }) === 1);
 
-    while (remaining.length > numClues) {
+    // Minimal puzzles are carved until no more clues can go, at or below `numClues`.
+    while (minimal || clues > numClues) {
       const startChoices = remaining.length;
-      shuffle(remaining);
-      for (let i = 0; i < remaining.length && remaining.length > numClues; i++) {
+      shuffle(remaining, rng);
+      for (let i = 0; i < remaining.length && (minimal || clues > numClues); i++) {
         const choice = remaining[i];
-        mask &= ~cellMask(choice);
+        if (!minimal && clues - orbits[choice].length < numClues) continue;
+        removeOrbit(choice);
 
         // Check if mask satisfies sieve
         let satisfies = true;
@@ -723,12 +1455,12 @@ export class Sudoku {
         // put the cell back and try the next
         if (!satisfies) {
           maskFails++;
-          mask |= cellMask(choice);
+          restoreOrbit(choice);
 
           // Once in awhile, check the time
           if (timeoutMs > 0 && maskFails === 100) {
-            if ((Date.now() - start) > timeoutMs) {
-              return null;
+            if (timedOut()) {
+              return fail();
             }
             maskFails -= 100;
           }
@@ -736,47 +1468,129 @@ export class Sudoku {
           continue;
         }
 
-        if (grid.filter(mask).solutionsFlag() !== 1) {
+        if (!isUnique()) {
           puzzleCheckFails++;
-          if (useSieve && puzzleCheckFails === 100 && sieve.length < 36) {
-            seedSieveDc({ grid, sieve, level: 2 });
-          } else if (useSieve && puzzleCheckFails === 2500 && sieve.length < 200) {
-            seedSieveDc({ grid, sieve, level: 3 });
-          } else if (useSieve && puzzleCheckFails > 10000 && sieve.length < 1000) {
-            searchForItemsFromMask(grid, sieve, mask);
-          } else if (useSieve && puzzleCheckFails > 25000) {
-            searchForItemsFromMask(grid, sieve, mask);
+          if (sieving && puzzleCheckFails === 100 && sieve.length < 36) {
+            seedSieveDc({ grid, sieve, level: 2, rng });
+          } else if (sieving && puzzleCheckFails === 2500 && sieve.length < 200) {
+            seedSieveDc({ grid, sieve, level: 3, rng });
+          } else if (sieving && puzzleCheckFails > 10000 && sieve.length < 1000) {
+            searchForItemsFromMask(grid, sieve, mask, false, rng);
+          } else if (sieving && puzzleCheckFails > 25000) {
+            searchForItemsFromMask(grid, sieve, mask, false, rng);
           }
 
-          mask |= cellMask(choice);
+          restoreOrbit(choice);
+          continue;
+        }
+
+        // Removing clues rarely makes a puzzle easier, so keep it within reach.
+        if (steer && isTooHard(grid.filter(mask))) {
+          rejected++;
+          restoreOrbit(choice);
+          if (timedOut()) {
+            return fail();
+          }
           continue;
         }
 
         removed.push(choice);
         remaining.splice(i, 1);
+        clues -= orbits[choice].length;
         i--;
       }
 
+      const stuck = (remaining.length === startChoices);
+      if (minimal ? (stuck && clues <= numClues) : (clues === numClues)) {
+        if (!band) break;
+        attempts++;
+        rating = rater.rate(grid.filter(mask)).rating;
+        if (rating >= band.min && rating <= band.max) break;
+      } else if (!stuck) {
+        continue;
+      }
+
       // If no cells were chosen, or difficulty requirement unmet
       // - Put some cells back and try again
-      if (
-        // (
-        //   remaining.length === numClues &&
-        //   difficulty > 0 &&
-        //   grid.filter(mask).solutionsFlag() === 1 &&
-        //   grid.filter(mask).difficulty() !== difficulty
-        // ) ||
-        remaining.length === startChoices
-      ) {
-        const numToPutBack = 1 + (putBacks % 4) + (((putBacks % 8)*Math.random())|0);
-        shuffle(removed);
-        for (let i = 0; i < numToPutBack; i++) {
-          const cell = removed.pop();
-          remaining.push(cell);
-          mask |= cellMask(cell);
-          if (removed.length === 0) break;
-        }
-        putBacks++;
+      if (timedOut()) {
+        return fail();
+      }
+      const numToPutBack = 1 + (putBacks % 4) + (((putBacks % 8)*rng())|0);
+      shuffle(removed, rng);
+      for (let i = 0; i < numToPutBack; i++) {
+        const orbit = removed.pop();
+        remaining.push(orbit);
+        restoreOrbit(orbit);
+        clues += orbits[orbit].length;
+        if (removed.length === 0) break;
+      }
+      putBacks++;
+    }
+
+    return report(grid.filter(mask), rating, { attempts, rejected, putBacks });
+  }
+
+  /**
+   * Searches for a puzzle whose clues are exactly the given cells.
+   *
+   * Starting from a random grid, repeatedly re-rolls the digits of a few clues (keeping the
+   * grid valid) and keeps the change if the puzzle has no more solutions than before, until
+   * it has one. Sparse patterns (fewer than about 24 clues) may take a long time or never
+   * succeed, so a `timeoutMs` is recommended.
+   * @param {object} options
+   * @param {bigint | string} options.pattern Mask of the clue cells, or a picture of them
+   * (see `patternToMask`).
+   * @param {number} options.timeoutMs (Default no time limit) Time to limit generating.
+   * @param {number} options.maxSolutions (Default `256`) Solutions are only counted up to
+   * this many when comparing grids. Higher is slower per step but gives better guidance.
+   * @param {Rng} options.rng (Default `Math.random`) Source of random numbers.
+   * @returns {Sudoku | null} The puzzle, or `null` if the time limit was hit.
+   */
+  static generateFromPattern({
+    pattern,
+    timeoutMs = 0,
+    maxSolutions = 256,
+    rng = Math.random,
+  }) {
+    const mask = (typeof pattern === 'string') ? patternToMask(pattern) : pattern;
+    const clueCells = cellsFromMask(mask);
+    if (clueCells.length < MIN_CLUES) {
+      throw new Error(`Pattern has ${clueCells.length} clues; expected at least ${MIN_CLUES}`);
+    }
+
+    const start = Date.now();
+    // Give up on a grid that stops improving, and start over with a new one.
+    const MAX_STALE_STEPS = 500;
+
+    let grid = Sudoku.generateConfig(rng);
+    let count = countSolutions(grid.filter(mask)._digits, maxSolutions);
+    let staleSteps = 0;
+    while (count > 1) {
+      if (timeoutMs > 0 && (Date.now() - start) > timeoutMs) return null;
+
+      if (staleSteps >= MAX_STALE_STEPS) {
+        grid = Sudoku.generateConfig(rng);
+        count = countSolutions(grid.filter(mask)._digits, maxSolutions);
+        staleSteps = 0;
+        continue;
+      }
+
+      let keep = mask;
+      const numToReroll = 1 + ((rng() * 3) | 0);
+      for (let i = 0; i < numToReroll; i++) {
+        keep &= ~CELL_MASKS[chooseRandom(clueCells, rng)];
+      }
+
+      const next = grid.filter(keep).solution(rng);
+      const nextCount = countSolutions(next.filter(mask)._digits, maxSolutions);
+      if (nextCount < count) {
+        staleSteps = 0;
+      } else {
+        staleSteps++;
+      }
+      if (nextCount <= count) {
+        grid = next;
+        count = nextCount;
       }
     }
 
@@ -785,22 +1599,86 @@ export class Sudoku {
 
   /**
    * Generates a Sudoku board with the diagonal regions randomly filled.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
    * @returns {Sudoku}
    */
-  static configSeed() {
+  static configSeed(rng = Math.random) {
     const sudoku = new Sudoku();
-    sudoku._fillSections(0b100010001);
+    sudoku._fillSections(0b100010001, rng);
     return sudoku;
   }
 
   /**
    * Generates a random Sudoku configuration.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers. With a seeded
+   * generator (see `createRng`), the same seed gives the same configuration.
    * @param {object} options
-   * @param {boolean} [options.normalize=false] (default: `false`) Whether to normalize the generated board.
+   * @param {number} options.rank (Default `3`) One of the `RANKS`.
+   * @param {string[]} options.variants (Default none) Names of the `VARIANTS` and
+   * `PAIR_VARIANTS` the configuration has.
+   * @param {string | null} options.regions (Default boxes) The region of each cell (see the
+   * constructor and `generateRegions`).
    * @returns {Sudoku} A valid configuration
    */
-  static generateConfig() {
-    return new Sudoku().genConfig(new SearchState());
+  static generateConfig(rng = Math.random, { rank = RANK, variants = [], regions = null } = {}) {
+    return new Sudoku([], { rank, variants, regions }).genConfig(new SearchState(null, rng));
+  }
+
+  /**
+   * Returns whether a region layout is proper: as many connected regions as there are
+   * digits, each with a cell for every digit. Doesn't check if the layout can be filled.
+   * @param {string | ArrayLike<string | number>} regions The region of each cell (see the
+   * constructor).
+   * @param {object} options
+   * @param {number} options.rank (Default `3`) One of the `RANKS`.
+   * @returns {boolean}
+   */
+  static validateRegions(regions, { rank = RANK } = {}) {
+    try {
+      parseRegions(regions, rank);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Generates a random jigsaw layout that can be filled with digits, by trading cells between
+   * neighboring regions, starting from boxes.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
+   * @param {object} options
+   * @param {number} options.rank (Default `3`) One of the `RANKS`.
+   * @returns {string} The region of each cell, written as `1`, `2`, and so on.
+   */
+  static generateRegions(rng = Math.random, { rank = RANK } = {}) {
+    const { digits, spaces } = geometryFor(rank);
+    const regionCells = (regions, region) => range(spaces).filter((ci) => regions[ci] === region);
+    const borders = (regions, ci, region) => orthogonalNeighbors(ci, digits).some((ni) => regions[ni] === region);
+
+    for (;;) {
+      const regions = Array.from(boxRegions(rank), (symbol) => DIGIT_SYMBOLS.indexOf(symbol) - 1);
+      for (let trades = 0; trades < spaces;) {
+        // Cell `a` joins a neighboring region, which gives up a cell `b` next to `a`'s region.
+        const a = Math.trunc(rng() * spaces);
+        const from = regions[a];
+        const others = orthogonalNeighbors(a, digits).filter((ni) => regions[ni] !== from);
+        if (others.length === 0) continue;
+        const to = regions[chooseRandom(others, rng)];
+        const b = chooseRandom(regionCells(regions, to).filter((ci) => borders(regions, ci, from)), rng);
+        regions[a] = to;
+        regions[b] = from;
+        if ([from, to].every((region) => connectedGroups(regionCells(regions, region), digits).length === 1)) {
+          trades++;
+        } else {
+          regions[a] = from;
+          regions[b] = to;
+        }
+      }
+
+      // Some layouts can't be filled, so check that one can be.
+      const search = new SearchState(new Sudoku([], { rank, regions }), rng);
+      if (search.advanceToSolution(1, spaces * 4)) return parseRegions(regions, rank);
+    }
   }
 
   /**
@@ -809,38 +1687,67 @@ export class Sudoku {
    * @returns {Sudoku} This sudoku instance.
    */
   genConfig(search = new SearchState()) {
-    this.clear();
-    shuffle(DIGIT_BAG);
-    DIGIT_BAG.forEach((digit, i) => this.setDigit(digit, indicesFor.region[0][i]));
-    shuffle(DIGIT_BAG);
-    DIGIT_BAG.forEach((digit, i) => this.setDigit(digit, indicesFor.region[4][i]));
-    shuffle(DIGIT_BAG);
-    DIGIT_BAG.forEach((digit, i) => this.setDigit(digit, indicesFor.region[8][i]));
+    const { rank, digits, spaces, houses, jigsaw, pairs, indicesFor: indices } = this._geometry;
+    // Searches on larger, jigsaw, or paired boards can get stuck for a very long time, so
+    // start over with new digits when one takes too long. Pairs leave fewer boards to find,
+    // so those searches get longer.
+    const maxSteps = (pairs.length > 0) ? spaces * 16 : ((rank > RANK) || jigsaw) ? spaces * 4 : Infinity;
+    for (let attempt = 0; attempt < MAX_CONFIG_ATTEMPTS; attempt++) {
+      this.clear();
+      // The regions on the main diagonal don't share any rows or columns, so fill them freely.
+      // On 4x4 boards that can leave no solution, and jigsaw regions and variant houses may
+      // share rows, columns, or houses, so only the first is filled then. Pairs can rule out
+      // digits even within a region, so none are filled then.
+      // Shuffle copies, so the result only depends on the rng.
+      const numFree = (pairs.length > 0) ? 0 :
+        ((rank > 2) && !jigsaw && (houses.length === digits * 3)) ? rank : 1;
+      range(numFree).map((i) => i * (rank + 1)).forEach(region => {
+        shuffle(range(digits + 1, 1), search.rng).forEach((digit, i) => this.setDigit(digit, indices.region[region][i]));
+      });
 
-    for (let ci = 0; ci < SPACES; ci++) {
-      if (this._digits[ci]) continue;
-      this._candidates[ci] &= ~this._cellConstraints(ci);
-    }
+      for (let ci = 0; ci < spaces; ci++) {
+        if (this._digits[ci]) continue;
+        this._candidates[ci] &= ~this._cellConstraints(ci);
+      }
 
-    search.init(this);
-    if (search.advanceToSolution(1)) {
-      return this.copyFrom(search.solution);
-    } else {
-      console.error(`Something went wrong resolving config seed into solution.\nSeed: ${this.toString()}`);
-      return null;
+      search.init(this);
+      if (search.advanceToSolution(1, maxSteps)) {
+        return this.copyFrom(search.solution);
+      }
     }
+    console.error(`Something went wrong resolving config seed into solution.\nSeed: ${this.toString()}`);
+    return null;
   }
 
   /**
    * Performs a solutions search for the board and returns the first found.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers, which decide
+   * which solution is found first.
    * @returns {Sudoku | null} The first solution found, or `null` if none was found.
    */
-  solution() {
-    const search = new SearchState();
+  solution(rng = Math.random) {
+    const search = new SearchState(null, rng);
     search.init(this);
     return search.advanceToSolution() ? new Sudoku(search.solution) : null;
   }
 
+  /**
+   * Finds the single next deduction a player could make on this board, using
+   * the easiest technique that applies. Unlike `solution()`, this gives away
+   * one placement or a few eliminations at a time.
+   *
+   * Candidates already removed from the board (see `removeCandidate`) stay removed, so
+   * applying a hint's eliminations moves on to the next hint.
+   * @returns {import('./LogicalSolver.js').Hint | null} The technique used, the cells,
+   * digits and houses involved, the resulting placements or eliminations and an explanation;
+   * or `null` if the board is full, invalid, or beyond the solver's techniques.
+   */
+  nextHint() {
+    this._checkStandard('nextHint', { jigsaw: true, variants: 'houses' });
+    const step = new LogicalSolver().nextStep(this);
+    return step ? { ...step, explanation: explainStep(step, this._geometry) } : null;
+  }
+
   /**
    * Normalizes the board by rearranging the digits so that the first row
    * contains the digits 1-9 sequentially.
@@ -852,12 +1759,13 @@ export class Sudoku {
    * @throws {Error} If the top row is not fully filled.
    */
   normalize() {
-    if (!isAreaFull(this._digits.slice(0, DIGITS))) {
+    const { digits } = this._geometry;
+    if (!isAreaFull(this._digits.slice(0, digits))) {
       throw new Error('Top row must be fully filled before normalizing.');
     }
 
     const boardCopy = this.board;
-    for (let digit = 1; digit <= DIGITS; digit++) {
+    for (let digit = 1; digit <= digits; digit++) {
       const currentDigit = boardCopy[digit - 1];
       if (currentDigit !== digit) {
         swapAllInArr(boardCopy, currentDigit, digit);
@@ -869,6 +1777,108 @@ export class Sudoku {
     return this;
   }
 
+  /**
+   * Finds the minlex form of this board: of every board this one can be turned into by
+   * transposing, permuting bands, rows within bands, stacks, and columns within stacks, and
+   * relabeling digits, the one whose digits (reading row by row, with `0` for empty cells)
+   * are lexicographically smallest.
+   *
+   * Equivalent boards, and only those, share a minlex form, so its string makes an
+   * exact key for finding duplicates. Only digits are considered, not candidates.
+   * @returns {{ canonical: Sudoku, transform: Transform }} The minlex form, and a
+   * transform that turns this board into it.
+   */
+  canonicalize() {
+    this._checkStandard('canonicalize');
+    const { digits, transform } = minlex(this._digits);
+    return { canonical: new Sudoku(digits), transform: new Transform(transform) };
+  }
+
+  /**
+   * Decides whether two grids or puzzles are equivalent, i.e. whether one can be turned into
+   * the other by transposing, permuting bands, rows within bands, stacks, and columns within
+   * stacks, and relabeling digits.
+   *
+   * Unlike comparing fingerprints (`dc2()` etc.), this never mistakes different boards for
+   * equivalent ones. Only digits are compared, not candidates.
+   * @param {Sudoku} a
+   * @param {Sudoku} b
+   * @returns {Transform | null} A transform that turns `a` into `b`, or `null` if there is none.
+   */
+  static areEquivalent(a, b) {
+    a._checkStandard('areEquivalent');
+    b._checkStandard('areEquivalent');
+    // Relabeling keeps how often each digit appears, so compare those counts first.
+    const digitCounts = (sudoku) => sudoku._digits.reduce((counts, d) => {
+      counts[d]++;
+      return counts;
+    }, Array(DIGITS + 1).fill(0)).slice(1).sort((x, y) => (x - y)).join(',');
+    if (a.numEmptyCells !== b.numEmptyCells || digitCounts(a) !== digitCounts(b)) return null;
+
+    const canonicalA = a.canonicalize();
+    const canonicalB = b.canonicalize();
+    if (canonicalA.canonical.toString() !== canonicalB.canonical.toString()) return null;
+    return canonicalA.transform.then(canonicalB.transform.inverse());
+  }
+
+  /**
+   * Finds the automorphisms of this board: the transforms (see `canonicalize`) that map it
+   * onto itself, starting with the identity. Most grids have only the identity, and the most
+   * symmetric grids have 648. Digits missing from a puzzle can be swapped with each other
+   * freely, so each such relabeling is included too.
+   *
+   * Only digits are considered, not candidates. Boards with few digits can have billions
+   * of automorphisms, so check `automorphismCount` first for those.
+   * @returns {Transform[]}
+   * @throws {Error} If the board is empty (see `_checkNotEmpty`).
+   */
+  automorphisms() {
+    this._checkStandard('automorphisms');
+    this._checkNotEmpty('automorphisms');
+    const { transforms } = minlex(this._digits, { all: true });
+    const toOriginal = new Transform(transforms[0]).inverse();
+    const geometric = transforms.map((t) => new Transform(t).then(toOriginal));
+    return relabelings(missingDigits(this._digits)).flatMap((relabel) => (
+      geometric.map((t) => relabel.then(t))
+    ));
+  }
+
+  /**
+   * Counts the automorphisms of this board (see `automorphisms`), without listing them.
+   *
+   * This is the size of the board's automorphism group. The number of distinct boards
+   * equivalent to this one is `2 * 6^8 * 9!` divided by it.
+   * @returns {number}
+   * @throws {Error} If the board is empty (see `_checkNotEmpty`).
+   */
+  automorphismCount() {
+    this._checkStandard('automorphismCount');
+    this._checkNotEmpty('automorphismCount');
+    const numRelabelings = range(missingDigits(this._digits).length + 1, 1).reduce((product, n) => product * n, 1);
+    return minlex(this._digits, { all: true }).transforms.length * numRelabelings;
+  }
+
+  /**
+   * Throws for the empty board, which every one of the `NUM_TRANSFORMS` transforms maps onto
+   * itself, far too many to list.
+   * @param {string} feature What needs a digit on the board, for the error message.
+   */
+  _checkNotEmpty(feature) {
+    if (this.numEmptyCells === SPACES) {
+      throw new Error(`${feature} needs at least one digit; all ${NUM_TRANSFORMS} transforms map the empty board onto itself`);
+    }
+  }
+
+  /**
+   * Returns a copy of this board rearranged by the given transform, with its
+   * constraints in sync. This board is left unchanged.
+   * @param {Transform} transform
+   * @returns {Sudoku}
+   */
+  transform(transform) {
+    return transform.apply(this);
+  }
+
   /**
    * Returns an array of Sudokus with each possible candidate filled in at the given cell.
    *
@@ -882,7 +1892,7 @@ export class Sudoku {
    */
   _getNextsAdditive(emptyCellIndex = -1) {
     emptyCellIndex = Number(emptyCellIndex) || -1;
-    if (emptyCellIndex < 0 || emptyCellIndex >= SPACES) {
+    if (emptyCellIndex < 0 || emptyCellIndex >= this._geometry.spaces) {
       emptyCellIndex = this._pickEmptyCell();
     }
 
@@ -925,7 +1935,7 @@ export class Sudoku {
    * checks that the board solves uniquely.
    */
   allAntiesSolve() {
-    for (let ci = 0; ci < SPACES; ci++) {
+    for (let ci = 0; ci < this._geometry.spaces; ci++) {
       const originalVal = this._candidates[ci];
       const originalDigit = this._digits[ci];
       // Fail fast if there are any cells with no candidates
@@ -934,7 +1944,7 @@ export class Sudoku {
       if (originalDigit > 0) continue;
 
       let count = 0;
-      for (let candidateDigit of CANDIDATE_DECODINGS[originalVal]) {
+      for (let candidateDigit of this._geometry.candidateDigits(originalVal)) {
         this.setDigit(candidateDigit, ci); // mutates constraints
         const flag = this.solutionsFlag();
         this.setDigit(0, ci); // undo the constraints mutation
@@ -955,12 +1965,14 @@ export class Sudoku {
   /**
    * Fills the given regions randomly with digits.
    * @param {number} regionMask A 9-bit mask representing which regions to fill.
-   */
-  _fillSections(regionMask) {
-    for (let regIndex = 0; regIndex < DIGITS; regIndex++) {
-      if ((regionMask & (1<<(DIGITS - 1 - regIndex))) > 0) {
-        shuffle(DIGIT_BAG).forEach((digit, i) => {
-          this.setDigit(digit, indicesFor.region[regIndex][i])
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
+   */
+  _fillSections(regionMask, rng = Math.random) {
+    const { digits, indicesFor: indices } = this._geometry;
+    for (let regIndex = 0; regIndex < digits; regIndex++) {
+      if ((regionMask & (1<<(digits - 1 - regIndex))) > 0) {
+        shuffle(range(digits + 1, 1), rng).forEach((digit, i) => {
+          this.setDigit(digit, indices.region[regIndex][i])
         });
       }
     }
@@ -978,9 +1990,17 @@ export class Sudoku {
 
   /**
    * Performs a callback function for each solution found.
-   * @param {(solution: Sudoku) => void} solutionCallback
-   */
-  forEachSolution(solutionCallback) {
+   * @param {(solution: Sudoku) => boolean | void} solutionCallback Returning `false`
+   * stops the search.
+   * @param {object} options
+   * @param {Rng} options.rng (Default `Math.random`) Source of random numbers, which decide
+   * the order that solutions are found in. Not used by the `'dlx'` solver.
+   * @param {string} options.solver (Default `'dfs'`) One of the `SOLVERS` to search with,
+   * other than `'bitboard'`.
+   */
+  forEachSolution(solutionCallback, { rng = Math.random, solver = 'dfs' } = {}) {
+    checkSolver(solver);
+    if (solver === 'bitboard') throw new Error('The bitboard solver can only count solutions');
     const puzzle = new Sudoku(this);
     puzzle._reduce();
 
@@ -990,9 +2010,14 @@ export class Sudoku {
       return;
     }
 
-    const search = new SearchState(puzzle);
+    if (solver === 'dlx') {
+      dlxSearch(puzzle, Infinity, solutionCallback);
+      return;
+    }
+
+    const search = new SearchState(puzzle, rng);
     while (search.advanceToSolution()) {
-      solutionCallback(new Sudoku(search.solution));
+      if (solutionCallback(new Sudoku(search.solution)) === false) return;
     }
   }
 
@@ -1000,14 +2025,23 @@ export class Sudoku {
    * Gets the constraints for the given cell.
    * @param {number} ci
    * @returns {number} A bit mask of the constraints, where `1`
-   * represents the presence of a digit in the cell's row, column, or region.
+   * represents the presence of a digit in the cell's row, column, region, or variant houses,
+   * or a digit ruled out by a cell it is paired with (see `PAIR_VARIANTS`).
    */
   _cellConstraints(ci) {
-    return Number(
-      ((this._constraints[CELL_ROWS[ci]] >> (DIGITS*2)) |
-      (this._constraints[CELL_COLS[ci]] >> (DIGITS)) |
-      this._constraints[CELL_REGIONS[ci]]) & ALL
+    const { cellHouses, pairs } = this._geometry;
+    const houses = cellHouses[ci];
+    let constraints = (
+      this._constraints[houses[0]] |
+      this._constraints[houses[1]] |
+      this._constraints[houses[2]]
     );
+    for (let i = 3; i < houses.length; i++) constraints |= this._constraints[houses[i]];
+    for (let i = 0; i < pairs.length; i++) {
+      const { partners, forbidden } = pairs[i];
+      for (const pi of partners[ci]) constraints |= forbidden[this._digits[pi]];
+    }
+    return constraints;
   }
 
   /**
@@ -1018,9 +2052,11 @@ export class Sudoku {
    */
   _addConstraint(ci, digit) {
     const dMask = ENCODER[digit];
-    this._constraints[CELL_ROWS[ci]] |= (dMask << (DIGITS*2));
-    this._constraints[CELL_COLS[ci]] |= (dMask << DIGITS);
-    this._constraints[CELL_REGIONS[ci]] |= dMask;
+    const houses = this._geometry.cellHouses[ci];
+    this._constraints[houses[0]] |= dMask;
+    this._constraints[houses[1]] |= dMask;
+    this._constraints[houses[2]] |= dMask;
+    for (let i = 3; i < houses.length; i++) this._constraints[houses[i]] |= dMask;
   }
 
   _removeConstraint(ci, digit) {
@@ -1032,9 +2068,11 @@ export class Sudoku {
     }
 
     const dMask = ENCODER[digit];
-    this._constraints[CELL_ROWS[ci]] &= ~(dMask << (DIGITS*2));
-    this._constraints[CELL_COLS[ci]] &= ~(dMask << DIGITS);
-    this._constraints[CELL_REGIONS[ci]] &= ~dMask;
+    const houses = this._geometry.cellHouses[ci];
+    this._constraints[houses[0]] &= ~dMask;
+    this._constraints[houses[1]] &= ~dMask;
+    this._constraints[houses[2]] &= ~dMask;
+    for (let i = 3; i < houses.length; i++) this._constraints[houses[i]] &= ~dMask;
   }
 
   /**
@@ -1043,10 +2081,11 @@ export class Sudoku {
    * @param {object} options
    * @param {number[]} options.digits
    * @param {number[]} options.candidates
+   * @param {object} layout (Default a standard board) See `layout`.
    * @returns {Sudoku}
    */
-  static fromState({ digits, candidates }) {
-    const sudoku = new Sudoku(digits);
+  static fromState({ digits, candidates }, layout = {}) {
+    const sudoku = new Sudoku(digits, layout);
     sudoku._candidates = [...candidates];
     // If any cell lacks valid candidates, mark as invalid.
     if (sudoku._candidates.some((val, ci) => (~sudoku._cellConstraints(ci) & val) === 0)) {
@@ -1057,11 +2096,41 @@ export class Sudoku {
 
   /**
    * Sudoku Class Thing
-   * @param {number[] | string | Sudoku} data
+   * @param {number[] | string | Sudoku} data The digits of each cell, a board string (see
+   * `fromString`), or a board to copy.
+   * @param {object} options
+   * @param {number | 'auto'} options.rank (Default from the length of arrays, and `3` for
+   * strings and empty boards) One of the `RANKS`, or `'auto'` to work it out from a string's
+   * length too. Boards of other ranks than `3` support setting and checking digits, solving,
+   * generating configs and puzzles (`generateConfig`, `generatePuzzle`, `generatePuzzle2`
+   * without a difficulty, `randomComboPuzzle`), and `isMinimal` and `minimize`, but not the
+   * features built on 9x9 tables, such as fingerprints, rating, hints, transforms, and the
+   * `'bitboard'` solver.
+   * @param {string[]} options.variants (Default none) Names of the `VARIANTS` whose extra
+   * houses the board has, e.g. `['x']` for Sudoku-X, and of the `PAIR_VARIANTS` whose rules
+   * it follows, e.g. `['antiknight']`. Checking digits, solving, and generating configs and
+   * puzzles respect them; features built on standard sudoku tables throw, as for
+   * other ranks.
+   * @param {string | ArrayLike<string | number> | null} options.regions (Default boxes) For
+   * jigsaw sudoku, the region of each cell, row by row, e.g. an 81 character string like
+   * `'111222333...'`. Any distinct characters or numbers can name the regions, which are
+   * numbered from `1` in the order they first appear. There must be as many regions as
+   * digits, each a connected group of as many cells (see `validateRegions`). Besides what
+   * variants support, jigsaw boards, and boards with only `VARIANTS`, support `difficulty`,
+   * `nextHint`, and rated puzzle generation.
+   *
+   * Options are ignored when copying a board. See `layout` for copying them to new boards.
    */
-  constructor(data = []) {
+  constructor(data = [], { rank, variants = [], regions = null } = {}) {
+    /**
+     * Lookup tables for this board's rank, regions, and variants.
+     * @type {Geometry}
+     */
+    this._geometry;
+
     /**
-     * The sudoku board cell candidates, represented as an array of 9-bit masks.
+     * The sudoku board cell candidates, represented as an array of 9-bit masks
+     * (one bit per digit, so wider on larger boards).
      * The masks correspond to the candidate values for each cell, e.g.:
      * - `0b000000001` = 1
      * - `0b000000010` = 2
@@ -1076,20 +2145,15 @@ export class Sudoku {
     this._digits;
 
     /**
-     * Contains puzzle constraints in the form of 27-bit blocks,
-     *
-     * `[9 row bits][9 column bits][9 region bits]`,
-     *
-     * where each bit represents a digit, and is set to 1 if the digit
-     * is present in the row, column, or region.
-     *
-     * Use `ROW_MASK`, `COL_MASK`, and `REGION_MASK` to filter constraint values.
+     * Contains puzzle constraints as a digit mask per house: the rows, then the columns,
+     * then the regions, then any added by variants (see `Geometry.houses`). Each bit represents a digit, and is set
+     * to 1 if the digit is present in the house.
      * @type {number[]}
      */
     this._constraints;
 
     /** Keeps track of the number of empty cells on the board.*/
-    this._numEmptyCells = SPACES;
+    this._numEmptyCells;
 
     /**
      * Tracks whether this sudoku is currently valid.
@@ -1103,23 +2167,18 @@ export class Sudoku {
     this._isValid = true;
 
     if (data instanceof Sudoku) {
-      this._candidates = [...data._candidates];
-      this._digits = [...data._digits];
-      this._constraints = [...data._constraints];
-      this._numEmptyCells = data._numEmptyCells;
-      this._isValid = data._isValid;
+      this.copyFrom(data);
     } else if (typeof data === 'string') {
-      const parsed = Sudoku.fromString(data);
-      this._candidates = [...parsed._candidates];
-      this._digits = [...parsed._digits];
-      this._constraints = [...parsed._constraints];
-      this._numEmptyCells = parsed._numEmptyCells;
-      this._isValid = parsed._isValid;
+      this.copyFrom(Sudoku.fromString(data, { rank, variants, regions }));
     } else if (Array.isArray(data)) {
-      this._candidates = Array(SPACES).fill(ALL);
-      this._digits = Array(SPACES).fill(0);
-      this._constraints = Array(DIGITS).fill(0);
-      if (data.length === SPACES) this.setBoard(data);
+      const arrayRank = (rank === 'auto') ? undefined : rank;
+      const geometry = geometryFor(arrayRank ?? RANK_BY_SPACES.get(data.length) ?? RANK, variants, regions);
+      this._geometry = geometry;
+      this._candidates = Array(geometry.spaces).fill(geometry.all);
+      this._digits = Array(geometry.spaces).fill(0);
+      this._constraints = Array(geometry.houses.length).fill(0);
+      this._numEmptyCells = geometry.spaces;
+      if (data.length === geometry.spaces) this.setBoard(data);
     } else {
       throw new Error(`Invalid data type: ${typeof data}`);
     }
@@ -1131,6 +2190,7 @@ export class Sudoku {
    * @returns This sudoku for convenience.
    */
   copyFrom(other) {
+    this._geometry = other._geometry;
     this._candidates = [...other._candidates];
     this._digits = [...other._digits];
     this._constraints = [...other._constraints];
@@ -1139,6 +2199,63 @@ export class Sudoku {
     return this;
   }
 
+  /** The board's rank, e.g. `3` for 9x9 boards (see `RANKS`). */
+  get rank() {
+    return this._geometry.rank;
+  }
+
+  /**
+   * Names of the `VARIANTS` and `PAIR_VARIANTS` the board has.
+   * @returns {readonly string[]}
+   */
+  get variants() {
+    return this._geometry.variants;
+  }
+
+  /**
+   * The region of each cell, written as `1`, `2`, and so on.
+   * @returns {string}
+   */
+  get regions() {
+    return this._geometry.regions;
+  }
+
+  /**
+   * The options that make a board of the same shape, e.g. `new Sudoku(digits, board.layout)`.
+   * @returns {{ rank: number, variants: readonly string[], regions: string | null }}
+   */
+  get layout() {
+    const { rank, variants, regions, jigsaw } = this._geometry;
+    return { rank, variants, regions: jigsaw ? regions : null };
+  }
+
+  /**
+   * Throws unless this is a 9x9 board of boxes without variants, for features built on
+   * standard sudoku tables.
+   * @param {string} feature What needs the standard board, for the error message.
+   * @param {object} options
+   * @param {boolean} options.jigsaw (Default `false`) Whether the feature also supports
+   * jigsaw regions.
+   * @param {boolean | 'houses'} options.variants (Default `false`) Whether the feature also
+   * supports variants, or `'houses'` for only the `VARIANTS`, which add houses, and not the
+   * `PAIR_VARIANTS`.
+   */
+  _checkStandard(feature, { jigsaw = false, variants: allowVariants = false } = {}) {
+    const { rank, variants } = this._geometry;
+    if (rank !== RANK) {
+      throw new Error(`${feature} only supports 9x9 (rank ${RANK}) boards; got rank ${rank}`);
+    }
+    const unsupported = (allowVariants === true) ? [] : variants.filter((name) => (
+      allowVariants !== 'houses' || !Object.hasOwn(VARIANTS, name)
+    ));
+    if (unsupported.length > 0) {
+      throw new Error(`${feature} doesn't support variants; got ${unsupported.join(', ')}`);
+    }
+    if (this._geometry.jigsaw && !jigsaw) {
+      throw new Error(`${feature} doesn't support jigsaw regions`);
+    }
+  }
+
   /** Returns a copy of the board. */
   get board() {
     return [...this._digits];
@@ -1146,10 +2263,11 @@ export class Sudoku {
 
   /** Returns a copy of the board as a 2D array. */
   get board2D() {
+    const { digits } = this._geometry;
     const boardRows = [];
-    for (let r = 0; r < DIGITS; r++) {
-      const start = r * DIGITS;
-      const end = start + DIGITS;
+    for (let r = 0; r < digits; r++) {
+      const start = r * digits;
+      const end = start + digits;
       const rowValues = this._digits.slice(start, end);
       boardRows.push(rowValues);
     }
@@ -1163,20 +2281,27 @@ export class Sudoku {
 
   /**
    * Returns a mapping of cell indices to a count of how
-   * many areas the cell is invalid in.
+   * many areas the cell is invalid in, plus how many paired cells it clashes with (see `PAIR_VARIANTS`).
    */
   get cellValidityMap() {
-    const v = { row: [], col: [], region: [] };
-    for (let i = 0; i < DIGITS; i++) {
-      v.row.push(this.isRowValid(i) ? 0 : 1);
-      v.col.push(this.isColValid(i) ? 0 : 1);
-      v.region.push(this.isRegionValid(i) ? 0 : 1);
-    }
-    return range(SPACES).map(ci => (
-      v.row[CELL_ROWS[ci]] + v.col[CELL_COLS[ci]] + v.region[CELL_REGIONS[ci]]
+    const { houses, cellHouses } = this._geometry;
+    const invalid = houses.map((house) => (isAreaValid(house.map((i) => this._digits[i])) ? 0 : 1));
+    return cellHouses.map((cellHouse, ci) => (
+      cellHouse.reduce((count, h) => count + invalid[h], 0) + this._pairClashes(ci)
     ));
   }
 
+  /**
+   * Counts the cells paired with the given one (see `PAIR_VARIANTS`) whose digits clash with its own.
+   * @param {number} ci
+   * @returns {number}
+   */
+  _pairClashes(ci) {
+    return this._geometry.pairs.reduce((count, { partners, forbidden }) => (
+      count + partners[ci].filter((pi) => (forbidden[this._digits[pi]] & ENCODER[this._digits[ci]])).length
+    ), 0);
+  }
+
   /**
    * Sets the value of the board at the given index.
    * @param {number} digit
@@ -1206,7 +2331,7 @@ export class Sudoku {
     if (digit === 0) {
       // PATCHED -- Newly added logic causing incorrect solutionsFlags
       // this._candidates[index] = ALL ^ this._cellConstraints(index);
-      this._candidates[index] = ALL;
+      this._candidates[index] = this._geometry.all;
     }
 
     return true;
@@ -1220,7 +2345,7 @@ export class Sudoku {
    * or if any of the numbers provided are not digits.
    */
   setBoard(digits) {
-    if (digits.length !== SPACES) {
+    if (digits.length !== this._geometry.spaces) {
       throw new Error(`board is invalid (length): ${digits.length}.`);
     }
 
@@ -1233,7 +2358,7 @@ export class Sudoku {
         throw new Error(`board is invalid (type): ${typeof digit} at index ${i}.`);
       }
 
-      if (digit < 0 || digit > DIGITS) {
+      if (digit < 0 || digit > this._geometry.digits) {
         throw new Error(`board is invalid (value): ${digit} at index ${i}.`);
       }
 
@@ -1258,17 +2383,29 @@ export class Sudoku {
    * @returns {number[]}
    */
   getCandidates(cellIndex) {
-    return CANDIDATE_DECODINGS[this._candidates[cellIndex]];
+    return this._geometry.candidateDigits(this._candidates[cellIndex]);
+  }
+
+  /**
+   * Removes a candidate from an empty cell, e.g. to apply a hint's eliminations.
+   * @param {number} digit
+   * @param {number} cellIndex
+   * @returns {boolean} Whether the cell had the candidate.
+   */
+  removeCandidate(digit, cellIndex) {
+    if (this._digits[cellIndex] > 0 || !(this._candidates[cellIndex] & ENCODER[digit])) return false;
+    this._candidates[cellIndex] &= ~ENCODER[digit];
+    return true;
   }
 
   /**
    * Clears all values and clues on the board. The result will be completely blank.
    */
   clear() {
-    this._candidates.fill(ALL);
+    this._candidates.fill(this._geometry.all);
     this._digits.fill(0);
     this._constraints.fill(0);
-    this._numEmptyCells = SPACES;
+    this._numEmptyCells = this._geometry.spaces;
   }
 
   /**
@@ -1277,7 +2414,7 @@ export class Sudoku {
    * @returns {number[]}
    */
   rowVals(row) {
-    return indicesFor.row[row].map((i) => this._digits[i]);
+    return this._geometry.indicesFor.row[row].map((i) => this._digits[i]);
   }
 
   /**
@@ -1286,7 +2423,7 @@ export class Sudoku {
    * @returns {number[]}
    */
   colVals(col) {
-    return indicesFor.col[col].map((i) => this._digits[i]);
+    return this._geometry.indicesFor.col[col].map((i) => this._digits[i]);
   }
 
   /**
@@ -1295,7 +2432,7 @@ export class Sudoku {
    * @returns {number[]}
    */
   regionVals(reg) {
-    return indicesFor.region[reg].map((i) => this._digits[i]);
+    return this._geometry.indicesFor.region[reg].map((i) => this._digits[i]);
   }
 
   /**
@@ -1342,9 +2479,10 @@ export class Sudoku {
   isSolved() {
     if (!this.isFull()) return false;
     for (let c of this._constraints) {
-      if (c !== FULL_CONSTRAINTS) return false;
+      if (c !== this._geometry.all) return false;
     }
-    return true;
+    // Pairs can clash without any house missing a digit.
+    return this._geometry.pairs.length === 0 || this._digits.every((_, ci) => this._pairClashes(ci) === 0);
   }
 
   /**
@@ -1352,7 +2490,7 @@ export class Sudoku {
    * @returns {boolean}
    */
   isNormal() {
-    for (let ci = 0; ci < DIGITS; ci++) {
+    for (let ci = 0; ci < this._geometry.digits; ci++) {
       const digit = decode(this._candidates[ci]);
       if (digit !== (ci + 1)) {
         return false;
@@ -1366,7 +2504,8 @@ export class Sudoku {
    * @returns {string}
    */
   toString() {
-    return this._digits.join('').replace(/0/g, '.');
+    const str = (this._geometry.digits > 9) ? this._digits.map((d) => DIGIT_SYMBOLS[d]).join('') : this._digits.join('');
+    return str.replace(/0/g, '.');
   }
 
   /**
@@ -1374,18 +2513,19 @@ export class Sudoku {
    * @returns {string}
    */
   toFullString() {
+    const { rank, digits, spaces } = this._geometry;
+    const width = rank * 4;
+    const bandLine = ' ' + range(rank).map(i => '-'.repeat((i === rank - 1) ? width : width - 1)).join('+');
+    const rowLine = range(rank).map(i => ' '.repeat((i === 0 || i === rank - 1) ? width : width - 1)).join('|');
     return this._digits.reduce((str, val, i) => {
-      str += ((val > 0) ? val : '.');
-      str += (((((i+1)%3) === 0) && (((i+1)%9) !== 0)) ? ' | ' : '   ');
+      str += ((val > 0) ? DIGIT_SYMBOLS[val] : '.');
+      str += (((((i+1)%rank) === 0) && (((i+1)%digits) !== 0)) ? ' | ' : '   ');
 
-      if (((i+1)%9) === 0) {
+      if (((i+1)%digits) === 0) {
         str += '\n';
 
-        if (i < 80) {
-          str += ((((Math.floor((i+1)/9)%3) == 0) && ((Math.floor(i/9)%8) != 0)) ?
-            ' -----------+-----------+------------' :
-            '            |           |            '
-          );
+        if (i < spaces - 1) {
+          str += ((((i+1)/digits)%rank) === 0) ? bandLine : rowLine;
           str += '\n  ';
         }
       }
@@ -1408,19 +2548,21 @@ export class Sudoku {
    * @returns {string}
    */
   static toMedString(board) {
+    const { rank, digits, spaces } = geometryFor(RANK_BY_SPACES.get(board.length) ?? RANK);
+    const bandLine = range(rank).map(() => '-'.repeat(rank * 2 - 1)).join('+');
     return board.reduce((str, val, i) => {
-      str += ((val > 0) ? val : ' ');
-      if ((((i+1)%3) === 0) && (((i+1)%9) !== 0)) {
+      str += ((val > 0) ? DIGIT_SYMBOLS[val] : ' ');
+      if ((((i+1)%rank) === 0) && (((i+1)%digits) !== 0)) {
         str += '|';
       } else {
         str += ' ';
       }
 
-      if (((i+1)%9) === 0) {
+      if (((i+1)%digits) === 0) {
         str += '\n';
 
-        if (i === 26 || i === 53) {
-          str += '-----+-----+-----\n';
+        if ((((i+1)/digits)%rank) === 0 && i < spaces - 1) {
+          str += bandLine + '\n';
         }
       }
 
@@ -1434,7 +2576,7 @@ export class Sudoku {
    */
   get normalizedBoard() {
     const copy = [...this._digits];
-    for (let i = 1; i <= DIGITS; i++) {
+    for (let i = 1; i <= this._geometry.digits; i++) {
       const digit = copy[i - 1];
       if (digit != i) {
         swapAllInArr(copy, digit, i);
@@ -1445,8 +2587,13 @@ export class Sudoku {
 
   /**
    * Generates a function and a preset of operations for scrambling a Sudoku.
+   *
+   * Every validity-preserving transform is equally likely. Use `randomIsomorph` to also
+   * find out which one was applied.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
    */
-  static createScrambler() {
+  static createScrambler(rng = Math.random) {
+    const transpose = rng() < 0.5;
     /** @type {{ i: number, j: number }[]} */
     const bands = [];
     /** @type {{ i: number, j: number }[]} */
@@ -1456,40 +2603,59 @@ export class Sudoku {
     /** @type {{ i: number, j: number }[]} */
     const cols = [];
     for (let i = 2; i > 0; i--) {
-      bands.push({ i, j: (Math.random() * (i+1)) | 0 });
-      stacks.push({ i, j: (Math.random() * (i+1)) | 0 });
+      bands.push({ i, j: (rng() * (i+1)) | 0 });
+      stacks.push({ i, j: (rng() * (i+1)) | 0 });
 
-      rows.push({ i: i + 6, j: (Math.random() * (i+1)) | 0 + 6 });
-      rows.push({ i: i + 3, j: (Math.random() * (i+1)) | 0 + 3 });
-      rows.push({ i, j: (Math.random() * (i+1)) | 0 });
+      rows.push({ i: i + 6, j: ((rng() * (i+1)) | 0) + 6 });
+      rows.push({ i: i + 3, j: ((rng() * (i+1)) | 0) + 3 });
+      rows.push({ i, j: (rng() * (i+1)) | 0 });
 
-      cols.push({ i: i + 6, j: (Math.random() * (i+1)) | 0 + 6 });
-      cols.push({ i: i + 3, j: (Math.random() * (i+1)) | 0 + 3 });
-      cols.push({ i, j: (Math.random() * (i+1)) | 0 });
+      cols.push({ i: i + 6, j: ((rng() * (i+1)) | 0) + 6 });
+      cols.push({ i: i + 3, j: ((rng() * (i+1)) | 0) + 3 });
+      cols.push({ i, j: (rng() * (i+1)) | 0 });
     }
 
     /** @type {number[]} */
-    const order = [...shuffle(DIGIT_BAG)];
+    const order = shuffle([...DIGIT_BAG], rng);
 
     /**
      * @param {Sudoku} sudoku
      */
     return (sudoku) => {
+      sudoku._checkStandard('createScrambler');
+      if (transpose) sudoku.reflectOverAntidiagonal();
       bands.forEach(b => { sudoku.swapBands(b.i, b.j); });
       stacks.forEach(s => { sudoku.swapStacks(s.i, s.j); });
-      rows.forEach(r => { sudoku.swapStacks(r.i, r.j); });
-      cols.forEach(c => { sudoku.swapStacks(c.i, c.j); });
+      rows.forEach(r => { sudoku.swapRows(r.i, r.j); });
+      cols.forEach(c => { sudoku.swapColumns(c.i, c.j); });
       sudoku.swapAllDigits(order);
     };
   }
 
+  /**
+   * Returns a disguised copy of this board: the result of a transform picked uniformly at
+   * random from all validity-preserving transforms (see `Transform.random`), with its
+   * constraints in sync. This board is left unchanged.
+   *
+   * The copy has the same solutions, rearranged the same way, and is just as hard, so it
+   * can stand in for the original while looking different.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
+   * @returns {{ isomorph: Sudoku, transform: Transform }} The copy, and the transform that
+   * turns this board into it.
+   */
+  randomIsomorph(rng = Math.random) {
+    const transform = Transform.random(rng);
+    return { isomorph: transform.apply(this), transform };
+  }
+
   /**
    * Randomly scrambles the grid.
    *
    * Note: constraints will be out of sync afterwards.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
    */
-  scramble() {
-    Sudoku.createScrambler()(this);
+  scramble(rng = Math.random) {
+    Sudoku.createScrambler(rng)(this);
   }
 
   /**
@@ -1501,7 +2667,8 @@ export class Sudoku {
    * @param {number} b
    */
   swapDigits(a, b) {
-    if (a < 0 || b < 0 || a > DIGITS || b > DIGITS) {
+    const { digits, spaces } = this._geometry;
+    if (a < 0 || b < 0 || a > digits || b > digits) {
       throw new Error('given digit is out of bounds');
     }
     swapAllInArr(this._digits, a, b);
@@ -1509,7 +2676,7 @@ export class Sudoku {
     const aEncoded = encode(a);
     const bEncoded = encode(b);
     const abEncoded = (aEncoded | bEncoded);
-    for (let ci = 0; ci < SPACES; ci++) {
+    for (let ci = 0; ci < spaces; ci++) {
       // Skip if cell has both candidates
       if ((this._candidates[ci] & abEncoded) === abEncoded) continue;
 
@@ -1532,7 +2699,7 @@ export class Sudoku {
    */
   swapAllDigits(order) {
     if (!order) throw new Error('digit order not specified');
-    if (order.length > DIGITS) throw new Error('order array improper length');
+    if (order.length > this._geometry.digits) throw new Error('order array improper length');
 
     order.forEach((digit, i) => {
       this.swapDigits(digit, i + 1);
@@ -1543,9 +2710,10 @@ export class Sudoku {
    * Swaps digit pairs at random.
    *
    * Note: board constraints and empty cell values will be out of sync.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
    */
-  shuffleDigits() {
-    this.swapAllDigits(shuffle(DIGIT_BAG));
+  shuffleDigits(rng = Math.random) {
+    this.swapAllDigits(shuffle(range(this._geometry.digits + 1, 1), rng));
   }
 
   /**
@@ -1554,8 +2722,8 @@ export class Sudoku {
    * Note: board constraints will be out of sync.
    */
   reflectOverHorizontal() {
-    reflectOverHorizontal(this._candidates, DIGITS);
-    reflectOverHorizontal(this._digits, DIGITS);
+    reflectOverHorizontal(this._candidates, this._geometry.digits);
+    reflectOverHorizontal(this._digits, this._geometry.digits);
   }
 
   /**
@@ -1564,8 +2732,8 @@ export class Sudoku {
    * Note: board constraints will be out of sync.
    */
   reflectOverVertical() {
-    reflectOverVertical(this._candidates, DIGITS);
-    reflectOverVertical(this._digits, DIGITS);
+    reflectOverVertical(this._candidates, this._geometry.digits);
+    reflectOverVertical(this._digits, this._geometry.digits);
   }
 
   /**
@@ -1599,30 +2767,23 @@ export class Sudoku {
   }
 
   /**
-   * Swaps the given bands by index (0, 1, or 2).
+   * Swaps the given bands by index (0, 1, or 2 on 9x9 boards).
    *
    * Note: board constraints will be out of sync.
    * @param {number} band1
    * @param {number} band2
    */
   swapBands(band1, band2) {
-    const b1 = band1 % 3;
-    const b2 = band2 % 3;
+    const { rank } = this._geometry;
+    const b1 = band1 % rank;
+    const b2 = band2 % rank;
     if (b1 === b2) {
       return;
     }
 
-    const N = DIGITS * 3;
-    const bands = [
-      this._candidates.slice(0, N),
-      this._candidates.slice(N, N*2),
-      this._candidates.slice(N*2, N*3)
-    ];
-    const digits = [
-      this._digits.slice(0, N),
-      this._digits.slice(N, N*2),
-      this._digits.slice(N*2, N*3),
-    ];
+    const N = this._geometry.digits * rank;
+    const bands = range(rank).map(i => this._candidates.slice(N*i, N*(i+1)));
+    const digits = range(rank).map(i => this._digits.slice(N*i, N*(i+1)));
 
     swap(bands, b1, b2);
     swap(digits, b1, b2);
@@ -1631,7 +2792,7 @@ export class Sudoku {
   }
 
   /**
-   * Swaps the given rows by index (0 through 8).
+   * Swaps the given rows by index (0 through 8 on 9x9 boards).
    *
    * Note: This may yield an invalid board unless the rows are of the same band.
    *
@@ -1640,15 +2801,15 @@ export class Sudoku {
    * @param {number} row2
    */
   swapRows(row1, row2) {
-    const r1 = row1 % DIGITS;
-    const r2 = row2 % DIGITS;
+    const N = this._geometry.digits;
+    const r1 = row1 % N;
+    const r2 = row2 % N;
     if (r1 === r2) {
       return;
     }
 
-    const N = DIGITS;
-    const rows = range(DIGITS).map(i => this._candidates.slice(N*i, N*(i+1)));
-    const digitRows = range(DIGITS).map(i => this._digits.slice(N*i, N*(i+1)));
+    const rows = range(N).map(i => this._candidates.slice(N*i, N*(i+1)));
+    const digitRows = range(N).map(i => this._digits.slice(N*i, N*(i+1)));
     swap(rows, r1, r2);
     swap(digitRows, r1, r2);
     this._candidates = rows.flat();
@@ -1656,7 +2817,7 @@ export class Sudoku {
   }
 
   /**
-   * Swaps the given columns by index (0 through 8).
+   * Swaps the given columns by index (0 through 8 on 9x9 boards).
    *
    * Note: This may yield an invalid board unless the columns are of the same stack.
    *
@@ -1665,41 +2826,43 @@ export class Sudoku {
    * @param {number} col2
    */
   swapColumns(col1, col2) {
-    const c1 = col1 % DIGITS;
-    const c2 = col2 % DIGITS;
+    const N = this._geometry.digits;
+    const c1 = col1 % N;
+    const c2 = col2 % N;
     if (c1 === c2) {
       return;
     }
 
     let temp;
-    for (let r = 0; r < DIGITS; r++) {
-      temp = this._candidates[r * DIGITS + c1];
-      this._candidates[r * DIGITS + c1] = this._candidates[r * DIGITS + c2];
-      this._candidates[r * DIGITS + c2] = temp;
-
-      temp = this._digits[r * DIGITS + c1];
-      this._digits[r * DIGITS + c1] = this._digits[r * DIGITS + c2];
-      this._digits[r * DIGITS + c2] = temp;
+    for (let r = 0; r < N; r++) {
+      temp = this._candidates[r * N + c1];
+      this._candidates[r * N + c1] = this._candidates[r * N + c2];
+      this._candidates[r * N + c2] = temp;
+
+      temp = this._digits[r * N + c1];
+      this._digits[r * N + c1] = this._digits[r * N + c2];
+      this._digits[r * N + c2] = temp;
     }
   }
 
   /**
-   * Swaps the given stacks by index (0, 1, or 2).
+   * Swaps the given stacks by index (0, 1, or 2 on 9x9 boards).
    *
    * Note: board constraints will be out of sync.
    * @param {number} stack1
    * @param {number} stack2
    */
   swapStacks(stack1, stack2) {
-    const s1 = stack1 % 3;
-    const s2 = stack2 % 3;
+    const { rank } = this._geometry;
+    const s1 = stack1 % rank;
+    const s2 = stack2 % rank;
     if (s1 === s2) {
       return;
     }
 
-    this.swapColumns(s1*3, s2*3);
-    this.swapColumns(s1*3 + 1, s2*3 + 1);
-    this.swapColumns(s1*3 + 2, s2*3 + 2);
+    for (let i = 0; i < rank; i++) {
+      this.swapColumns(s1*rank + i, s2*rank + i);
+    }
   }
 
   /**
@@ -1711,7 +2874,7 @@ export class Sudoku {
   _resetConstraints() {
     this._constraints.fill(0);
     this._isValid = true;
-    for (let i = 0; i < SPACES; i++) {
+    for (let i = 0; i < this._geometry.spaces; i++) {
       if (this._digits[i] > 0) {
         if (this._cellConstraints(i) & this._candidates[i]) {
           this._isValid = false;
@@ -1725,9 +2888,9 @@ export class Sudoku {
    * Resets empty cells to include all candidates.
    */
   _resetEmptyCells() {
-    for (let i = 0; i < SPACES; i++) {
+    for (let i = 0; i < this._geometry.spaces; i++) {
       if (this._digits[i] === 0) {
-        this._candidates[i] = ALL;
+        this._candidates[i] = this._geometry.all;
       }
     }
   };
@@ -1738,20 +2901,21 @@ export class Sudoku {
    * When finished, all cell values should have reduced to valid candidates.
    */
   _reduce(level = 1) {
+    const { spaces } = this._geometry;
     let hadReduction;
     do {
       hadReduction = false;
 
       // Resolves naked singles
-      for (let i = 0; i < SPACES; i++) this._reduceCell(i);
+      for (let i = 0; i < spaces; i++) this._reduceCell(i);
 
       // Resolves hidden singles
       if (level >= 1) {
-        for (let i = 0; i < SPACES; i++) {
+        for (let i = 0; i < spaces; i++) {
           if (this._digits[i] > 0) continue;
           let uniqueCandidate = this._checkHiddenSingles(i);
           if (uniqueCandidate > 0) {
-            this.setDigit(DECODER[uniqueCandidate], i);
+            this.setDigit(decode(uniqueCandidate), i);
             hadReduction = true;
           }
         }
@@ -1783,7 +2947,7 @@ export class Sudoku {
 
     // Propagate to neighboring cells if there was any reduction to the cell.
     if (this._candidates[ci] < originalCandidates) {
-      for (let ni of CELL_NEIGHBORS[ci]) {
+      for (let ni of this._geometry.cellNeighbors[ci]) {
         if (this._digits[ni] === 0) this._reduceCell(ni);
       }
     }
@@ -1791,14 +2955,17 @@ export class Sudoku {
 
   /**
    * Checks if the given cell contains a candidate unique to its
-   * row, column, or region.
+   * row, column, region, or one of its variant houses.
    * @param {number} ci Index of cell being checked.
    * @returns {number} The unique candidate digit; or 0 if none.
    */
   _checkHiddenSingles(ci) {
-    for (let candidate of CANDIDATES[this._candidates[ci]]) {
+    const { rowNeighbors, colNeighbors, regionNeighbors, extraNeighbors } = this._geometry;
+    // Takes the lowest candidate bit each time around.
+    for (let rest = this._candidates[ci]; rest > 0; rest &= (rest - 1)) {
+      const candidate = rest & -rest;
       let unique = true;
-      for (let ni of ROW_NEIGHBORS[ci]) {
+      for (let ni of rowNeighbors[ci]) {
         if (this._candidates[ni] & candidate) {
           unique = false;
           break;
@@ -1807,7 +2974,7 @@ export class Sudoku {
       if (unique) return candidate;
 
       unique = true;
-      for (let ni of COL_NEIGHBORS[ci]) {
+      for (let ni of colNeighbors[ci]) {
         if (this._candidates[ni] & candidate) {
           unique = false;
           break;
@@ -1816,13 +2983,24 @@ export class Sudoku {
       if (unique) return candidate;
 
       unique = true;
-      for (let ni of REGION_NEIGHBORS[ci]) {
+      for (let ni of regionNeighbors[ci]) {
         if (this._candidates[ni] & candidate) {
           unique = false;
           break;
         }
       }
       if (unique) return candidate;
+
+      for (let neighbors of extraNeighbors[ci]) {
+        unique = true;
+        for (let ni of neighbors) {
+          if (this._candidates[ni] & candidate) {
+            unique = false;
+            break;
+          }
+        }
+        if (unique) return candidate;
+      }
     }
 
     return 0;
@@ -1830,18 +3008,21 @@ export class Sudoku {
 
   /**
    * Finds the index of an empty cell which contains the fewest candidates.
+   * Ties are broken at random.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
    * @return {number} Cell index, or `-1` if there are no empty cells.
    */
-  _pickEmptyCell() {
+  _pickEmptyCell(rng = Math.random) {
+    const { digits, spaces, countCandidates } = this._geometry;
     if (this._numEmptyCells === 0) return -1;
-    if (this._numEmptyCells === SPACES) return Math.trunc(Math.random() * SPACES);
+    if (this._numEmptyCells === spaces) return Math.trunc(rng() * spaces);
 
     // TODO Keep track of empty cells in state for instant lookup.
-    let minNumCandidates = DIGITS + 1;
+    let minNumCandidates = digits + 1;
     let _minimums = [];
-    for (let ci = 0; ci < SPACES; ci++) {
+    for (let ci = 0; ci < spaces; ci++) {
       if (this._digits[ci] === 0) {
-        const numCandidates = BIT_COUNT_MAP[this._candidates[ci]];
+        const numCandidates = countCandidates(this._candidates[ci]);
         if (numCandidates < minNumCandidates) {
           minNumCandidates = numCandidates;
           _minimums = [ci];
@@ -1851,15 +3032,16 @@ export class Sudoku {
       }
     }
 
-    return _minimums.length ? chooseRandom(_minimums) : -1;
+    return _minimums.length ? chooseRandom(_minimums, rng) : -1;
   }
 
   /**
    * Determines whether this puzzle has a single solution.
+   * @param {object} options See `solutionsFlag`.
    * @returns {boolean} True if the puzzle has a unique solution; otherwise false.
    */
-  hasUniqueSolution() {
-    return this.solutionsFlag() === 1;
+  hasUniqueSolution(options) {
+    return this.solutionsFlag(options) === 1;
   }
 
   /**
@@ -1868,16 +3050,29 @@ export class Sudoku {
    * The search will stop early if a second solution is found. Otherwise, the search will
    * will continue until the entire search space is checked.
    *
-   * Note: If the board has fewer than the minimum `17` clues, then this returns `2` automatically.
+   * Note: If a standard board has fewer than the minimum `17` clues, then this returns `2` automatically.
+   * @param {object} options
+   * @param {string} options.solver (Default `'bitboard'`; `'dfs'` for boards with
+   * `PAIR_VARIANTS`; or `'dlx'` for other boards of ranks other than `3`, with variants, or
+   * with jigsaw regions) One of the `SOLVERS` to search with.
    * @returns {number} Value indicating the number of solutions:
    * - `0` - No solution.
    * - `1` - A single solution.
    * - `2 or higher` - Multiple solutions.
    */
-  solutionsFlag() {
+  solutionsFlag({ solver = defaultSolver(this._geometry) } = {}) {
+    checkSolver(solver);
     if (!this.isValid()) return 0;
-    if (this.numEmptyCells > (SPACES - MIN_CLUES)) return 3;
-    if (BIT_COUNT_MAP[this.digitsUsed()] < 8) return 4;
+    const { standard, digits, pairs, countCandidates } = this._geometry;
+    if (standard && this.numEmptyCells > (SPACES - MIN_CLUES)) return 3;
+    // Two missing digits can always be swapped, unless pairs tell them apart.
+    if (pairs.length === 0 && countCandidates(this.digitsUsed()) < digits - 1) return 4;
+
+    if (solver === 'bitboard') {
+      this._checkStandard('The bitboard solver');
+      return countSolutions(this._digits, 2);
+    }
+    if (solver === 'dlx') return dlxSearch(this, 2);
 
     const search = new SearchState(this);
     while (search.numSolutions < 2 && search.advanceToSolution());
@@ -1886,9 +3081,18 @@ export class Sudoku {
 
   /**
    * Counts and returns the number of solutions for this puzzle.
-   * Note: This performs a full depth-first search.
+   * Note: This performs a full search.
+   * @param {object} options
+   * @param {string} options.solver (Default `'dfs'`) One of the `SOLVERS` to search with.
    */
-  solutionCount() {
+  solutionCount({ solver = 'dfs' } = {}) {
+    checkSolver(solver);
+    if (solver === 'bitboard') {
+      this._checkStandard('The bitboard solver');
+      return this.isValid() ? countSolutions(this._digits) : 0;
+    }
+    if (solver === 'dlx') return this.isValid() ? dlxSearch(this) : 0;
+
     const search = new SearchState(this);
     while (search.advanceToSolution());
     return search.numSolutions;
@@ -1902,10 +3106,11 @@ export class Sudoku {
   diff(config) {
     const a = this.board;
     const b = config.board;
+    const { spaces, cellMasks } = this._geometry;
     let mask = 0n;
-    for (let ci = 0; ci < SPACES; ci++) {
+    for (let ci = 0; ci < spaces; ci++) {
       if (a[ci] !== b[ci]) {
-        mask |= CELL_MASKS[ci];
+        mask |= cellMasks[ci];
       }
     }
     return mask;
@@ -1967,6 +3172,7 @@ export class Sudoku {
    * @returns {string}
    */
   _fp(sieve, level, masks) {
+    this._checkStandard('Fingerprints');
     if (!this.isSolved()) throw new Error('Invalid configuration.');
     if (level < 2 || level > 4) throw new Error('Unsupported level. [2 <= level <= 4]');
 
@@ -1992,80 +3198,19 @@ export class Sudoku {
   }
 
   /**
-   * *WORK IN PROGRESS* -- This function is experimental and will be
-   * replaced in the future. It's not an accurate ranking for medium/hard puzzles
-   * and is very expensive to calculate.
+   * Rates how hard this puzzle is for a person to solve, on a scale modeled after
+   * Sudoku Explainer: the rating of the hardest technique the logical solver needs,
+   * from `1.0` (full house) up to `7.5` (forcing chain). Puzzles that need more than
+   * the solver knows are rated `UNSOLVED_RATING` (`11.0`), and solved grids `0`.
    *
-   * Indicates the difficulty of this sudoku.
-   * Invalid puzzles, or puzzles with
-   * @returns {number}
+   * The techniques are built for 9x9 boards, so other ranks throw, as do the `PAIR_VARIANTS`.
+   * The houses of the `VARIANTS` count like regions.
+   * @returns {number} The rating, or `-1` if the puzzle does not have a unique solution.
    */
   difficulty() {
-    const root = new Sudoku(this);
-    root._resetEmptyCells();
-    root._resetConstraints();
-    root._reduce();
-
-    let diff = 1;
-
-    if (root.isSolved()) return diff;
-    if (!root.isValid()) return -1;
-
-    /**
-     * @typedef {Object} Nodey
-     * @property {Sudoku} sudoku
-     * @property {number} difficulty
-     */
-
-    /** @type {Nodey[]} */
-    const queue = [{ sudoku: root, difficulty: 1 }];
-    const diffs = [];
-    let solution = null;
-
-    while (queue.length > 0) {
-      const node = queue.shift();
-      const sudoku = node.sudoku;
-      if (sudoku.isSolved()) {
-        if (!solution) {
-          solution = sudoku.toString();
-        } else if (sudoku.toString() !== solution) {
-          return -1;
-        }
-        // return node.difficulty;
-        diffs.push(node.difficulty);
-      }
-
-      // Get all empty cells of minimum candidates
-      let minNumCandidates = DIGITS + 1;
-      let candyBucket = [];
-      sudoku._candidates.forEach((candidates, ci) => {
-        const numCandidates = BIT_COUNT_MAP[candidates];
-        if (numCandidates > 1) {
-          if (numCandidates < minNumCandidates) {
-            minNumCandidates = numCandidates;
-            candyBucket = [ci];
-          } else if (numCandidates === minNumCandidates) {
-            candyBucket.push(ci);
-          }
-        }
-      });
-
-      // For each empty cell collected, create nodes for each candidate
-      candyBucket.forEach(emptyCi => {
-        CANDIDATE_DECODINGS[sudoku._candidates[emptyCi]].forEach(digit => {
-          const nextSudoku = new Sudoku(sudoku);
-          nextSudoku.setDigit(digit, emptyCi);
-          nextSudoku._reduce();
-          queue.push({ sudoku: nextSudoku, difficulty: (node.difficulty + 1) });
-        });
-      });
-
-      // Priority queue hack
-      queue.sort((a, b) => (a.difficulty - b.difficulty));
-    }
-
-    if (diffs.length === 0) return -1;
-    return diffs.reduce((acc, d) => (acc + d), 0) / diffs.length;
+    this._checkStandard('difficulty', { jigsaw: true, variants: 'houses' });
+    if (this.solutionsFlag() !== 1) return -1;
+    return new LogicalSolver().rate(this).rating;
   }
 
   /**
@@ -2073,15 +3218,16 @@ export class Sudoku {
    * until the board is as empty as possible without becoming unsolvable. This method
    * modifies the current Sudoku instance.
    *
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
    * @returns {boolean} Whether the sudoku instance was changed as a result of shaking.
    */
-  shake() {
+  shake(rng = Math.random) {
     // If this grid does not have a unique solution, return immediately.
     if (!this.hasUniqueSolution()) return false;
 
     let removedCount = 0;
     const clonedSudoku = new Sudoku(this);
-    shuffle(range(SPACES)).forEach((ci) => {
+    shuffle(range(this._geometry.spaces), rng).forEach((ci) => {
       // Skip if the cell is already empty.
       if (this._digits[ci] === 0) return;
 
@@ -2097,18 +3243,95 @@ export class Sudoku {
     return removedCount > 0;
   }
 
+  /**
+   * Determines whether this puzzle has a unique solution that is lost by removing any clue.
+   * @param {object} options
+   * @param {string} options.symmetry (Default `'none'`) One of the `SYMMETRIES`. If given,
+   * clues are removed an orbit at a time, so that the puzzle keeps the symmetry.
+   * @returns {boolean}
+   * @throws {Error} If the clues do not have the given symmetry.
+   */
+  isMinimal({ symmetry = 'none' } = {}) {
+    const { rank } = this._geometry;
+    const mask = this.mask;
+    if (!isSymmetric(mask, symmetry, { rank })) {
+      throw new Error(`Clues do not have ${symmetry} symmetry.`);
+    }
+    if (this.solutionsFlag() !== 1) return false;
+    return symmetryTable(symmetry, rank).masks.every(orbitMask => (
+      !(mask & orbitMask) || this.filter(mask & ~orbitMask).solutionsFlag() !== 1
+    ));
+  }
+
+  /**
+   * Removes clues, in board order, until the puzzle is minimal (see `isMinimal()`).
+   * Unlike `shake()`, the same puzzle is always reduced the same way.
+   * This method modifies the current Sudoku instance.
+   * @param {object} options
+   * @param {string} options.symmetry (Default `'none'`) One of the `SYMMETRIES`. If given,
+   * clues are removed an orbit at a time, so that the puzzle keeps the symmetry.
+   * @returns {Sudoku} Returns itself for convenience.
+   * @throws {Error} If the puzzle does not have a unique solution, or its clues do not
+   * have the given symmetry.
+   */
+  minimize({ symmetry = 'none' } = {}) {
+    const { rank } = this._geometry;
+    let mask = this.mask;
+    if (!isSymmetric(mask, symmetry, { rank })) {
+      throw new Error(`Clues do not have ${symmetry} symmetry.`);
+    }
+    if (this.solutionsFlag() !== 1) {
+      throw new Error('Puzzle must have a unique solution to minimize.');
+    }
+    symmetryTable(symmetry, rank).masks.forEach(orbitMask => {
+      if ((mask & orbitMask) && this.filter(mask & ~orbitMask).solutionsFlag() === 1) {
+        mask &= ~orbitMask;
+      }
+    });
+    return this.copyFrom(this.filter(mask));
+  }
+
+  /**
+   * Builds a random mask with the given bitCount and symmetry.
+   * @param {number} bitCount
+   * @param {string} symmetry (Default `'rotational180'`) One of the `SYMMETRIES`.
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
+   * @param {object} options
+   * @param {number} options.rank (Default `3`) The rank of the board the mask is for.
+   * @returns {bigint}
+   */
+  static randomSymmetricMask(bitCount, symmetry = 'rotational180', rng = Math.random, { rank = RANK } = {}) {
+    if (!symmetryAllows(symmetry, bitCount, { rank })) {
+      throw new Error(`No ${symmetry} mask has ${bitCount} bits`);
+    }
+    const { orbits, masks } = symmetryTable(symmetry, rank);
+    let mask; let count; do {
+      mask = 0n;
+      count = 0;
+      // Take orbits in random order while they fit; some orders may miss the count.
+      for (const o of shuffle(range(orbits.length), rng)) {
+        if (count + orbits[o].length > bitCount) continue;
+        mask |= masks[o];
+        count += orbits[o].length;
+        if (count === bitCount) break;
+      }
+    } while (count !== bitCount);
+    return mask;
+  }
+
   /**
    * Builds a random palindrome mask with the given bitCount.
    * @param {number} bitCount
+   * @param {Rng} rng (Default `Math.random`) Source of random numbers.
    */
-  static randomPalindrome(bitCount) {
+  static randomPalindrome(bitCount, rng = Math.random) {
     const n = 40;
     if (bitCount < 0 || bitCount > SPACES) {
       throw new Error(`bitCount out of range: ${bitCount}; (min: 0, max: ${SPACES})`);
     }
     const k = (bitCount / 2) | 0;
     const rLimit = NCK(n, k);
-    return Sudoku.palindrome(bitCount, randomBig(rLimit));
+    return Sudoku.palindrome(bitCount, randomBig(rLimit, rng));
   }
 
   /**
@@ -2155,9 +3378,10 @@ export class Sudoku {
    * @returns {number} Encoded number indicating which digits are in use in this grid.
    */
   digitsUsed() {
+    const { digits, spaces } = this._geometry;
     let ds = 0;
     let bc = 0;
-    for (let ci = 0; ci < SPACES & bc < 9; ci++) {
+    for (let ci = 0; ci < spaces & bc < digits; ci++) {
       const d = this._digits[ci];
       if (d > 0 && (ds & ENCODER[d]) === 0) {
         ds |= ENCODER[d];
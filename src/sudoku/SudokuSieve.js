@@ -122,9 +122,11 @@ export function getDigitComboMasks(config, level) {
  * @param {bigint[]} sieve An existing array to accumulate unavoidable sets.
  * @param {bigint} mask An 81-bit puzzle mask.
  * @param {boolean} announce (Default `false`) Whether to log the unavoidable sets.
+ * @param {import('../util/random.js').Rng} rng (Default `Math.random`) Source of random numbers,
+ * which decide the order that items are found in.
  */
-export function searchForItemsFromMask(grid, sieve, mask, announce = false) {
-  const search = new SearchState(grid.filter(mask));
+export function searchForItemsFromMask(grid, sieve, mask, announce = false, rng = Math.random) {
+  const search = new SearchState(grid.filter(mask), rng);
   while (search.advanceToSolution()) {
     const diff = grid.diff(search.solution);
     // Filter out solutions that are the original grid
@@ -159,9 +161,10 @@ export function searchForItemsFromMask(grid, sieve, mask, announce = false) {
  * @param {Sudoku} options.grid The grid that the sieve is meant for.
  * @param {bigint[]} options.sieve (Optional, Default new array) The array to populate.
  * @param {number} options.level (Default `2`) Between `2` and `4`.
+ * @param {import('../util/random.js').Rng} options.rng (Default `Math.random`) Source of random numbers.
  * @returns {bigint[]} The sieve populated with items, sorted.
  */
-export function seedSieveDc({ grid, sieve = [], level = 2 }) {
+export function seedSieveDc({ grid, sieve = [], level = 2, rng = Math.random }) {
   if (level < MIN_LEVEL || level > MAX_LEVEL) {
     throw new Error(`Invalid level: ${level}. Level must be between ${MIN_LEVEL} and ${MAX_LEVEL}.`);
   }
@@ -174,7 +177,7 @@ export function seedSieveDc({ grid, sieve = [], level = 2 }) {
     for (let ci = 0; ci < SPACES; ci++) {
       if ((dCombo & digitMask(_board[ci])) > 0) digMask &= ~CELL_MASKS[ci];
     }
-    searchForItemsFromMask(grid, sieve, digMask);
+    searchForItemsFromMask(grid, sieve, digMask, false, rng);
   }
 
   return sortSieve(sieve);
@@ -186,16 +189,17 @@ export function seedSieveDc({ grid, sieve = [], level = 2 }) {
  * @param {Sudoku} options.grid The grid that the sieve is meant for.
  * @param {bigint[]} options.sieve (Optional) The array to populate.
  * @param {number} options.level (Default `2`) Between `2` and `4`.
+ * @param {import('../util/random.js').Rng} options.rng (Default `Math.random`) Source of random numbers.
  * @returns {bigint[]} The sieve populated with items, sorted.
  */
-export function seedSieveFp({ grid, sieve = [], level = 2 }) {
+export function seedSieveFp({ grid, sieve = [], level = 2, rng = Math.random }) {
   if (level < MIN_LEVEL || level > MAX_LEVEL) {
     throw new Error(`Invalid level: ${level}. Level must be between ${MIN_LEVEL} and ${MAX_LEVEL}.`);
   }
 
-  sieve.push(...seedSieveDc({ grid, sieve, level }));
+  sieve.push(...seedSieveDc({ grid, sieve, level, rng }));
 
-  ALL_AREA_COMBO_MASKS[level].forEach(mask => searchForItemsFromMask(grid, sieve, mask));
+  ALL_AREA_COMBO_MASKS[level].forEach(mask => searchForItemsFromMask(grid, sieve, mask, false, rng));
 
   return sortSieve(sieve);
 }
@@ -237,8 +241,10 @@ export default class SudokuSieve {
    * @param {object} options
    * @param {Sudoku} options.config
    * @param {bigint[]} options.items
+   * @param {import('../util/random.js').Rng} options.rng (Default `Math.random`) Source of random
+   * numbers, which decide the order that items are found in.
    */
-  constructor({ config, items = [] }) {
+  constructor({ config, items = [], rng = Math.random }) {
     if (
       !Boolean(config) ||
       !(config instanceof Sudoku) ||
@@ -249,6 +255,7 @@ export default class SudokuSieve {
 
     this._config = new Sudoku(config);
     this._configBoard = this._config.board;
+    this._rng = rng;
 
     /**
      * number[0 to 81]bigint[]
@@ -452,7 +459,7 @@ export default class SudokuSieve {
           }
         }
       }
-    });
+    }, { rng: this._rng });
 
     return (this._length - initialSieveSize);
   }
@@ -0,0 +1,349 @@
+import Sudoku, { cellMask } from './Sudoku.js';
+import { range, shuffle, swap } from '../util/arrays.js';
+
+// Not imported from Sudoku.js, which imports this module before defining them.
+const DIGITS = 9;
+const SPACES = 81;
+const LAST = DIGITS - 1;
+const IDENTITY_LINES = Object.freeze(range(DIGITS));
+const IDENTITY_DIGITS = Object.freeze(range(DIGITS + 1));
+
+/**
+ * Throws unless `arr` holds each number from `0` to `length - 1` once.
+ * @param {number[]} arr
+ * @param {number} length
+ * @param {string} name
+ */
+function checkPermutation(arr, length, name) {
+  if (
+    !Array.isArray(arr) ||
+    arr.length !== length ||
+    new Set(arr).size !== length ||
+    !arr.every((n) => Number.isInteger(n) && n >= 0 && n < length)
+  ) {
+    throw new Error(`Invalid transform ${name}: ${JSON.stringify(arr)}`);
+  }
+}
+
+/**
+ * Returns the permutation that undoes the given one.
+ * @param {number[]} perm
+ * @returns {number[]}
+ */
+const invertPermutation = (perm) => perm.reduce((inverse, n, i) => {
+  inverse[n] = i;
+  return inverse;
+}, Array(perm.length));
+
+/**
+ * Whether each group of three lines (a band or stack) stays together.
+ * @param {number[]} lines
+ */
+const keepsGroups = (lines) => range(3).every((g) => (
+  ((lines[g * 3] / 3) | 0) === ((lines[g * 3 + 1] / 3) | 0) &&
+  ((lines[g * 3] / 3) | 0) === ((lines[g * 3 + 2] / 3) | 0)
+));
+
+/**
+ * A rearrangement of a sudoku board: optionally transposing it, then reordering its rows
+ * and columns, and relabeling its digits. The cell at `(r, c)` of the result holds
+ * `digits[board[rows[r]][cols[c]]]`, where `board` is transposed first if `transpose` is set.
+ *
+ * Transforms can be combined with `then`, undone with `inverse`, and saved with `toJSON`.
+ * Applying one never modifies the board it is applied to.
+ */
+export class Transform {
+  /**
+   * @param {object} options
+   * @param {boolean} options.transpose (Default `false`) Whether to swap rows and columns first.
+   * @param {number[]} options.rows (Default identity) The row (of the possibly transposed
+   * board) that each row of the result comes from.
+   * @param {number[]} options.cols (Default identity) The column (of the possibly transposed
+   * board) that each column of the result comes from.
+   * @param {number[]} options.digits (Default identity) What each digit becomes, indexed by
+   * digit, with `digits[0] = 0` for empty cells.
+   */
+  constructor({
+    transpose = false,
+    rows = IDENTITY_LINES,
+    cols = IDENTITY_LINES,
+    digits = IDENTITY_DIGITS,
+  } = {}) {
+    checkPermutation(rows, DIGITS, 'rows');
+    checkPermutation(cols, DIGITS, 'cols');
+    checkPermutation(digits, DIGITS + 1, 'digits');
+    if (digits[0] !== 0) {
+      throw new Error(`Invalid transform digits: ${JSON.stringify(digits)}; empty cells must stay empty`);
+    }
+
+    this.transpose = Boolean(transpose);
+    this.rows = [...rows];
+    this.cols = [...cols];
+    this.digits = [...digits];
+
+    /**
+     * The cell of the original board that each cell of the result comes from.
+     * @type {number[]}
+     */
+    this._sources = range(SPACES).map((ci) => {
+      const r = this.rows[(ci / DIGITS) | 0];
+      const c = this.cols[ci % DIGITS];
+      return this.transpose ? (c * DIGITS + r) : (r * DIGITS + c);
+    });
+
+    /**
+     * Relabeled candidate masks, built when first needed.
+     * @type {number[] | null}
+     */
+    this._candidateMap = null;
+  }
+
+  /** The transform that changes nothing. */
+  static identity() {
+    return new Transform();
+  }
+
+  /**
+   * Swaps two bands (`0` - `2`).
+   * @param {number} band1
+   * @param {number} band2
+   */
+  static swapBands(band1, band2) {
+    const rows = [...IDENTITY_LINES];
+    for (let i = 0; i < 3; i++) swap(rows, (band1 % 3) * 3 + i, (band2 % 3) * 3 + i);
+    return new Transform({ rows });
+  }
+
+  /**
+   * Swaps two rows (`0` - `8`). Rows from different bands make valid boards invalid.
+   * @param {number} row1
+   * @param {number} row2
+   */
+  static swapRows(row1, row2) {
+    const rows = [...IDENTITY_LINES];
+    swap(rows, row1 % DIGITS, row2 % DIGITS);
+    return new Transform({ rows });
+  }
+
+  /**
+   * Swaps two stacks (`0` - `2`).
+   * @param {number} stack1
+   * @param {number} stack2
+   */
+  static swapStacks(stack1, stack2) {
+    const cols = [...IDENTITY_LINES];
+    for (let i = 0; i < 3; i++) swap(cols, (stack1 % 3) * 3 + i, (stack2 % 3) * 3 + i);
+    return new Transform({ cols });
+  }
+
+  /**
+   * Swaps two columns (`0` - `8`). Columns from different stacks make valid boards invalid.
+   * @param {number} col1
+   * @param {number} col2
+   */
+  static swapColumns(col1, col2) {
+    const cols = [...IDENTITY_LINES];
+    swap(cols, col1 % DIGITS, col2 % DIGITS);
+    return new Transform({ cols });
+  }
+
+  /**
+   * Relabels digits.
+   * @param {number[]} order The digit that each of `1` - `9` becomes, e.g. `order[0]` for `1`.
+   */
+  static relabel(order) {
+    return new Transform({ digits: [0, ...order] });
+  }
+
+  /**
+   * Swaps two digits.
+   * @param {number} a
+   * @param {number} b
+   */
+  static swapDigits(a, b) {
+    const digits = [...IDENTITY_DIGITS];
+    swap(digits, a, b);
+    return new Transform({ digits });
+  }
+
+  /** Same as `Sudoku.prototype.reflectOverHorizontal`: the rows in reverse order. */
+  static reflectOverHorizontal() {
+    return new Transform({ rows: IDENTITY_LINES.map((r) => LAST - r) });
+  }
+
+  /** Same as `Sudoku.prototype.reflectOverVertical`: the columns in reverse order. */
+  static reflectOverVertical() {
+    return new Transform({ cols: IDENTITY_LINES.map((c) => LAST - c) });
+  }
+
+  /** Same as `Sudoku.prototype.reflectOverDiagonal`: over the line from bottom left to top right. */
+  static reflectOverDiagonal() {
+    const reversed = IDENTITY_LINES.map((i) => LAST - i);
+    return new Transform({ transpose: true, rows: reversed, cols: reversed });
+  }
+
+  /** Same as `Sudoku.prototype.reflectOverAntidiagonal`: over the line from top left to bottom right. */
+  static reflectOverAntidiagonal() {
+    return new Transform({ transpose: true });
+  }
+
+  /** Same as `Sudoku.prototype.rotate90`: a quarter turn clockwise. */
+  static rotate90() {
+    return new Transform({ transpose: true, cols: IDENTITY_LINES.map((c) => LAST - c) });
+  }
+
+  /**
+   * Picks one of the `2 * 6^8 * 9!` validity-preserving transforms, each equally likely.
+   * @param {import('../util/random.js').Rng} rng (Default `Math.random`) Source of random numbers.
+   * @returns {Transform}
+   */
+  static random(rng = Math.random) {
+    const lines = () => shuffle(range(3), rng).flatMap((group) => (
+      shuffle(range(3), rng).map((i) => group * 3 + i)
+    ));
+    return new Transform({
+      transpose: rng() < 0.5,
+      rows: lines(),
+      cols: lines(),
+      digits: [0, ...shuffle(range(DIGITS + 1, 1), rng)]
+    });
+  }
+
+  /**
+   * Restores a transform saved with `toJSON`.
+   * @param {string | { transpose: boolean, rows: number[], cols: number[], digits: number[] }} json
+   */
+  static fromJSON(json) {
+    return new Transform((typeof json === 'string') ? JSON.parse(json) : json);
+  }
+
+  /**
+   * Returns a transform that applies this one, then the given one.
+   * @param {Transform} other
+   * @returns {Transform}
+   */
+  then(other) {
+    const pick = (lines, order) => order.map((i) => lines[i]);
+    return new Transform({
+      transpose: this.transpose !== other.transpose,
+      rows: pick(other.transpose ? this.cols : this.rows, other.rows),
+      cols: pick(other.transpose ? this.rows : this.cols, other.cols),
+      digits: this.digits.map((d) => other.digits[d])
+    });
+  }
+
+  /**
+   * Combines transforms into one that applies them in the given order.
+   * @param {...Transform} transforms
+   * @returns {Transform}
+   */
+  static compose(...transforms) {
+    return transforms.reduce((result, t) => result.then(t), Transform.identity());
+  }
+
+  /**
+   * Returns the transform that undoes this one.
+   * @returns {Transform}
+   */
+  inverse() {
+    return new Transform({
+      transpose: this.transpose,
+      rows: invertPermutation(this.transpose ? this.cols : this.rows),
+      cols: invertPermutation(this.transpose ? this.rows : this.cols),
+      digits: invertPermutation(this.digits)
+    });
+  }
+
+  /**
+   * Whether valid boards stay valid, i.e. rows stay in their bands and columns in their stacks.
+   * @returns {boolean}
+   */
+  get preservesValidity() {
+    return keepsGroups(this.rows) && keepsGroups(this.cols);
+  }
+
+  /**
+   * Whether this transform changes nothing.
+   * @returns {boolean}
+   */
+  get isIdentity() {
+    return this.equals(Transform.identity());
+  }
+
+  /**
+   * Whether this transform is made up of the same parts as another.
+   * @param {Transform} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return (
+      this.transpose === other.transpose &&
+      this.rows.every((r, i) => r === other.rows[i]) &&
+      this.cols.every((c, i) => c === other.cols[i]) &&
+      this.digits.every((d, i) => d === other.digits[i])
+    );
+  }
+
+  /**
+   * Returns a plain object for `JSON.stringify`. See `fromJSON`.
+   */
+  toJSON() {
+    return {
+      transpose: this.transpose,
+      rows: [...this.rows],
+      cols: [...this.cols],
+      digits: [...this.digits]
+    };
+  }
+
+  /**
+   * Rearranges and relabels an array of 81 digits.
+   * @param {ArrayLike<number>} digits
+   * @returns {number[]}
+   */
+  applyToDigits(digits) {
+    return this._sources.map((source) => this.digits[digits[source]]);
+  }
+
+  /**
+   * Rearranges and relabels an array of 81 candidate masks (see `encode`).
+   * @param {ArrayLike<number>} candidates
+   * @returns {number[]}
+   */
+  applyToCandidates(candidates) {
+    if (!this._candidateMap) {
+      this._candidateMap = range(1 << DIGITS).map((mask) => range(DIGITS).reduce((relabeled, bit) => (
+        (mask & (1 << bit)) ? (relabeled | (1 << (this.digits[bit + 1] - 1))) : relabeled
+      ), 0));
+    }
+    return this._sources.map((source) => this._candidateMap[candidates[source]]);
+  }
+
+  /**
+   * Rearranges an 81-bit cell mask (see `cellMask`).
+   * @param {bigint} mask
+   * @returns {bigint}
+   */
+  applyToMask(mask) {
+    return this._sources.reduce((result, source, ci) => (
+      (mask & cellMask(source)) ? (result | cellMask(ci)) : result
+    ), 0n);
+  }
+
+  /**
+   * Returns a transformed copy of a board, including its candidates, with constraints
+   * rebuilt to match.
+   * @param {Sudoku} sudoku
+   * @returns {Sudoku}
+   */
+  apply(sudoku) {
+    sudoku._checkStandard('Transforms');
+    const result = new Sudoku(sudoku);
+    result._digits = this.applyToDigits(sudoku._digits);
+    result._candidates = this.applyToCandidates(sudoku._candidates);
+    result._resetConstraints();
+    return result;
+  }
+}
+
+export default Transform;
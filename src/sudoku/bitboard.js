@@ -0,0 +1,221 @@
+/**
+ * A fast solution counter for bulk uniqueness checks.
+ *
+ * The board is kept as bitboards: for each digit, the cells where it can still go,
+ * split into three 27-bit bands (three rows each) so that every band fits in a 32-bit integer.
+ * Solved cells keep only their own digit. Search states live in one preallocated typed array,
+ * so counting allocates nothing.
+ */
+
+const NUM_DIGITS = 9;
+const NUM_CELLS = 81;
+const BAND_CELLS = 27;
+const FULL_BAND = (1 << BAND_CELLS) - 1;
+
+/** Offset of the unsolved cells' bands within a search state, after 9 digits x 3 bands. */
+const UNSOLVED = NUM_DIGITS * 3;
+/** Number of integers in one search state. */
+const STATE_SIZE = UNSOLVED + 3;
+/** Every search level solves at least one cell, so the search never goes deeper than this. */
+const MAX_DEPTH = NUM_CELLS + 1;
+
+/** The band of each cell. */
+const BAND = new Int32Array(NUM_CELLS);
+/** The bit of each cell within its band. */
+const BIT = new Int32Array(NUM_CELLS);
+/** Each house (rows, then columns, then regions) as three bands. */
+const HOUSES = new Int32Array(NUM_DIGITS * 3 * 3);
+/** For each cell, the other cells that share a house with it, as three bands. */
+const PEERS = new Int32Array(NUM_CELLS * 3);
+
+for (let ci = 0; ci < NUM_CELLS; ci++) {
+  BAND[ci] = (ci / BAND_CELLS) | 0;
+  BIT[ci] = 1 << (ci % BAND_CELLS);
+}
+const cellHouses = (ci) => {
+  const row = (ci / NUM_DIGITS) | 0;
+  const col = ci % NUM_DIGITS;
+  const region = ((row / 3) | 0) * 3 + ((col / 3) | 0);
+  return [row, NUM_DIGITS + col, NUM_DIGITS * 2 + region];
+};
+for (let ci = 0; ci < NUM_CELLS; ci++) {
+  cellHouses(ci).forEach((h) => { HOUSES[h * 3 + BAND[ci]] |= BIT[ci]; });
+}
+for (let ci = 0; ci < NUM_CELLS; ci++) {
+  cellHouses(ci).forEach((h) => {
+    for (let b = 0; b < 3; b++) PEERS[ci * 3 + b] |= HOUSES[h * 3 + b];
+  });
+  PEERS[ci * 3 + BAND[ci]] &= ~BIT[ci];
+}
+
+/** Search states, one per level of depth. */
+const stack = new Int32Array(MAX_DEPTH * STATE_SIZE);
+let count = 0;
+let maxCount = 0;
+
+/** Returns the index of the lowest set bit in the given band. */
+const lowestCell = (band, bits) => (band * BAND_CELLS) + 31 - Math.clz32(bits & -bits);
+
+/**
+ * Puts a digit in a cell, removing it from the cell's peers and the cell's other candidates.
+ * @param {number} o Offset of the search state.
+ * @param {number} d Digit index (`0` for digit `1`).
+ * @param {number} ci Cell index.
+ */
+function place(o, d, ci) {
+  const b = BAND[ci];
+  const bit = BIT[ci];
+  for (let e = 0; e < NUM_DIGITS; e++) stack[o + e * 3 + b] &= ~bit;
+  const dd = o + d * 3;
+  const p = ci * 3;
+  stack[dd] &= ~PEERS[p];
+  stack[dd + 1] &= ~PEERS[p + 1];
+  stack[dd + 2] &= ~PEERS[p + 2];
+  stack[dd + b] |= bit;
+  stack[o + UNSOLVED + b] &= ~bit;
+}
+
+/**
+ * Places naked and hidden singles until there are none left.
+ * @param {number} o Offset of the search state.
+ * @returns {boolean} `false` if a cell runs out of candidates or a house runs out of
+ * places for a digit; otherwise `true`.
+ */
+function propagate(o) {
+  for (;;) {
+    let progress = false;
+
+    // Naked singles: unsolved cells with one candidate
+    for (let b = 0; b < 3; b++) {
+      const unsolved = stack[o + UNSOLVED + b];
+      if (!unsolved) continue;
+      let ones = 0;
+      let twos = 0;
+      for (let d = 0; d < NUM_DIGITS; d++) {
+        const x = stack[o + d * 3 + b];
+        twos |= ones & x;
+        ones |= x;
+      }
+      if (unsolved & ~ones) return false;
+
+      let singles = unsolved & ~twos;
+      while (singles) {
+        const bit = singles & -singles;
+        singles ^= bit;
+        // Placing an earlier single may have taken this cell's last candidate.
+        let d = 0;
+        while (d < NUM_DIGITS && !(stack[o + d * 3 + b] & bit)) d++;
+        if (d === NUM_DIGITS) return false;
+        place(o, d, lowestCell(b, bit));
+        progress = true;
+      }
+    }
+    if (progress) continue;
+
+    // Hidden singles: digits with one place left in a house
+    for (let d = 0; d < NUM_DIGITS; d++) {
+      const dd = o + d * 3;
+      for (let h = 0; h < HOUSES.length; h += 3) {
+        const x0 = stack[dd] & HOUSES[h];
+        const x1 = stack[dd + 1] & HOUSES[h + 1];
+        const x2 = stack[dd + 2] & HOUSES[h + 2];
+        if (!(x0 | x1 | x2)) return false;
+
+        let b = 0;
+        let x = x0;
+        if (x0) {
+          if (x1 || x2) continue;
+        } else if (x1) {
+          if (x2) continue;
+          b = 1;
+          x = x1;
+        } else {
+          b = 2;
+          x = x2;
+        }
+        if ((x & (x - 1)) || !(stack[o + UNSOLVED + b] & x)) continue;
+        place(o, d, lowestCell(b, x));
+        progress = true;
+      }
+    }
+    if (!progress) return true;
+  }
+}
+
+/**
+ * Searches the state at the given depth, branching on a cell with the fewest candidates.
+ * @param {number} depth
+ * @returns {boolean} `true` once `maxCount` solutions have been found.
+ */
+function search(depth) {
+  const o = depth * STATE_SIZE;
+  if (!propagate(o)) return false;
+
+  // Prefer a cell with two candidates; otherwise take any unsolved cell.
+  let ci = -1;
+  for (let b = 0; b < 3; b++) {
+    const unsolved = stack[o + UNSOLVED + b];
+    if (!unsolved) continue;
+    let ones = 0;
+    let twos = 0;
+    let threes = 0;
+    for (let d = 0; d < NUM_DIGITS; d++) {
+      const x = stack[o + d * 3 + b];
+      threes |= twos & x;
+      twos |= ones & x;
+      ones |= x;
+    }
+    const pairs = unsolved & twos & ~threes;
+    if (pairs) {
+      ci = lowestCell(b, pairs);
+      break;
+    }
+    if (ci < 0) ci = lowestCell(b, unsolved);
+  }
+
+  if (ci < 0) {
+    count++;
+    return count >= maxCount;
+  }
+
+  const b = BAND[ci];
+  const bit = BIT[ci];
+  const next = o + STATE_SIZE;
+  for (let d = 0; d < NUM_DIGITS; d++) {
+    if (!(stack[o + d * 3 + b] & bit)) continue;
+    stack.copyWithin(next, o, next);
+    place(next, d, ci);
+    if (search(depth + 1)) return true;
+  }
+  return false;
+}
+
+/**
+ * Counts the solutions of a sudoku puzzle, up to a limit.
+ *
+ * Meant for checking many puzzles quickly, e.g. `countSolutions(digits, 2) === 1` to check
+ * whether a puzzle is unique. Unlike `Sudoku.solutionsFlag`, sparse puzzles are searched
+ * like any other, so they may take longer.
+ * @param {ArrayLike<number>} digits The 81 digits of the puzzle, with `0` for empty cells.
+ * @param {number} limit (Default no limit) Stops counting after this many solutions.
+ * @returns {number} The number of solutions, at most `limit`.
+ */
+export function countSolutions(digits, limit = Infinity) {
+  if (limit <= 0) return 0;
+
+  stack.fill(FULL_BAND, 0, STATE_SIZE);
+  for (let ci = 0; ci < NUM_CELLS; ci++) {
+    const digit = digits[ci];
+    if (!digit) continue;
+    // The digit was taken by a peer
+    if (!(stack[(digit - 1) * 3 + BAND[ci]] & BIT[ci])) return 0;
+    place(0, digit - 1, ci);
+  }
+
+  count = 0;
+  maxCount = limit;
+  search(0);
+  return count;
+}
+
+export default countSolutions;
@@ -0,0 +1,210 @@
+/**
+ * Reading and writing the file formats other sudoku tools use for 9x9 puzzles:
+ * - `.sdk` (SadMan Sudoku): `#` header lines, such as `#A` for the author, then 9 rows.
+ * - `.sdm`: collections of puzzles, one 81 digit line each, with `0` for empty cells.
+ * - `.ss` (Simple Sudoku): 9 rows with `|` between boxes and `-` lines between bands.
+ * - Pencilmark grids, as copied from HoDoKu or SudokuWiki: each cell's candidates, in
+ *   boxes drawn with `|`, `-`, and `+`.
+ *
+ * None of them save the board's layout, so readers take it as an option (see `Sudoku.layout`).
+ */
+
+import Sudoku, { RANK, DIGITS, SPACES, encode } from './Sudoku.js';
+import { range } from '../util/arrays.js';
+
+/**
+ * Splits text into its lines, trimmed, without the blank ones.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const lines = (text) => text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0);
+
+/**
+ * Returns the board's rows as strings, with `.` for empty cells.
+ * @param {Sudoku} sudoku
+ * @returns {string[]}
+ */
+const rowStrings = (sudoku) => {
+  const str = sudoku.toString();
+  return range(DIGITS).map((row) => str.slice(row * DIGITS, (row + 1) * DIGITS));
+};
+
+/**
+ * Reads a SadMan Sudoku `.sdk` puzzle. Lines starting with `#` are headers, keyed by the
+ * letter after the `#`, e.g. `#AJohn Smith` for the author. Lines in brackets, such as
+ * `[Puzzle]`, start sections; only the first section's rows are read.
+ * @param {string} text
+ * @param {object} layout (Default a standard board) See `Sudoku.layout`.
+ * @returns {{ puzzle: Sudoku, headers: Record<string, string> }}
+ * @throws {Error} If the rows don't make up a board.
+ */
+export function parseSdk(text, layout = {}) {
+  /** @type {Record<string, string>} */
+  const headers = {};
+  const rows = [];
+  for (const line of lines(text)) {
+    if (line.startsWith('[')) {
+      if (rows.length > 0) break;
+    } else if (line.startsWith('#')) {
+      if (line.length > 1) headers[line[1]] = line.slice(2).trim();
+    } else {
+      rows.push(line.replace(/\s/g, ''));
+    }
+  }
+  return { puzzle: new Sudoku(rows.join(''), layout), headers };
+}
+
+/**
+ * Writes a puzzle as a SadMan Sudoku `.sdk` file, with `.` for empty cells.
+ * @param {Sudoku} puzzle
+ * @param {Record<string, string>} headers (Default none) Header lines to write first, keyed
+ * by letter, e.g. `{ A: 'John Smith', D: 'A hard one' }`.
+ * @returns {string}
+ * @throws {Error} If the board isn't 9x9, or a header key isn't a single character.
+ */
+export function toSdk(puzzle, headers = {}) {
+  puzzle._checkStandard('The sdk format', { jigsaw: true, variants: true });
+  const headerLines = Object.entries(headers).map(([key, value]) => {
+    if (key.length !== 1) throw new Error(`Invalid sdk header ${key}; expected a single character`);
+    return `#${key}${value}`;
+  });
+  return [...headerLines, ...rowStrings(puzzle)].join('\n') + '\n';
+}
+
+/**
+ * Reads a `.sdm` collection: one puzzle per line, as 81 digits with `0` (or `.`) for empty
+ * cells. Anything after the digits, following whitespace, is ignored.
+ * @param {string} text
+ * @param {object} layout (Default a standard board) See `Sudoku.layout`.
+ * @returns {Sudoku[]}
+ * @throws {Error} If a line doesn't have 81 cells.
+ */
+export function parseSdm(text, layout = {}) {
+  return lines(text).map((line, i) => {
+    const [cells] = line.split(/\s/);
+    if (cells.length !== SPACES) {
+      throw new Error(`Invalid sdm line ${i + 1}: expected ${SPACES} cells, got ${cells.length}`);
+    }
+    return new Sudoku(cells, layout);
+  });
+}
+
+/**
+ * Writes puzzles as a `.sdm` collection.
+ * @param {Sudoku[]} puzzles
+ * @returns {string}
+ * @throws {Error} If a board isn't 9x9.
+ */
+export function toSdm(puzzles) {
+  return puzzles.map((puzzle) => {
+    puzzle._checkStandard('The sdm format', { jigsaw: true, variants: true });
+    return puzzle.toString().replace(/\./g, '0') + '\n';
+  }).join('');
+}
+
+/**
+ * Reads a Simple Sudoku `.ss` puzzle, ignoring the `|` between boxes and the lines of `-`
+ * between bands, including the `*`-cornered border Simple Sudoku draws around the grid.
+ * @param {string} text
+ * @param {object} layout (Default a standard board) See `Sudoku.layout`.
+ * @returns {Sudoku}
+ * @throws {Error} If the rows don't make up a board.
+ */
+export function parseSs(text, layout = {}) {
+  const rows = lines(text)
+    .filter((line) => !/^[-+|*\s]+$/.test(line))
+    .map((line) => line.replace(/[|*\s]/g, ''));
+  return new Sudoku(rows.join(''), layout);
+}
+
+/**
+ * Writes a puzzle as a Simple Sudoku `.ss` file, e.g. `..3|.2.|6..` for a row.
+ * @param {Sudoku} puzzle
+ * @returns {string}
+ * @throws {Error} If the board isn't 9x9.
+ */
+export function toSs(puzzle) {
+  puzzle._checkStandard('The ss format', { jigsaw: true, variants: true });
+  const bandLine = '-'.repeat(DIGITS + RANK - 1);
+  return rowStrings(puzzle).map((row, r) => {
+    const line = range(RANK).map((stack) => row.slice(stack * RANK, (stack + 1) * RANK)).join('|');
+    return (r > 0 && r % RANK === 0) ? `${bandLine}\n${line}` : line;
+  }).join('\n') + '\n';
+}
+
+/**
+ * How each tool draws pencilmark grids. HoDoKu pads each column to its widest cell and
+ * draws corners with `.`, `:`, and `'`; SudokuWiki pads every cell alike, inside `*` corners.
+ * Border characters are given as `[left, between boxes, right]`.
+ * @type {Readonly<Record<string, { uniform: boolean, top: string[], band: string[], bottom: string[] }>>}
+ */
+const PENCILMARK_STYLES = Object.freeze({
+  hodoku: { uniform: false, top: ['.', '.', '.'], band: [':', '+', ':'], bottom: ["'", "'", "'"] },
+  sudokuwiki: { uniform: true, top: ['*', '-', '*'], band: ['|', '+', '|'], bottom: ['*', '-', '*'] }
+});
+
+/**
+ * Reads a pencilmark grid, such as HoDoKu's or SudokuWiki's: each cell's candidates, row by
+ * row, separated by spaces and `|`. Lines without digits are borders. A cell with a
+ * single candidate is read as a placed digit.
+ * @param {string} text
+ * @param {object} layout (Default a standard board) See `Sudoku.layout`.
+ * @returns {Sudoku} The board, with the grid's candidates.
+ * @throws {Error} If there aren't 81 cells, or a cell isn't a list of digits.
+ */
+export function parsePencilmarks(text, layout = {}) {
+  const cells = lines(text)
+    .filter((line) => /\d/.test(line))
+    .flatMap((line) => line.split(/[|\s]+/))
+    .filter((cell) => cell.length > 0);
+  if (cells.length !== SPACES) {
+    throw new Error(`Invalid pencilmark grid: expected ${SPACES} cells, got ${cells.length}`);
+  }
+
+  const bad = cells.find((cell) => !/^[1-9]+$/.test(cell));
+  if (bad !== undefined) throw new Error(`Invalid pencilmark grid: cell ${bad} isn't a list of digits`);
+
+  const sudoku = new Sudoku(cells.map((cell) => ((cell.length === 1) ? Number(cell) : 0)), layout);
+  cells.forEach((cell, ci) => {
+    if (cell.length > 1) sudoku._candidates[ci] = [...cell].reduce((mask, ch) => (mask | encode(Number(ch))), 0);
+  });
+  return sudoku;
+}
+
+/**
+ * Writes a board's candidates as a pencilmark grid, with placed digits as the only
+ * candidate for their cell. Candidates ruled out by a placed digit that sees the cell are left out.
+ * @param {Sudoku} sudoku
+ * @param {object} options
+ * @param {string} options.style (Default `'hodoku'`) How to draw the grid: `'hodoku'` or `'sudokuwiki'`.
+ * @returns {string}
+ * @throws {Error} If the board isn't 9x9, or the style is unknown.
+ */
+export function toPencilmarks(sudoku, { style = 'hodoku' } = {}) {
+  sudoku._checkStandard('Pencilmark grids', { jigsaw: true, variants: true });
+  if (!Object.hasOwn(PENCILMARK_STYLES, style)) {
+    throw new Error(`Unknown pencilmark style ${style}; expected one of ${Object.keys(PENCILMARK_STYLES).join(', ')}`);
+  }
+  const { uniform, top, band, bottom } = PENCILMARK_STYLES[style];
+
+  const { candidateDigits } = sudoku._geometry;
+  const cells = range(SPACES).map((ci) => {
+    const seen = (sudoku.getDigit(ci) > 0) ? 0 : sudoku._cellConstraints(ci);
+    return candidateDigits(sudoku._candidates[ci] & ~seen).join('');
+  });
+  const widest = (col) => Math.max(...range(DIGITS).map((row) => cells[row * DIGITS + col].length));
+  const widths = uniform ? Array(DIGITS).fill(Math.max(...cells.map((cell) => cell.length))) : range(DIGITS).map(widest);
+
+  const boxText = (row, stack) => range(RANK)
+    .map((i) => stack * RANK + i)
+    .map((col) => cells[row * DIGITS + col].padEnd(widths[col]))
+    .join('  ');
+  const segments = range(RANK).map((stack) => boxText(0, stack).length + 2);
+  const border = ([left, between, right]) => left + segments.map((n) => '-'.repeat(n)).join(between) + right;
+
+  const rows = range(DIGITS).map((row) => {
+    const line = `| ${range(RANK).map((stack) => boxText(row, stack)).join(' | ')} |`;
+    return (row > 0 && row % RANK === 0) ? `${border(band)}\n${line}` : line;
+  });
+  return [border(top), ...rows, border(bottom)].join('\n') + '\n';
+}
@@ -0,0 +1,174 @@
+/**
+ * Minlex canonical form of sudoku grids and puzzles.
+ *
+ * Of all the boards that a board can be turned into by the validity-preserving
+ * transformations (transposing; permuting bands, rows within bands, stacks, and columns
+ * within stacks; and relabeling digits), the minlex form is the one whose 81 digits,
+ * read row by row with `0` for empty cells, are lexicographically smallest.
+ * Two boards are equivalent exactly when their minlex forms are the same.
+ */
+
+const N = 9;
+const SPACES = N * N;
+/** Greater than any digit, so that any row compares less than an unset row. */
+const UNSET = N + 1;
+
+/** The six orderings of three things. */
+const PERMS3 = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+
+/** The 1296 column orders that keep each stack's columns together. */
+const COLUMN_ORDERS = [];
+PERMS3.forEach((stacks) => {
+  PERMS3.forEach((p0) => {
+    PERMS3.forEach((p1) => {
+      PERMS3.forEach((p2) => {
+        const within = [p0, p1, p2];
+        COLUMN_ORDERS.push(stacks.flatMap((stack, i) => within[i].map((col) => stack * 3 + col)));
+      });
+    });
+  });
+});
+
+/**
+ * A transformation, where the transformed board's cell at `(r, c)` holds
+ * `digits[board[rows[r]][cols[c]]]`, after first transposing the board if `transpose` is set.
+ * @typedef {object} MinlexTransform
+ * @property {boolean} transpose Whether rows and columns are swapped first.
+ * @property {number[]} rows The (possibly transposed) row that each row comes from.
+ * @property {number[]} cols The (possibly transposed) column that each column comes from.
+ * @property {number[]} digits What each digit becomes, indexed by digit; `digits[0]` is `0`.
+ */
+
+/**
+ * Finds the minlex form of a board, and a transformation that produces it.
+ *
+ * Each of the 2592 combinations of transposing and column orders is searched row by row,
+ * relabeling digits in the order they first appear, and abandoning row orders as soon as
+ * they fall behind the best board found so far.
+ *
+ * With `all`, every transposing and row and column order that produces the minlex form is
+ * also returned as `transforms`. Digits missing from a puzzle are labeled the same way in each.
+ * @param {ArrayLike<number>} digits The 81 digits of the board, with `0` for empty cells.
+ * @param {object} options
+ * @param {boolean} options.all (Default `false`) Whether to collect every transformation
+ * that produces the minlex form. Not supported for the empty board, which every transformation does.
+ * @returns {{ digits: number[], transform: MinlexTransform, transforms?: MinlexTransform[] }}
+ */
+export function minlex(digits, { all = false } = {}) {
+  // Every transformation of an empty board ties, so skip searching them all.
+  if (!Array.prototype.some.call(digits, (d) => d > 0)) {
+    if (all) throw new Error('Every transformation of the empty board produces its minlex form');
+    const identity = [...Array(N + 1).keys()];
+    return {
+      digits: Array(SPACES).fill(0),
+      transform: { transpose: false, rows: identity.slice(0, N), cols: identity.slice(0, N), digits: identity }
+    };
+  }
+
+  const best = new Int8Array(SPACES).fill(UNSET);
+  /** @type {MinlexTransform | null} */
+  let bestTransform = null;
+  /** @type {MinlexTransform[]} Transformations tied with `bestTransform`, if collecting them all. */
+  const ties = [];
+
+  const transposed = new Int8Array(SPACES);
+  for (let r = 0; r < N; r++) {
+    for (let c = 0; c < N; c++) transposed[r * N + c] = digits[c * N + r];
+  }
+
+  // The board being searched, after transposing and reordering columns
+  const board = new Int8Array(SPACES);
+  // The digit relabeling at each depth of the search
+  const labels = new Int8Array((N + 1) * (N + 1));
+  const nextLabel = new Int8Array(N + 1);
+  const rowOrder = new Int8Array(N);
+  const row = new Int8Array(N);
+  let transpose = false;
+  let cols = COLUMN_ORDERS[0];
+
+  /**
+   * Tries each row that may go at position `p`, then the rows after it.
+   * @param {number} p
+   * @param {number} usedRows Bit mask of the rows already placed.
+   */
+  const search = (p, usedRows) => {
+    // A band's first row can come from any unused band; the others must come from the same band.
+    const firstRow = (p % 3 === 0) ? 0 : rowOrder[p - 1] - (rowOrder[p - 1] % 3);
+    const lastRow = (p % 3 === 0) ? N : firstRow + 3;
+    const label = p * (N + 1);
+    const nextLabelAt = label + N + 1;
+
+    for (let r = firstRow; r < lastRow; r++) {
+      if (usedRows & (1 << r)) continue;
+
+      // Relabel the row, comparing it with the best board's row as it goes.
+      labels.copyWithin(nextLabelAt, label, nextLabelAt);
+      let next = nextLabel[p];
+      let cmp = 0;
+      for (let c = 0; c < N && cmp <= 0; c++) {
+        const d = board[r * N + c];
+        let v = 0;
+        if (d) {
+          if (!labels[nextLabelAt + d]) labels[nextLabelAt + d] = next++;
+          v = labels[nextLabelAt + d];
+        }
+        row[c] = v;
+        if (cmp === 0 && v !== best[p * N + c]) cmp = (v < best[p * N + c]) ? -1 : 1;
+      }
+      if (cmp > 0) continue;
+
+      if (cmp < 0) {
+        best.set(row, p * N);
+        best.fill(UNSET, (p + 1) * N);
+        ties.length = 0;
+      }
+      rowOrder[p] = r;
+      nextLabel[p + 1] = next;
+
+      if (p === N - 1) {
+        if (cmp < 0 || !bestTransform || all) {
+          const found = {
+            transpose,
+            rows: Array.from(rowOrder),
+            cols: [...cols],
+            digits: Array.from(labels.subarray(nextLabelAt, nextLabelAt + N + 1))
+          };
+          if (cmp < 0 || !bestTransform) bestTransform = found;
+          if (all) ties.push(found);
+        }
+      } else {
+        search(p + 1, usedRows | (1 << r));
+      }
+    }
+  };
+
+  [false, true].forEach((t) => {
+    transpose = t;
+    const source = t ? transposed : digits;
+    COLUMN_ORDERS.forEach((order) => {
+      cols = order;
+      for (let r = 0; r < N; r++) {
+        for (let c = 0; c < N; c++) board[r * N + c] = source[r * N + order[c]];
+      }
+      labels.fill(0, 0, N + 1);
+      nextLabel[0] = 1;
+      search(0, 0);
+    });
+  });
+
+  // Digits missing from a puzzle can become any of the remaining labels.
+  const labelMissing = (transform) => {
+    let unusedLabel = Math.max(...transform.digits) + 1;
+    for (let d = 1; d <= N; d++) {
+      if (!transform.digits[d]) transform.digits[d] = unusedLabel++;
+    }
+    return transform;
+  };
+
+  const transform = labelMissing(/** @type {MinlexTransform} */ (bestTransform));
+  if (!all) return { digits: Array.from(best), transform };
+  ties.forEach(labelMissing);
+  return { digits: Array.from(best), transform, transforms: ties };
+}
+
+export default minlex;
@@ -0,0 +1,238 @@
+import Sudoku from './Sudoku.js';
+import { seedSieveDc } from './SudokuSieve.js';
+import { createRng } from '../util/random.js';
+
+/**
+ * The script that workers run; it answers each job message with the result of `runJob`.
+ */
+export const WORKER_URL = new URL('./parallelWorker.js', import.meta.url);
+
+/** Names of the jobs that workers can run. */
+export const TASKS = Object.freeze(['config', 'puzzle', 'pattern']);
+
+const isNode = () => (typeof process !== 'undefined' && Boolean(process.versions && process.versions.node));
+
+/**
+ * @typedef {object} Job
+ * @property {number} index Which of the requested items this is, from `0`.
+ * @property {string} task One of the `TASKS`.
+ * @property {object} options Options for the task (see `runJob`).
+ * @property {string} [seed] Seeds the job's random numbers, together with `index`.
+ */
+
+/**
+ * What a worker sends back for a job. Boards are sent as strings.
+ * @typedef {object} JobResult
+ * @property {number} index
+ * @property {string | null} grid The full grid, or `null` if the time limit was hit.
+ * @property {string | null} [puzzle] The puzzle, or `null` if the time limit was hit.
+ * @property {number} [rating] See `GenerationReport`.
+ * @property {number} [attempts] See `GenerationReport`.
+ * @property {number} [timeMs] See `GenerationReport`.
+ * @property {string} [error] Message of the error the job threw, if any.
+ */
+
+/**
+ * Runs one job. This is what workers do with each job they are sent.
+ *
+ * Tasks and their options:
+ * - `'config'` - Generates a full grid. No options.
+ * - `'puzzle'` - Generates a rated puzzle (see `Sudoku.generateRatedPuzzle`). Besides those
+ * options, `grid` may be a string, `normalize` normalizes the grid first, and `sieveLevel`
+ * (`2` - `4`) seeds the sieve for the grid. A new grid is generated if none is given.
+ * - `'pattern'` - Generates a puzzle from a clue pattern (see `Sudoku.generateFromPattern`).
+ *
+ * Seeded jobs use their own generator, so results depend only on the seed and index,
+ * and not on which worker ran the job or when.
+ * @param {Job} job
+ * @returns {JobResult}
+ */
+export function runJob({ index, task, options = {}, seed }) {
+  const rng = (seed !== undefined) ? createRng(`${seed}:${index}`) : Math.random;
+
+  switch (task) {
+    case 'config': {
+      return { index, grid: Sudoku.generateConfig(rng).toString() };
+    }
+    case 'puzzle': {
+      const { grid: rawGrid, normalize = false, sieveLevel = 0, sieve = [], ...carveOptions } = options;
+      const grid = rawGrid ? new Sudoku(rawGrid) : Sudoku.generateConfig(rng);
+      if (normalize) grid.normalize();
+      if (sieveLevel >= 2 && sieve.length === 0) seedSieveDc({ grid, sieve, level: sieveLevel, rng });
+      const { puzzle, rating, attempts, timeMs } = Sudoku.generateRatedPuzzle({
+        ...carveOptions,
+        grid,
+        sieve,
+        rng
+      });
+      return { index, grid: grid.toString(), puzzle: puzzle && puzzle.toString(), rating, attempts, timeMs };
+    }
+    case 'pattern': {
+      const start = Date.now();
+      const puzzle = Sudoku.generateFromPattern({ ...options, rng });
+      return {
+        index,
+        grid: puzzle && puzzle.solution().toString(),
+        puzzle: puzzle && puzzle.toString(),
+        rating: puzzle ? puzzle.difficulty() : -1,
+        attempts: 1,
+        timeMs: Date.now() - start
+      };
+    }
+    default:
+      throw new Error(`Unknown task ${task}; expected one of ${TASKS.join(', ')}`);
+  }
+}
+
+/**
+ * A worker, wrapped so that the pool doesn't care where it runs.
+ * @typedef {object} WorkerHandle
+ * @property {(job: Job) => void} post Sends a job to the worker.
+ * @property {() => void} terminate Stops the worker.
+ */
+
+/**
+ * Starts a worker that calls `onMessage` with each `JobResult`, and `onError` if it crashes.
+ * @typedef {(
+ *   onMessage: (result: JobResult) => void,
+ *   onError: (error: Error) => void
+ * ) => Promise<WorkerHandle>} WorkerFactory
+ */
+
+/**
+ * Starts a worker with Node's `worker_threads`.
+ * @type {WorkerFactory}
+ */
+export async function createNodeWorker(onMessage, onError) {
+  const { Worker } = await import('node:worker_threads');
+  const worker = new Worker(WORKER_URL);
+  worker.on('message', onMessage);
+  worker.on('error', onError);
+  return {
+    post: (job) => worker.postMessage(job),
+    terminate: () => { worker.terminate(); }
+  };
+}
+
+/**
+ * Starts a module Web Worker, for browsers.
+ * @type {WorkerFactory}
+ */
+export async function createWebWorker(onMessage, onError) {
+  const worker = new Worker(WORKER_URL, { type: 'module' });
+  worker.onmessage = (event) => onMessage(event.data);
+  worker.onerror = (event) => onError(event.error || new Error(event.message));
+  return {
+    post: (job) => worker.postMessage(job),
+    terminate: () => worker.terminate()
+  };
+}
+
+/**
+ * Returns how many workers to use by default: one per logical CPU.
+ * @returns {Promise<number>}
+ */
+export async function defaultWorkerCount() {
+  if (isNode()) {
+    const os = await import('node:os');
+    return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  }
+  return (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 1;
+}
+
+/**
+ * A generated item, in the order it finished.
+ * @typedef {object} ParallelResult
+ * @property {number} index Which of the requested items this is, from `0`.
+ * @property {Sudoku | null} grid The full grid, or `null` if the time limit was hit.
+ * @property {Sudoku | null} puzzle The puzzle (`null` for `'config'` tasks, or if the
+ * time limit was hit).
+ * @property {number} [rating]
+ * @property {number} [attempts]
+ * @property {number} [timeMs]
+ */
+
+/**
+ * Generates grids or puzzles across several workers, yielding each as soon as it is done.
+ *
+ * Each worker runs one job at a time and is sent the next job as soon as it finishes,
+ * so results arrive out of order; use `index` to tell them apart. Workers are stopped
+ * when all results have been yielded, when a job fails, or when the loop is exited early.
+ * @param {object} options
+ * @param {string} options.task (Default `'puzzle'`) One of the `TASKS`.
+ * @param {number} options.amount (Default `1`) How many items to generate.
+ * @param {number} options.workers (Default one per logical CPU) How many workers to run.
+ * @param {object} options.options (Default `{}`) Options for each job (see `runJob`).
+ * Must survive being copied to a worker, so boards are passed as strings.
+ * @param {string} options.seed (Optional) Seeds the jobs (see `runJob`).
+ * @param {WorkerFactory} options.createWorker (Default `createNodeWorker` in Node,
+ * `createWebWorker` elsewhere) Starts each worker.
+ * @returns {AsyncGenerator<ParallelResult>}
+ */
+export async function* generateInParallel({
+  task = 'puzzle',
+  amount = 1,
+  workers,
+  options = {},
+  seed,
+  createWorker = isNode() ? createNodeWorker : createWebWorker,
+}) {
+  if (!TASKS.includes(task)) {
+    throw new Error(`Unknown task ${task}; expected one of ${TASKS.join(', ')}`);
+  }
+  const numWorkers = Math.min(amount, workers || await defaultWorkerCount());
+  if (numWorkers < 1) return;
+
+  /** @type {JobResult[]} */
+  const finished = [];
+  /** @type {Error | null} */
+  let failure = null;
+  /** Wakes up the generator when a result or failure comes in. */
+  let wake = () => {};
+  let nextIndex = 0;
+  const handles = [];
+
+  const sendNext = (handle) => {
+    if (nextIndex < amount) handle.post({ index: nextIndex++, task, options, seed });
+  };
+
+  try {
+    for (let i = 0; i < numWorkers; i++) {
+      const handle = await createWorker(
+        (result) => {
+          if (result.error) {
+            failure = new Error(result.error);
+          } else {
+            finished.push(result);
+            sendNext(handle);
+          }
+          wake();
+        },
+        (error) => {
+          failure = error;
+          wake();
+        }
+      );
+      handles.push(handle);
+      sendNext(handle);
+    }
+
+    for (let numYielded = 0; numYielded < amount;) {
+      if (failure) throw failure;
+      if (finished.length === 0) {
+        await new Promise((resolve) => { wake = resolve; });
+        continue;
+      }
+
+      const { grid, puzzle, ...rest } = finished.shift();
+      numYielded++;
+      yield {
+        ...rest,
+        grid: grid ? new Sudoku(grid) : null,
+        puzzle: puzzle ? new Sudoku(puzzle) : null
+      };
+    }
+  } finally {
+    handles.forEach((handle) => handle.terminate());
+  }
+}
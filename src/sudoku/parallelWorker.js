@@ -0,0 +1,22 @@
+// Worker script for `generateInParallel`. Runs in Node's `worker_threads` or as a module Web Worker.
+import { runJob } from './parallel.js';
+
+/**
+ * Runs a job and posts its result, or the error it threw.
+ * @param {import('./parallel.js').Job} job
+ * @param {(result: import('./parallel.js').JobResult) => void} post
+ */
+function respond(job, post) {
+  try {
+    post(runJob(job));
+  } catch (error) {
+    post({ index: job.index, grid: null, error: error.message || String(error) });
+  }
+}
+
+if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+  const { parentPort } = await import('node:worker_threads');
+  parentPort.on('message', (job) => respond(job, (result) => parentPort.postMessage(result)));
+} else {
+  self.onmessage = (event) => respond(event.data, (result) => self.postMessage(result));
+}
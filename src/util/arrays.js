@@ -16,12 +16,13 @@ export const range = (end, start = 0) => {
 /**
  * Shuffles the given array using Fisher-Yates.
  * @param {any[]} arr
+ * @param {import('./random.js').Rng} rng (Default `Math.random`) Source of random numbers.
  * @returns {any[]}
  */
-export function shuffle(arr) {
+export function shuffle(arr, rng = Math.random) {
   let tmp, j;
   for (let i = arr.length - 1; i > 0; i--) {
-    j = (Math.random() * (i+1)) | 0;
+    j = (rng() * (i+1)) | 0;
     tmp = arr[i];
     arr[i] = arr[j];
     arr[j] = tmp;
@@ -195,10 +196,11 @@ export function reflectOverAntiDiagonal(arr) {
  * Returns a random element from the given array.
  * If the array is empty, returns null.
  * @param {any[]} arr
+ * @param {import('./random.js').Rng} rng (Default `Math.random`) Source of random numbers.
  * @returns {any | null}
  */
-export function chooseRandom(arr) {
-  return (arr.length > 0) ? arr[randInt(arr.length)] : null;
+export function chooseRandom(arr, rng = Math.random) {
+  return (arr.length > 0) ? arr[randInt(arr.length, rng)] : null;
 }
 
 /**
@@ -248,7 +250,8 @@ export function countBits(n) {
 /**
  * Returns a random integer between 0 and max, exclusive.
  * @param {number} max
+ * @param {import('./random.js').Rng} rng (Default `Math.random`) Source of random numbers.
  */
-export function randInt(max) {
-  return (Math.random() * max) | 0;
+export function randInt(max, rng = Math.random) {
+  return (rng() * max) | 0;
 }
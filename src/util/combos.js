@@ -77,19 +77,21 @@ function bitLength(bigintValue) {
 /**
  * Generates a random 16-bit BigInt.
  *
+ * @param {import('./random.js').Rng} rng
  * @returns {bigint} A random bigint between 0n and 65535n inclusive.
  */
-function rand16() {
-  return BigInt((Math.random() * 65536) | 0);
+function rand16(rng) {
+  return BigInt((rng() * 65536) | 0);
 }
 
 /**
  * Generates a random bigint from 0 to upper (exclusive), with relatively uniform distribution.
  *
  * @param {bigint | number} bound
+ * @param {import('./random.js').Rng} rng (Default `Math.random`) Source of random numbers.
  * @returns {bigint}
  */
-export function randomBig(bound) {
+export function randomBig(bound, rng = Math.random) {
   let upper = (typeof bound === 'number') ? BigInt(bound) : BigInt(bound);
   if (upper < 0n) {
     upper = -upper;
@@ -108,7 +110,7 @@ export function randomBig(bound) {
   while (true) {
     let result = 0n;
     for (let i = 0; i < chunks; i++) {
-      result |= rand16() << BigInt(i * 16);
+      result |= rand16(rng) << BigInt(i * 16);
     }
     result &= mask;
     if (result < upper) {
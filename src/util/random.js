@@ -0,0 +1,62 @@
+/**
+ * A source of random numbers from 0 (inclusive) to 1 (exclusive), like `Math.random`.
+ * @typedef {() => number} Rng
+ */
+
+/**
+ * Hashes a seed into four 32-bit words, using cyrb128.
+ * @param {number | bigint | string} seed
+ * @returns {number[]}
+ */
+function seedWords(seed) {
+  const str = String(seed);
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < str.length; i++) {
+    const k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= (h2 ^ h3 ^ h4);
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * Creates a seeded pseudorandom number generator (xoshiro128**).
+ * Generators created with the same seed produce the same sequence of numbers.
+ * @param {number | bigint | string} seed Any value; it is hashed as a string,
+ * so `123` and `'123'` are the same seed.
+ * @returns {Rng}
+ * @example
+ * const rng = createRng('puzzle of the day #123');
+ * const config = Sudoku.generateConfig(rng);
+ */
+export function createRng(seed) {
+  let [a, b, c, d] = seedWords(seed);
+  // The all-zero state would only ever produce zeros.
+  if ((a | b | c | d) === 0) a = 1;
+
+  return () => {
+    const t = b << 9;
+    let r = Math.imul(b, 5);
+    r = Math.imul((r << 7) | (r >>> 25), 9);
+    c ^= a;
+    d ^= b;
+    b ^= c;
+    a ^= d;
+    c ^= t;
+    d = (d << 11) | (d >>> 21);
+    return (r >>> 0) / 4294967296;
+  };
+}
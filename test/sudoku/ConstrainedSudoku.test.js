@@ -0,0 +1,190 @@
+import {
+  ConstrainedSudoku,
+  Constraint,
+  Thermometer,
+  Arrow,
+  KropkiDot,
+  CONSTRAINT_TYPES,
+  Sudoku,
+  Transform,
+  createRng
+} from '../../index.js';
+
+const GRID = '218574639573896124469123578721459386354681792986237415147962853695318247832745961';
+
+/** The grid with an 8 and 1 swapped between r5 and r8 blanked, which alone has two solutions. */
+const RECTANGLE = [40, 41, 67, 68].reduce((board, ci) => board.slice(0, ci) + '.' + board.slice(ci + 1), GRID);
+
+/** A cell that must hold an even digit, as a custom constraint. */
+class EvenCell extends Constraint {
+  constructor({ cells }) {
+    super('even', cells);
+  }
+
+  reduce(sudoku) {
+    return Constraint.restrict(sudoku, this.cells[0], 0b010101010);
+  }
+
+  isSatisfiedBy(grid) {
+    return grid.getDigit(this.cells[0]) % 2 === 0;
+  }
+}
+
+describe('ConstrainedSudoku', () => {
+  const grid = new Sudoku(GRID);
+
+  describe('constraints', () => {
+    test('throw for invalid cells', () => {
+      expect(() => new Thermometer({ cells: [0] })).toThrow('expected at least 2 cells');
+      expect(() => new Thermometer({ cells: [0, 0] })).toThrow('expected distinct cell indices');
+      expect(() => new Arrow({ circle: 0, cells: [] })).not.toThrow();
+      expect(() => new Arrow({ circle: 0, cells: [1, 0] })).toThrow('expected distinct cell indices');
+      expect(() => new KropkiDot({ cells: [0, 1, 2], color: 'white' })).toThrow('expected 2 cells');
+      expect(() => new KropkiDot({ cells: [0, 1], color: 'red' })).toThrow('Invalid kropki color red');
+      expect(() => new ConstrainedSudoku({ constraints: [new Thermometer({ cells: [80, 81] })] })).toThrow('no cell 81');
+    });
+
+    test('check full boards', () => {
+      // r1 of the grid is 2 1 8 5 7 4 6 3 9.
+      expect(new Thermometer({ cells: [1, 0, 2] }).isSatisfiedBy(grid)).toBe(true);
+      expect(new Thermometer({ cells: [0, 1] }).isSatisfiedBy(grid)).toBe(false);
+      expect(new Arrow({ circle: 2, cells: [3, 7] }).isSatisfiedBy(grid)).toBe(true);
+      expect(new Arrow({ circle: 2, cells: [3] }).isSatisfiedBy(grid)).toBe(false);
+      expect(new KropkiDot({ cells: [3, 5], color: 'white' }).isSatisfiedBy(grid)).toBe(true);
+      expect(new KropkiDot({ cells: [0, 1], color: 'black' }).isSatisfiedBy(grid)).toBe(true);
+      expect(new KropkiDot({ cells: [0, 1], color: 'white' }).isSatisfiedBy(grid)).toBe(true);
+      expect(new KropkiDot({ cells: [1, 2], color: 'black' }).isSatisfiedBy(grid)).toBe(false);
+    });
+  });
+
+  describe('candidates', () => {
+    test('increase along thermometers', () => {
+      const candidates = new ConstrainedSudoku({
+        constraints: [new Thermometer({ cells: [0, 1, 2] })]
+      }).candidates();
+      expect(candidates[0]).toEqual([1, 2, 3, 4, 5, 6, 7]);
+      expect(candidates[1]).toEqual([2, 3, 4, 5, 6, 7, 8]);
+      expect(candidates[2]).toEqual([3, 4, 5, 6, 7, 8, 9]);
+
+      const full = new ConstrainedSudoku({
+        constraints: [new Thermometer({ cells: [0, 1, 2, 3, 4, 5, 6, 7, 8] })]
+      }).candidates();
+      expect(full.slice(0, 9)).toEqual([[1], [2], [3], [4], [5], [6], [7], [8], [9]]);
+    });
+
+    test('add up along arrows', () => {
+      const arrow = new Arrow({ circle: 0, cells: [1, 2] });
+      const candidates = new ConstrainedSudoku({ constraints: [arrow] }).candidates();
+      // The arrow alone doesn't rule out 1 + 1.
+      expect(candidates[0]).toEqual([2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(candidates[1]).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+
+      const given = new ConstrainedSudoku({ constraints: [arrow], board: '3' + '.'.repeat(80) }).candidates();
+      expect(given[1]).toEqual([1, 2]);
+      expect(given[2]).toEqual([1, 2]);
+    });
+
+    test('pair up across kropki dots', () => {
+      const board = '5' + '.'.repeat(80);
+      const white = new ConstrainedSudoku({ board, constraints: [new KropkiDot({ cells: [0, 1], color: 'white' })] });
+      expect(white.candidates()[1]).toEqual([4, 6]);
+
+      const black = new ConstrainedSudoku({
+        board: '3' + '.'.repeat(80),
+        constraints: [new KropkiDot({ cells: [0, 1], color: 'black' })]
+      });
+      expect(black.candidates()[1]).toEqual([6]);
+
+      const impossible = new ConstrainedSudoku({ board, constraints: [new KropkiDot({ cells: [0, 1], color: 'black' })] });
+      expect(impossible.candidates()).toBeNull();
+      expect(impossible.solutionsFlag()).toBe(0);
+      expect(impossible.solution()).toBeNull();
+    });
+  });
+
+  describe('solving', () => {
+    test('uses the constraints to pick between solutions', () => {
+      expect(new Sudoku(RECTANGLE).solutionsFlag()).toBe(2);
+      expect(new ConstrainedSudoku({ board: RECTANGLE }).solutionCount()).toBe(2);
+
+      const thermo = new ConstrainedSudoku({ board: RECTANGLE, constraints: [new Thermometer({ cells: [41, 40] })] });
+      expect(thermo.hasUniqueSolution()).toBe(true);
+      expect(thermo.solution().toString()).toBe(GRID);
+
+      const reversed = new ConstrainedSudoku({ board: RECTANGLE, constraints: [new Thermometer({ cells: [40, 41] })] });
+      const other = reversed.solution();
+      expect([40, 41, 67, 68].map((ci) => other.getDigit(ci))).toEqual([1, 8, 8, 1]);
+    });
+
+    test('checks solutions against every constraint', () => {
+      const puzzle = new ConstrainedSudoku({
+        constraints: [
+          new Thermometer({ cells: [1, 0, 2] }),
+          new Arrow({ circle: 2, cells: [3, 7] }),
+          new KropkiDot({ cells: [3, 5], color: 'white' })
+        ]
+      });
+      expect(puzzle.isSolvedBy(grid)).toBe(true);
+      expect(puzzle.isSolvedBy(Transform.swapDigits(1, 2).apply(grid))).toBe(false);
+      expect(puzzle.isSolvedBy(puzzle.solution())).toBe(true);
+      expect(puzzle.solutionCount({ limit: 3 })).toBe(3);
+    });
+
+    test('counts solutions with the given source of random numbers', () => {
+      let calls = 0;
+      const rng = createRng('count');
+      const counted = () => { calls++; return rng(); };
+      expect(new ConstrainedSudoku({ board: RECTANGLE }).solutionCount({ rng: counted })).toBe(2);
+      expect(calls).toBeGreaterThan(0);
+    });
+
+    test('works on other board sizes', () => {
+      const puzzle = new ConstrainedSudoku({
+        board: new Sudoku([], { rank: 2 }),
+        constraints: [new Thermometer({ cells: [0, 1, 2, 3] })]
+      });
+      expect(puzzle.candidates().slice(0, 4)).toEqual([[1], [2], [3], [4]]);
+      expect(puzzle.solution().toString().slice(0, 4)).toBe('1234');
+    });
+
+    test('accepts custom constraints', () => {
+      const puzzle = new ConstrainedSudoku({ constraints: [new EvenCell({ cells: [0] })] });
+      expect(puzzle.candidates()[0]).toEqual([2, 4, 6, 8]);
+      expect(puzzle.solution().getDigit(0) % 2).toBe(0);
+    });
+  });
+
+  describe('JSON', () => {
+    const puzzle = new ConstrainedSudoku({
+      board: RECTANGLE,
+      constraints: [
+        new Thermometer({ cells: [41, 40] }),
+        new Arrow({ circle: 2, cells: [3, 7] }),
+        new KropkiDot({ cells: [3, 5], color: 'white' })
+      ]
+    });
+
+    test('saves constraints by type', () => {
+      expect(puzzle.toJSON().constraints).toEqual([
+        { type: 'thermo', cells: [41, 40] },
+        { type: 'arrow', circle: 2, cells: [3, 7] },
+        { type: 'kropki', cells: [3, 5], color: 'white' }
+      ]);
+      expect(Object.keys(CONSTRAINT_TYPES)).toEqual(['thermo', 'arrow', 'kropki']);
+    });
+
+    test('restores saved puzzles', () => {
+      const restored = ConstrainedSudoku.fromJSON(JSON.stringify(puzzle));
+      expect(restored.board.toString()).toBe(puzzle.board.toString());
+      expect(restored.constraints[1]).toBeInstanceOf(Arrow);
+      expect(restored.toJSON()).toEqual(puzzle.toJSON());
+    });
+
+    test('restores custom constraints given their types', () => {
+      const custom = new ConstrainedSudoku({ constraints: [new EvenCell({ cells: [4] })] });
+      expect(() => ConstrainedSudoku.fromJSON(custom.toJSON())).toThrow('Unknown constraint type even');
+      const restored = ConstrainedSudoku.fromJSON(custom.toJSON(), { types: { ...CONSTRAINT_TYPES, even: EvenCell } });
+      expect(restored.constraints[0]).toBeInstanceOf(EvenCell);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import DancingLinks from '../../src/sudoku/DancingLinks.js';
+
+// The example from Knuth's "Dancing Links" paper, with columns A - G as 0 - 6.
+// Its only solution is rows 0, 3, and 4.
+const KNUTH_ROWS = [
+  [2, 4, 5],
+  [0, 3, 6],
+  [1, 2, 5],
+  [0, 3],
+  [1, 6],
+  [3, 4, 6]
+];
+
+const build = (numColumns, rows) => {
+  const dlx = new DancingLinks(numColumns);
+  rows.forEach(row => dlx.addRow(row));
+  return dlx;
+};
+
+describe('DancingLinks', () => {
+  test('addRow returns row indices in order', () => {
+    const dlx = new DancingLinks(3);
+    expect(dlx.addRow([0])).toBe(0);
+    expect(dlx.addRow([1, 2])).toBe(1);
+    expect(dlx.numRows).toBe(2);
+  });
+
+  describe('search', () => {
+    test('finds the only exact cover', () => {
+      const solutions = [];
+      const dlx = build(7, KNUTH_ROWS);
+      expect(dlx.search(Infinity, rows => { solutions.push(rows.sort()); })).toBe(1);
+      expect(solutions).toEqual([[0, 3, 4]]);
+    });
+
+    test('finds every exact cover', () => {
+      // Any two complementary rows, or all the singletons
+      const dlx = build(3, [[0], [1], [2], [0, 1], [1, 2], [0, 2]]);
+      expect(dlx.search()).toBe(4);
+    });
+
+    test('returns 0 when there is no exact cover', () => {
+      expect(build(3, [[0, 1], [1, 2]]).search()).toBe(0);
+      expect(build(2, [[0]]).search()).toBe(0);
+    });
+
+    test('stops at the limit', () => {
+      const dlx = build(3, [[0], [1], [2], [0, 1], [1, 2], [0, 2]]);
+      expect(dlx.search(2)).toBe(2);
+      expect(dlx.search(0)).toBe(0);
+    });
+
+    test('stops when onSolution returns false', () => {
+      let calls = 0;
+      const dlx = build(3, [[0], [1], [2], [0, 1], [1, 2], [0, 2]]);
+      expect(dlx.search(Infinity, () => (++calls < 3))).toBe(3);
+      expect(calls).toBe(3);
+    });
+
+    test('can be repeated', () => {
+      const dlx = build(7, KNUTH_ROWS);
+      expect(dlx.search(1)).toBe(1);
+      expect(dlx.search()).toBe(1);
+    });
+  });
+
+  describe('select', () => {
+    test('includes the row in every solution', () => {
+      const dlx = build(3, [[0], [1], [2], [0, 1], [1, 2], [0, 2]]);
+      expect(dlx.select(3)).toBe(true);
+      const solutions = [];
+      expect(dlx.search(Infinity, rows => { solutions.push(rows); })).toBe(1);
+      expect(solutions).toEqual([[3, 2]]);
+    });
+
+    test('returns false for rows that conflict with selected rows', () => {
+      const dlx = build(7, KNUTH_ROWS);
+      expect(dlx.select(1)).toBe(true);
+      expect(dlx.select(3)).toBe(false);
+      expect(dlx.search()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { KillerSudoku, Sudoku, Transform, createRng } from '../../index.js';
+import { connectedGroups } from '../../src/sudoku/Sudoku.js';
+
+const GRID = '218574639573896124469123578721459386354681792986237415147962853695318247832745961';
+
+/** Cages of two cells side by side along each row, with the last column in single cells. */
+const pairCages = (grid) => Array.from({ length: 81 }, (_, ci) => ci)
+  .filter((ci) => ci % 9 % 2 === 0)
+  .map((ci) => (ci % 9 === 8) ? [ci] : [ci, ci + 1])
+  .map((cells) => ({ cells, sum: cells.reduce((sum, ci) => sum + grid.getDigit(ci), 0) }));
+
+describe('KillerSudoku', () => {
+  const grid = new Sudoku(GRID);
+
+  describe('constructor', () => {
+    test('throws for invalid cages', () => {
+      expect(() => new KillerSudoku({ cages: [{ cells: [], sum: 1 }] })).toThrow('expected 1 to 9 cells');
+      expect(() => new KillerSudoku({ cages: [{ cells: [0, 1], sum: 2 }] })).toThrow('no 2 different digits add up to 2');
+      expect(() => new KillerSudoku({ cages: [{ cells: [81], sum: 5 }] })).toThrow('no cell 81');
+      expect(() => new KillerSudoku({
+        cages: [{ cells: [0, 1], sum: 3 }, { cells: [1, 2], sum: 3 }]
+      })).toThrow('cell 1 is already in cage 0');
+    });
+
+    test('throws for boards other than 9x9', () => {
+      expect(() => new KillerSudoku({ cages: [], board: new Sudoku([], { rank: 2 }) })).toThrow('rank 2');
+    });
+
+    test('looks up cages by cell', () => {
+      const killer = new KillerSudoku({ cages: [{ cells: [0, 9], sum: 7 }] });
+      expect(killer.cageOf(9)).toEqual({ cells: [0, 9], sum: 7 });
+      expect(killer.cageOf(1)).toBeNull();
+    });
+  });
+
+  test('lists digit combinations', () => {
+    expect(KillerSudoku.combinations(2, 3)).toEqual([[1, 2]]);
+    expect(KillerSudoku.combinations(3, 9)).toEqual([[1, 2, 6], [1, 3, 5], [2, 3, 4]]);
+    expect(KillerSudoku.combinations(9, 45)).toEqual([[1, 2, 3, 4, 5, 6, 7, 8, 9]]);
+    expect(KillerSudoku.combinations(2, 18)).toEqual([]);
+  });
+
+  test('reduces candidates by cage sums', () => {
+    const killer = new KillerSudoku({
+      cages: [{ cells: [0, 1], sum: 3 }, { cells: [9, 10, 11], sum: 24 }]
+    });
+    const candidates = killer.candidates();
+    expect(candidates[0]).toEqual([1, 2]);
+    expect(candidates[1]).toEqual([1, 2]);
+    [9, 10, 11].forEach((ci) => expect(candidates[ci]).toEqual([7, 8, 9]));
+    expect(candidates[80]).toHaveLength(9);
+  });
+
+  test('reduces candidates by what each house leaves over', () => {
+    // The rest of the first row and box add up to 45 - 3, so they have no 1 or 2.
+    const candidates = new KillerSudoku({ cages: [{ cells: [0, 1], sum: 3 }] }).candidates();
+    [2, 8, 9, 20].forEach((ci) => expect(candidates[ci]).toEqual([3, 4, 5, 6, 7, 8, 9]));
+    expect(candidates[27]).toHaveLength(9);
+  });
+
+  test('places digits forced by the cages', () => {
+    const killer = new KillerSudoku({
+      cages: [{ cells: [0, 1], sum: 3 }],
+      board: '1' + '.'.repeat(80)
+    });
+    expect(killer.candidates()[1]).toEqual([2]);
+  });
+
+  test('finds contradictions', () => {
+    const killer = new KillerSudoku({
+      cages: [{ cells: [0, 1], sum: 3 }],
+      board: '3' + '.'.repeat(80)
+    });
+    expect(killer.candidates()).toBeNull();
+    expect(killer.solutionsFlag()).toBe(0);
+  });
+
+  test('checks solutions', () => {
+    const killer = new KillerSudoku({ cages: pairCages(grid) });
+    expect(killer.isSolvedBy(grid)).toBe(true);
+    expect(killer.isSolvedBy(Transform.swapDigits(1, 2).apply(grid))).toBe(false);
+    expect(killer.isSolvedBy(killer.solution())).toBe(true);
+    expect(killer.solutionsFlag()).toBe(2);
+    expect(killer.solutionCount({ limit: 5 })).toBe(5);
+  });
+
+  describe('generate', () => {
+    test('produces cages with a unique solution', () => {
+      const killer = KillerSudoku.generate({ grid, rng: createRng('killer') });
+      expect(killer.hasUniqueSolution()).toBe(true);
+      expect(killer.solution().toString()).toBe(GRID);
+
+      const covered = killer.cages.flatMap(({ cells }) => cells).sort((a, b) => a - b);
+      expect(covered).toEqual(Array.from({ length: 81 }, (_, ci) => ci));
+      killer.cages.forEach(({ cells }) => {
+        expect(cells.length).toBeLessThanOrEqual(5);
+        expect(new Set(cells.map((ci) => grid.getDigit(ci))).size).toBe(cells.length);
+      });
+    });
+
+    test('keeps cages connected, with at most two single cells', () => {
+      [5, 9].forEach((maxCageSize) => ['bound1', 'bound6', 'bound8'].forEach((seed) => {
+        const killer = KillerSudoku.generate({ maxCageSize, rng: createRng(seed) });
+        expect(killer.hasUniqueSolution()).toBe(true);
+        killer.cages.forEach(({ cells }) => expect(connectedGroups(cells).length).toBe(1));
+        const singles = killer.cages.filter(({ cells }) => cells.length === 1);
+        expect(singles.length).toBeLessThanOrEqual(2);
+      }));
+    });
+
+    test('depends only on the seed', () => {
+      const a = KillerSudoku.generate({ rng: createRng('seed') });
+      const b = KillerSudoku.generate({ rng: createRng('seed') });
+      expect(a.toJSON()).toEqual(b.toJSON());
+    });
+
+    test('throws for grids that are not full', () => {
+      expect(() => KillerSudoku.generate({ grid: new Sudoku() })).toThrow();
+      expect(() => KillerSudoku.generate({ grid, maxCageSize: 10 })).toThrow();
+    });
+  });
+
+  test('saves to JSON', () => {
+    const killer = KillerSudoku.generate({ grid, rng: createRng('json') });
+    const restored = KillerSudoku.fromJSON(JSON.stringify(killer));
+    expect(restored.cages).toEqual(killer.cages);
+    expect(restored.board.toString()).toBe(killer.board.toString());
+  });
+});
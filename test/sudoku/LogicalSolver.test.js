@@ -0,0 +1,282 @@
+import {
+  Sudoku,
+  LogicalSolver,
+  TECHNIQUES,
+  TECHNIQUE_NAMES,
+  UNSOLVED_RATING,
+  DIFFICULTY_BANDS,
+  rateStep,
+  difficultyBand,
+  bandOf,
+  explainStep,
+  cellName,
+  houseName
+} from '../../index.js';
+import puzzles from './puzzles24.json';
+import { range, shuffle } from '../../src/util/arrays.js';
+
+const SINGLES = ['Full House', 'Hidden Single', 'Naked Single'];
+
+// Puzzles where the named technique is needed when only singles are otherwise allowed.
+const TECHNIQUE_PUZZLES = {
+  'Locked Candidates (Pointing)': '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....',
+  'Locked Candidates (Claiming)': '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....',
+  'Naked Pair': '9..7.5..33......4..1...........9.4.28352....6...5........9.....2...63..7.7.....14',
+  'X-Wing': '9..5.3.8...2694............41....5.36.........3..8..7..7..1.864..........5....1.7',
+  'Hidden Pair': '9..7.5..33......4..1...........9.4.28352....6...5........9.....2...63..7.7.....14',
+  'Naked Triple': '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....',
+  'Swordfish': '.7......952....73...3....8.....8.......2....4..431.....1..68.5.257...8.......91..',
+  'Hidden Triple': '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....',
+  'Skyscraper': '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....',
+  '2-String Kite': '...6....9.9..18.451.5.........95......28....46...2....8....3......1893..2.....1..',
+  'XY-Wing': '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....',
+  'XYZ-Wing': '9..7.5..33......4..1...........9.4.28352....6...5........9.....2...63..7.7.....14',
+  'W-Wing': '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....',
+  'Unique Rectangle': '2..7...16..6.....8....8.9.3..8.4.5...9.2........3......41.3..6.8...5.2.1..9......',
+  'Naked Quad': '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....',
+  'Jellyfish': '.7......952....73...3....8.....8.......2....4..431.....1..68.5.257...8.......91..',
+  'Hidden Quad': '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....',
+  'Forcing Chain': '...6....9.9..18.451.5.........95......28....46...2....8....3......1893..2.....1..',
+};
+
+// Needs more than the solver knows ("Easter Monster").
+const UNSOLVABLE_PUZZLE = '1.......2.9.4...5...6...7...5.9.3.......7.......85..4.7.....6...3...9.8...2.....1';
+
+/**
+ * Checks that every placement and elimination agrees with the puzzle's solution.
+ * @param {string} puzzleStr
+ * @param {import('../../src/sudoku/LogicalSolver.js').Step[]} steps
+ */
+const expectStepsToBeSound = (puzzleStr, steps) => {
+  const solution = new Sudoku(puzzleStr).solution().board;
+  steps.forEach(step => {
+    step.placements.forEach(({ cell, digit }) => {
+      expect(solution[cell], `${step.technique} placed ${digit} at ${cell}`).toBe(digit);
+    });
+    step.eliminations.forEach(({ cell, digit }) => {
+      expect(solution[cell], `${step.technique} removed ${digit} from ${cell}`).not.toBe(digit);
+    });
+  });
+};
+
+describe('LogicalSolver', () => {
+  describe('constructor', () => {
+    test('uses all techniques by default', () => {
+      expect(new LogicalSolver().techniques.map(t => t.name)).toEqual(TECHNIQUE_NAMES);
+    });
+
+    test('uses the given techniques in the given order', () => {
+      const order = ['Naked Single', 'Hidden Single', 'X-Wing'];
+      expect(new LogicalSolver({ techniques: order }).techniques.map(t => t.name)).toEqual(order);
+    });
+
+    test('throws on an unknown technique', () => {
+      expect(() => new LogicalSolver({ techniques: ['Guessing'] })).toThrow(/Unknown technique/);
+    });
+  });
+
+  describe('solve', () => {
+    const solver = new LogicalSolver();
+
+    test('solved puzzles match the actual solution', () => {
+      shuffle(range(puzzles.length)).slice(0, 20).forEach(pi => {
+        const puzzle = new Sudoku(puzzles[pi]);
+        const result = solver.solve(puzzle);
+        expectStepsToBeSound(puzzles[pi], result.steps);
+        if (result.solved) {
+          expect(result.sudoku.toString()).toBe(puzzle.solution().toString());
+        }
+      });
+    });
+
+    test('does not modify the given puzzle', () => {
+      const puzzle = new Sudoku(puzzles[0]);
+      solver.solve(puzzle);
+      expect(puzzle.toString()).toBe(puzzles[0]);
+    });
+
+    test('reports each step with the technique that produced it', () => {
+      const { steps } = solver.solve(new Sudoku(puzzles[0]));
+      expect(steps.length).toBeGreaterThan(0);
+      steps.forEach(step => {
+        expect(TECHNIQUE_NAMES).toContain(step.technique);
+        expect(step.placements.length + step.eliminations.length).toBeGreaterThan(0);
+      });
+    });
+
+    test('stops without guessing when no technique applies', () => {
+      const result = solver.solve(new Sudoku(UNSOLVABLE_PUZZLE));
+      expect(result.solved).toBe(false);
+      expect(result.sudoku.numEmptyCells).toBeGreaterThan(0);
+      expectStepsToBeSound(UNSOLVABLE_PUZZLE, result.steps);
+    });
+
+    test('does not solve invalid puzzles', () => {
+      const puzzle = new Sudoku('11' + '.'.repeat(79));
+      const result = solver.solve(puzzle);
+      expect(result.solved).toBe(false);
+      expect(result.steps).toEqual([]);
+    });
+
+    Object.entries(TECHNIQUE_PUZZLES).forEach(([technique, puzzleStr]) => {
+      test(`finds ${technique}`, () => {
+        const limited = new LogicalSolver({ techniques: [...SINGLES, technique] });
+        const { steps } = limited.solve(new Sudoku(puzzleStr));
+        expect(steps.some(step => step.technique === technique)).toBe(true);
+        expectStepsToBeSound(puzzleStr, steps);
+      });
+    });
+  });
+
+  describe('canSolve', () => {
+    test('returns true when singles are enough', () => {
+      const singlesOnly = new LogicalSolver({ techniques: SINGLES });
+      expect(singlesOnly.canSolve(Sudoku.generateConfig())).toBe(true);
+    });
+
+    test('returns false when the techniques are not enough', () => {
+      const singlesOnly = new LogicalSolver({ techniques: SINGLES });
+      expect(singlesOnly.canSolve(new Sudoku(TECHNIQUE_PUZZLES['Jellyfish']))).toBe(false);
+      expect(new LogicalSolver().canSolve(new Sudoku(UNSOLVABLE_PUZZLE))).toBe(false);
+    });
+  });
+
+  describe('rate', () => {
+    const solver = new LogicalSolver();
+
+    test('rates by the hardest technique used', () => {
+      const { rating, hardest, solved, steps } = solver.rate(new Sudoku(TECHNIQUE_PUZZLES['Forcing Chain']));
+      expect(solved).toBe(true);
+      expect(hardest).toBe('Forcing Chain');
+      expect(rating).toBe(7.5);
+      expect(Math.max(...steps.map(rateStep))).toBe(rating);
+    });
+
+    test('rates a puzzle needing only full houses at 1.0', () => {
+      const puzzle = Sudoku.generateConfig();
+      puzzle.setDigit(0, 0);
+      puzzle.setDigit(0, 40);
+      expect(solver.rate(puzzle)).toMatchObject({ rating: 1.0, hardest: 'Full House', solved: true });
+    });
+
+    test('rates solved grids at 0', () => {
+      expect(solver.rate(Sudoku.generateConfig())).toMatchObject({ rating: 0, hardest: null, solved: true });
+    });
+
+    test('rates puzzles beyond the solver at UNSOLVED_RATING', () => {
+      expect(solver.rate(new Sudoku(UNSOLVABLE_PUZZLE))).toMatchObject({ rating: UNSOLVED_RATING, solved: false });
+    });
+
+    test('harder techniques rate at least as high as the techniques before them', () => {
+      const fixed = TECHNIQUES.filter(t => typeof t.rating === 'number').map(t => t.rating);
+      expect(fixed).toEqual([...fixed].sort((a, b) => a - b));
+    });
+  });
+
+  describe('upTo', () => {
+    test('uses only the techniques rated at or below the given rating', () => {
+      expect(LogicalSolver.upTo(2.3).techniques.map(t => t.name)).toEqual(SINGLES);
+      expect(LogicalSolver.upTo(UNSOLVED_RATING).techniques.map(t => t.name)).toEqual(TECHNIQUE_NAMES);
+    });
+
+    test('rates puzzles within reach the same as the full solver', () => {
+      const puzzle = new Sudoku(TECHNIQUE_PUZZLES['Swordfish']);
+      const { rating } = new LogicalSolver().rate(puzzle);
+      expect(LogicalSolver.upTo(rating).rate(puzzle).rating).toBe(rating);
+      expect(LogicalSolver.upTo(rating - 0.1).rate(puzzle).rating).toBe(UNSOLVED_RATING);
+    });
+
+    test('takes no step rated above the given rating', () => {
+      // Hidden singles are rated higher along rows and columns than within regions.
+      puzzles.slice(0, 10).forEach((str) => {
+        const { steps } = LogicalSolver.upTo(1.2).solve(new Sudoku(str));
+        expect(steps.every((s) => rateStep(s) <= 1.2)).toBe(true);
+      });
+    });
+  });
+
+  describe('nextStep', () => {
+    test('returns the first step the solver would take', () => {
+      const solver = new LogicalSolver();
+      const puzzle = new Sudoku(puzzles[0]);
+      expect(solver.nextStep(puzzle)).toEqual(solver.solve(puzzle).steps[0]);
+    });
+
+    test('returns null for solved grids', () => {
+      expect(new LogicalSolver().nextStep(Sudoku.generateConfig())).toBeNull();
+    });
+  });
+});
+
+describe('difficultyBand', () => {
+  test('returns null for any difficulty', () => {
+    expect(difficultyBand(0)).toBeNull();
+    expect(difficultyBand()).toBeNull();
+  });
+
+  test('resolves levels to the ratings with that whole-number part', () => {
+    expect(difficultyBand(3)).toEqual({ min: 3, max: 3.9 });
+    expect(difficultyBand(10)).toEqual({ min: 10, max: Infinity });
+  });
+
+  test('resolves band names and ranges', () => {
+    expect(difficultyBand('easy')).toBe(DIFFICULTY_BANDS.easy);
+    expect(difficultyBand({ min: 2, max: 4 })).toEqual({ min: 2, max: 4 });
+  });
+
+  test('throws on invalid difficulties', () => {
+    expect(() => difficultyBand(-1)).toThrow();
+    expect(() => difficultyBand(11)).toThrow();
+    expect(() => difficultyBand(2.5)).toThrow();
+    expect(() => difficultyBand('trivial')).toThrow(/Unknown difficulty band/);
+    expect(() => difficultyBand({ min: 4, max: 2 })).toThrow();
+  });
+
+  test('throws on difficulties that no technique is rated in', () => {
+    [6, 8, 9].forEach(level => expect(() => difficultyBand(level)).toThrow('no technique is rated at it'));
+    expect(() => difficultyBand({ min: 5.5, max: 7 })).toThrow('no technique is rated in it');
+    [1, 2, 3, 4, 5, 7, 10].forEach(level => expect(difficultyBand(level)).not.toBeNull());
+  });
+});
+
+describe('bandOf', () => {
+  test('returns the band a rating falls in', () => {
+    expect(bandOf(1.5)).toBe('easy');
+    expect(bandOf(3.2)).toBe('medium');
+    expect(bandOf(4.4)).toBe('tough');
+    expect(bandOf(7.5)).toBe('hard');
+    expect(bandOf(UNSOLVED_RATING)).toBe('extreme');
+    expect(bandOf(0)).toBeNull();
+  });
+});
+
+describe('explainStep', () => {
+  Object.entries(TECHNIQUE_PUZZLES).forEach(([technique, puzzleStr]) => {
+    test(`explains ${technique}`, () => {
+      const limited = new LogicalSolver({ techniques: [...SINGLES, technique] });
+      const step = limited.solve(new Sudoku(puzzleStr)).steps.find(s => s.technique === technique);
+      const explanation = explainStep(step);
+      expect(typeof explanation).toBe('string');
+      [...step.placements, ...step.eliminations].forEach(({ cell }) => {
+        expect(explanation).toContain(cellName(cell));
+      });
+    });
+  });
+
+  test('names the placed digit and cell of singles', () => {
+    const step = new LogicalSolver({ techniques: ['Hidden Single'] }).nextStep(new Sudoku(puzzles[0]));
+    const [{ cell, digit }] = step.placements;
+    expect(explainStep(step)).toBe(`In ${houseName(step.houses[0])}, ${digit} can only go in ${cellName(cell)}.`);
+  });
+
+  test('names the houses of variants', () => {
+    expect(houseName(26)).toBe('region 9');
+    expect(houseName(27, { variants: ['x'] })).toBe('diagonal 1');
+    expect(houseName(28, { variants: ['windoku', 'x'] })).toBe('window 2');
+    expect(houseName(31, { variants: ['windoku', 'x'] })).toBe('diagonal 1');
+    expect(() => houseName(27)).toThrow('Unknown house 27');
+
+    const step = { technique: 'Full House', placements: [{ cell: 80, digit: 5 }], houses: [27] };
+    expect(explainStep(step, { variants: ['x'] })).toBe('r9c9 is the last empty cell in diagonal 1, so it must be 5.');
+  });
+});
@@ -0,0 +1,105 @@
+import { SamuraiSudoku, Sudoku, createRng } from '../../index.js';
+
+/** The digits of one box of a grid, row by row. */
+const boxDigits = (grid, box) => grid.board.filter((_, ci) => (
+  (((ci / 27) | 0) * 3 + (((ci % 9) / 3) | 0)) === box
+));
+
+describe('SamuraiSudoku', () => {
+  const puzzle = SamuraiSudoku.generate({ rng: createRng('samurai') });
+
+  describe('constructor', () => {
+    test('starts empty', () => {
+      const board = new SamuraiSudoku();
+      expect(board.grids.length).toBe(5);
+      expect(board.numEmptyCells).toBe(369);
+      expect(board.isValid()).toBe(true);
+    });
+
+    test('copies digits into the other grid of shared cells', () => {
+      const center = '5' + '.'.repeat(80);
+      const board = new SamuraiSudoku([new Sudoku(), new Sudoku(), center, new Sudoku(), new Sudoku()]);
+      expect(board.grids[0].getDigit(60)).toBe(5);
+      expect(board.getDigit(6, 6)).toBe(5);
+    });
+
+    test('throws for grids that disagree or are not standard', () => {
+      const grids = () => [0, 1, 2, 3, 4].map(() => new Sudoku());
+      const disagree = grids();
+      disagree[0].setDigit(1, 80);
+      disagree[2].setDigit(2, 20);
+      expect(() => new SamuraiSudoku(disagree)).toThrow('disagree');
+      expect(() => new SamuraiSudoku(grids().slice(1))).toThrow('needs 5 grids');
+      expect(() => new SamuraiSudoku([...grids().slice(1), new Sudoku([], { variants: ['x'] })])).toThrow("doesn't support variants");
+    });
+  });
+
+  test('sets digits in every grid with the cell', () => {
+    const board = new SamuraiSudoku();
+    board.setDigit(7, 14, 14);
+    expect(board.grids[2].getDigit(80)).toBe(7);
+    expect(board.grids[4].getDigit(20)).toBe(7);
+    expect(board.getDigit(14, 14)).toBe(7);
+    expect(() => board.getDigit(0, 10)).toThrow('No samurai cell at r1c11');
+  });
+
+  test('generates puzzles with a unique solution', () => {
+    expect(puzzle.isValid()).toBe(true);
+    expect(puzzle.numEmptyCells).toBeGreaterThan(200);
+    expect(puzzle.hasUniqueSolution()).toBe(true);
+
+    const solution = puzzle.solution();
+    expect(solution.isSolved()).toBe(true);
+    expect(boxDigits(solution.grids[0], 8)).toEqual(boxDigits(solution.grids[2], 0));
+    expect(boxDigits(solution.grids[1], 6)).toEqual(boxDigits(solution.grids[2], 2));
+    expect(boxDigits(solution.grids[3], 2)).toEqual(boxDigits(solution.grids[2], 6));
+    expect(boxDigits(solution.grids[4], 0)).toEqual(boxDigits(solution.grids[2], 8));
+
+    // Each grid alone isn't enough; the shared boxes tie them together.
+    expect(puzzle.grids.some((grid) => grid.solutionsFlag() !== 1)).toBe(true);
+  });
+
+  test('stops removing clues at numClues', () => {
+    const easy = SamuraiSudoku.generate({ numClues: 250, rng: createRng('easy') });
+    expect(369 - easy.numEmptyCells).toBe(250);
+    expect(easy.hasUniqueSolution()).toBe(true);
+  });
+
+  test('depends only on the seed', () => {
+    expect(SamuraiSudoku.generate({ rng: createRng('samurai') }).toString()).toBe(puzzle.toString());
+  });
+
+  test('counts solutions with the given source of random numbers', () => {
+    let calls = 0;
+    const rng = createRng('count');
+    const counted = () => { calls++; return rng(); };
+    expect(puzzle.hasUniqueSolution({ rng: counted })).toBe(true);
+    expect(calls).toBeGreaterThan(0);
+  });
+
+  test('counts solutions', () => {
+    expect(new SamuraiSudoku().solutionsFlag()).toBe(2);
+
+    const clash = new SamuraiSudoku();
+    clash.setDigit(3, 10, 6);
+    clash.setDigit(3, 10, 14);
+    expect(clash.isValid()).toBe(false);
+    expect(clash.solutionsFlag()).toBe(0);
+    expect(clash.solution()).toBeNull();
+  });
+
+  test('reads and writes text', () => {
+    const str = puzzle.toString();
+    expect(str.length).toBe(405);
+    expect(SamuraiSudoku.fromString(str).toString()).toBe(str);
+
+    const full = puzzle.toFullString();
+    const lines = full.split('\n');
+    expect(lines.length).toBe(21);
+    expect(lines[10].trim().length).toBe(9);
+    expect(lines[10].indexOf(lines[10].trim())).toBe(6);
+    expect(SamuraiSudoku.fromString(full).toString()).toBe(str);
+
+    expect(() => SamuraiSudoku.fromString('123')).toThrow('Invalid samurai string');
+  });
+});
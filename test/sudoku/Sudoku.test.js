@@ -1,8 +1,25 @@
 import { nChooseK, randomCombo } from '@metal-pony/counting-js';
-import { Sudoku, sudoku17 } from '../../index.js';
+import {
+  Sudoku,
+  LogicalSolver,
+  DIFFICULTY_BANDS,
+  UNSOLVED_RATING,
+  SYMMETRIES,
+  SOLVERS,
+  RANKS,
+  VARIANTS,
+  PAIR_VARIANTS,
+  Transform,
+  symmetryAllows,
+  isSymmetric,
+  patternToMask,
+  bandOf,
+  createRng,
+  sudoku17
+} from '../../index.js';
 import puzzles from './puzzles24.json';
-import { chooseRandom, range, shuffle } from '../../src/util/arrays.js';
-import { cellRegion, DIGITS, isAreaValid, SearchState, SPACES } from '../../src/sudoku/Sudoku.js';
+import { chooseRandom, countBigBits, range, shuffle } from '../../src/util/arrays.js';
+import { cellRegion, DIGITS, isAreaValid, masksFor, SearchState, SPACES } from '../../src/sudoku/Sudoku.js';
 
 /**
  * Get a random number from 0 to upper (exclusive).
@@ -249,6 +266,217 @@ describe('Sudoku', () => {
       }
     });
 
+    test('generatePuzzle2 with difficulty', () => {
+      const puzzle = Sudoku.generatePuzzle2({ numClues: 36, difficulty: 1 });
+      expect(puzzle.solutionsFlag()).toBe(1);
+      expect(Math.floor(puzzle.difficulty())).toBe(1);
+      expect(() => Sudoku.generatePuzzle2({ numClues: 36, difficulty: 11 })).toThrow();
+      expect(() => Sudoku.generatePuzzle2({ numClues: 36, difficulty: 'impossible' })).toThrow();
+    });
+
+    describe('symmetry', () => {
+      test('orbits cover every cell exactly once', () => {
+        Object.values(SYMMETRIES).forEach(orbits => {
+          expect(orbits.flat().sort((a, b) => a - b)).toEqual(range(SPACES));
+        });
+      });
+
+      test('orbits have the expected sizes', () => {
+        const sizes = (symmetry) => SYMMETRIES[symmetry].map(o => o.length).sort((a, b) => a - b);
+        expect(sizes('none')).toEqual(Array(SPACES).fill(1));
+        expect(sizes('rotational180')).toEqual([1, ...Array(40).fill(2)]);
+        expect(sizes('rotational90')).toEqual([1, ...Array(20).fill(4)]);
+        ['horizontal', 'vertical', 'diagonal', 'antiDiagonal'].forEach(symmetry => {
+          expect(sizes(symmetry)).toEqual([...Array(9).fill(1), ...Array(36).fill(2)]);
+        });
+        expect(sizes('dihedral')).toEqual([1, ...Array(8).fill(4), ...Array(6).fill(8)]);
+      });
+
+      test('rotational180 matches palindromes', () => {
+        expect(isSymmetric(Sudoku.randomPalindrome(30), 'rotational180')).toBe(true);
+      });
+
+      test('symmetryAllows', () => {
+        expect(symmetryAllows('rotational90', 29)).toBe(true);
+        expect(symmetryAllows('rotational90', 30)).toBe(false);
+        expect(symmetryAllows('dihedral', 24)).toBe(true);
+        expect(symmetryAllows('dihedral', 27)).toBe(false);
+        expect(symmetryAllows('vertical', 27)).toBe(true);
+        expect(() => symmetryAllows('spiral', 27)).toThrow(/Unknown symmetry/);
+      });
+
+      test('randomSymmetricMask', () => {
+        Object.keys(SYMMETRIES).forEach(symmetry => {
+          const mask = Sudoku.randomSymmetricMask(33, symmetry);
+          expect(countBigBits(mask)).toBe(33);
+          expect(isSymmetric(mask, symmetry)).toBe(true);
+        });
+        expect(() => Sudoku.randomSymmetricMask(30, 'dihedral')).toThrow();
+      });
+
+      Object.keys(SYMMETRIES).forEach(symmetry => {
+        test(`generatePuzzle2 with ${symmetry} symmetry`, () => {
+          const puzzle = Sudoku.generatePuzzle2({ numClues: 33, symmetry });
+          expect(puzzle.numEmptyCells).toBe(81 - 33);
+          expect(puzzle.solutionsFlag()).toBe(1);
+          expect(isSymmetric(puzzle.mask, symmetry)).toBe(true);
+        });
+      });
+
+      test('randomComboPuzzle with symmetry', () => {
+        const solution = Sudoku.generateConfig();
+        const puzzle = Sudoku.randomComboPuzzle({ solution, numClues: 36, symmetry: 'diagonal' });
+        expect(puzzle.solutionsFlag()).toBe(1);
+        expect(isSymmetric(puzzle.mask, 'diagonal')).toBe(true);
+      });
+
+      test('throws when no layout with the symmetry has the number of clues', () => {
+        expect(() => Sudoku.generatePuzzle2({ numClues: 30, symmetry: 'rotational90' })).toThrow();
+      });
+    });
+
+    describe('generateFromPattern', () => {
+      const LATTICE = `
+        x.x...x.x
+        .x.x.x.x.
+        x..x.x..x
+        .x.....x.
+        x.x.x.x.x
+        .x.....x.
+        x..x.x..x
+        .x.x.x.x.
+        x.x...x.x
+      `;
+
+      test('accepts a picture of the pattern', () => {
+        const puzzle = Sudoku.generateFromPattern({ pattern: LATTICE });
+        expect(puzzle.mask).toBe(patternToMask(LATTICE));
+        expect(puzzle.solutionsFlag()).toBe(1);
+      });
+
+      test('accepts a mask', () => {
+        // Some patterns have no puzzle with a unique solution, so this one is seeded.
+        const mask = Sudoku.randomSymmetricMask(30, 'vertical', createRng('pattern'));
+        const puzzle = Sudoku.generateFromPattern({ pattern: mask });
+        expect(puzzle.mask).toBe(mask);
+        expect(puzzle.solutionsFlag()).toBe(1);
+      });
+
+      test('throws when the pattern has too few clues', () => {
+        expect(() => Sudoku.generateFromPattern({ pattern: 'x'.repeat(16) + '.'.repeat(65) })).toThrow();
+      });
+    });
+
+    describe('minimal', () => {
+      test('generatePuzzle2 carves minimal puzzles with at most numClues clues', () => {
+        const puzzle = Sudoku.generatePuzzle2({ numClues: 30, minimal: true });
+        expect(81 - puzzle.numEmptyCells).toBeLessThanOrEqual(30);
+        expect(puzzle.isMinimal()).toBe(true);
+      });
+
+      test('generatePuzzle2 with symmetry keeps the symmetry', () => {
+        const puzzle = Sudoku.generatePuzzle2({ numClues: 32, minimal: true, symmetry: 'rotational180' });
+        expect(isSymmetric(puzzle.mask, 'rotational180')).toBe(true);
+        expect(puzzle.isMinimal({ symmetry: 'rotational180' })).toBe(true);
+      });
+
+      test('generatePuzzle2 with difficulty', () => {
+        const { puzzle, rating } = Sudoku.generateRatedPuzzle({ numClues: 30, minimal: true, difficulty: 'medium' });
+        expect(puzzle.isMinimal()).toBe(true);
+        expect(bandOf(rating)).toBe('medium');
+      });
+
+      test('randomComboPuzzle', () => {
+        const solution = Sudoku.generateConfig();
+        const puzzle = Sudoku.randomComboPuzzle({ solution, numClues: 36, minimal: true });
+        expect(81 - puzzle.numEmptyCells).toBeLessThanOrEqual(36);
+        expect(puzzle.isMinimal()).toBe(true);
+      });
+    });
+
+    describe('generateRatedPuzzle', () => {
+      ['easy', 'medium', 'tough'].forEach(band => {
+        test(`generates ${band} puzzles`, () => {
+          const { puzzle, rating, attempts, timeMs } = Sudoku.generateRatedPuzzle({ numClues: 28, difficulty: band });
+          const { min, max } = DIFFICULTY_BANDS[band];
+          expect(puzzle.numEmptyCells).toBe(81 - 28);
+          expect(puzzle.solutionsFlag()).toBe(1);
+          expect(puzzle.difficulty()).toBe(rating);
+          expect(rating).toBeGreaterThanOrEqual(min);
+          expect(rating).toBeLessThanOrEqual(max);
+          expect(attempts).toBeGreaterThanOrEqual(1);
+          expect(timeMs).toBeGreaterThanOrEqual(0);
+        });
+      });
+
+      test('accepts a rating range', () => {
+        const { puzzle, rating } = Sudoku.generateRatedPuzzle({ numClues: 30, difficulty: { min: 2.0, max: 3.0 } });
+        expect(puzzle.difficulty()).toBe(rating);
+        expect(rating).toBeGreaterThanOrEqual(2.0);
+        expect(rating).toBeLessThanOrEqual(3.0);
+      });
+
+      test('rates the puzzle when no difficulty is requested', () => {
+        const { puzzle, rating, attempts } = Sudoku.generateRatedPuzzle({ numClues: 32 });
+        expect(rating).toBe(puzzle.difficulty());
+        expect(attempts).toBe(0);
+      });
+
+      test('reports no puzzle when the time limit is hit', () => {
+        // Puzzles with this many clues all but never need forcing chains; seeded, these never do.
+        const report = Sudoku.generateRatedPuzzle({ numClues: 40, difficulty: 7, timeoutMs: 200, rng: createRng('time limit') });
+        expect(report.puzzle).toBeNull();
+        expect(report.rating).toBe(-1);
+        expect(report.attempts).toBeGreaterThan(0);
+      });
+    });
+
+    describe('patternToMask', () => {
+      test('reads non-empty characters as clues, ignoring whitespace', () => {
+        expect(patternToMask('x' + '.'.repeat(80))).toBe(1n << 80n);
+        expect(patternToMask('.'.repeat(80) + '#')).toBe(1n);
+        expect(patternToMask('x-_0 \n'.repeat(19) + 'xxxxx')).toBe(patternToMask('x...'.repeat(19) + 'xxxxx'));
+      });
+
+      test('throws unless there are 81 cells', () => {
+        expect(() => patternToMask('x'.repeat(80))).toThrow();
+        expect(() => patternToMask('x'.repeat(82))).toThrow();
+      });
+    });
+
+    describe('seeded generation', () => {
+      test('generateConfig', () => {
+        expect(Sudoku.generateConfig(createRng(1)).toString()).toBe(Sudoku.generateConfig(createRng(1)).toString());
+        expect(Sudoku.generateConfig(createRng(1)).toString()).not.toBe(Sudoku.generateConfig(createRng(2)).toString());
+      });
+
+      test('generatePuzzle2', () => {
+        const options = { numClues: 28, symmetry: 'rotational180', difficulty: 'medium' };
+        const a = Sudoku.generatePuzzle2({ ...options, rng: createRng('day #123') });
+        const b = Sudoku.generatePuzzle2({ ...options, rng: createRng('day #123') });
+        expect(a.toString()).toBe(b.toString());
+      });
+
+      test('randomComboPuzzle', () => {
+        const solution = Sudoku.generateConfig();
+        const a = Sudoku.randomComboPuzzle({ solution, numClues: 36, rng: createRng(5) });
+        const b = Sudoku.randomComboPuzzle({ solution, numClues: 36, rng: createRng(5) });
+        expect(a.toString()).toBe(b.toString());
+      });
+
+      test('generateFromPattern', () => {
+        // Some patterns have no puzzle with a unique solution, so the pattern is seeded too.
+        const pattern = Sudoku.randomSymmetricMask(32, 'vertical', createRng(5));
+        const a = Sudoku.generateFromPattern({ pattern, rng: createRng(5) });
+        const b = Sudoku.generateFromPattern({ pattern, rng: createRng(5) });
+        expect(a.toString()).toBe(b.toString());
+      });
+
+      test('randomPalindrome', () => {
+        expect(Sudoku.randomPalindrome(30, createRng(3))).toBe(Sudoku.randomPalindrome(30, createRng(3)));
+      });
+    });
+
     describe('palindrome', () => {
       describe('expected error', () => {
         test('when bitCount is negative', () => {
@@ -481,6 +709,58 @@ describe('Sudoku', () => {
         expect(new Sudoku(puzzleStr).solutionCount()).toBe(numSolutions);
       });
     });
+
+    test('finds the same number of solutions with every solver', () => {
+      SOLVERS.forEach(solver => {
+        SINGLE_SOLUTION_PUZZLES.forEach(p => {
+          expect(new Sudoku(p).solutionCount({ solver })).toBe(1);
+        });
+
+        NO_SOLUTION_PUZZLES.forEach(p => {
+          expect(new Sudoku(p).solutionCount({ solver })).toBe(0);
+        });
+
+        MULTI_SOLUTION_PUZZLES.forEach(({ puzzleStr, numSolutions }) => {
+          expect(new Sudoku(puzzleStr).solutionCount({ solver })).toBe(numSolutions);
+        });
+      });
+    });
+
+    test('throws for unknown solvers', () => {
+      expect(() => new Sudoku(SINGLE_SOLUTION_PUZZLES[0]).solutionCount({ solver: 'bfs' })).toThrow();
+    });
+  });
+
+  describe('forEachSolution', () => {
+    test('finds the same solutions with either solver', () => {
+      MULTI_SOLUTION_PUZZLES.forEach(({ puzzleStr, numSolutions }) => {
+        const puzzle = new Sudoku(puzzleStr);
+        const found = { dfs: [], dlx: [] };
+        Object.keys(found).forEach(solver => {
+          puzzle.forEachSolution((solution) => {
+            expect(solution.isSolved()).toBe(true);
+            expect(solution.filter(puzzle.mask).toString()).toBe(puzzle.toString());
+            found[solver].push(solution.toString());
+          }, { solver });
+        });
+        expect(found.dfs.length).toBe(numSolutions);
+        expect(new Set(found.dlx)).toEqual(new Set(found.dfs));
+      });
+    });
+
+    test('stops when the callback returns false', () => {
+      const { puzzleStr } = MULTI_SOLUTION_PUZZLES[0];
+      ['dfs', 'dlx'].forEach(solver => {
+        let count = 0;
+        new Sudoku(puzzleStr).forEachSolution(() => (++count < 2), { solver });
+        expect(count).toBe(2);
+      });
+    });
+
+    test('throws for the bitboard solver', () => {
+      const { puzzleStr } = MULTI_SOLUTION_PUZZLES[0];
+      expect(() => new Sudoku(puzzleStr).forEachSolution(() => {}, { solver: 'bitboard' })).toThrow();
+    });
   });
 
   describe('solutionsFlag', () => {
@@ -490,6 +770,31 @@ describe('Sudoku', () => {
       });
     });
 
+    test('is the same for every solver', () => {
+      [
+        ...NO_SOLUTION_PUZZLES,
+        ...SINGLE_SOLUTION_PUZZLES,
+        ...MULTI_SOLUTION_PUZZLES.map(({ puzzleStr }) => puzzleStr)
+      ].forEach(p => {
+        const puzzle = new Sudoku(p);
+        const flag = puzzle.solutionsFlag({ solver: 'dfs' });
+        SOLVERS.forEach(solver => {
+          expect(puzzle.solutionsFlag({ solver })).toBe(flag);
+        });
+      });
+
+      for (let n = 0; n < 10; n++) {
+        const puzzle = randomSudoku17();
+        SOLVERS.forEach(solver => {
+          expect(puzzle.solutionsFlag({ solver })).toBe(1);
+        });
+        puzzle.setDigit(0, puzzle.board.findIndex(d => d > 0));
+        SOLVERS.forEach(solver => {
+          expect(puzzle.solutionsFlag({ solver })).toBe(3);
+        });
+      }
+    });
+
     describe('returns 1', () => {
       test('for generated configs', () => {
         for (let n = 0; n < 10; n++) {
@@ -543,6 +848,209 @@ describe('Sudoku', () => {
     });
   });
 
+  describe('canonicalize', () => {
+    const SMALLEST_GRID = '123456789456789123789123456214365897365897214897214365531642978642978531978531642';
+
+    /** Applies a transform returned by `canonicalize` to a board's digits. */
+    const applyTransform = (board, { transpose, rows, cols, digits }) => {
+      const source = transpose ? board.map((_, i) => board[(i % 9) * 9 + ((i / 9) | 0)]) : board;
+      return board.map((_, i) => digits[source[rows[(i / 9) | 0] * 9 + cols[i % 9]]]);
+    };
+
+    /** Disguises a board with a few validity-preserving transformations. */
+    const disguise = (sudoku) => {
+      const copy = new Sudoku(sudoku);
+      copy.reflectOverDiagonal();
+      copy.swapBands(0, 2);
+      copy.swapStacks(0, 1);
+      copy.swapRows(3, 5);
+      copy.swapColumns(6, 7);
+      copy.swapDigits(1, 9);
+      copy.swapDigits(2, 5);
+      return copy;
+    };
+
+    test('finds the smallest grid', () => {
+      const grid = disguise(new Sudoku(SMALLEST_GRID));
+      expect(grid.toString()).not.toBe(SMALLEST_GRID);
+      expect(grid.canonicalize().canonical.toString()).toBe(SMALLEST_GRID);
+    });
+
+    test('is the same for equivalent grids and puzzles', () => {
+      const boards = [Sudoku.generateConfig(), ...range(3).map(() => new Sudoku(chooseRandom(puzzles)))];
+      boards.forEach(board => {
+        const { canonical } = board.canonicalize();
+        expect(canonical.isValid()).toBe(true);
+        expect(canonical.numEmptyCells).toBe(board.numEmptyCells);
+        expect(disguise(board).canonicalize().canonical.toString()).toBe(canonical.toString());
+      });
+    });
+
+    test('differs for grids that are not equivalent', () => {
+      const grid = new Sudoku(SMALLEST_GRID);
+      // Swapping digits within an unavoidable rectangle gives a different, valid grid
+      const board = grid.board;
+      [board[0], board[1], board[27], board[28]] = [board[1], board[0], board[28], board[27]];
+      const other = new Sudoku(board);
+      expect(other.isSolved()).toBe(true);
+      expect(other.canonicalize().canonical.toString()).not.toBe(SMALLEST_GRID);
+    });
+
+    test('returns the transform that gives the minlex form', () => {
+      [Sudoku.generateConfig(), new Sudoku(chooseRandom(puzzles)), new Sudoku()].forEach(board => {
+        const { canonical, transform } = board.canonicalize();
+        expect(applyTransform(board.board, transform)).toEqual(canonical.board);
+        expect([...transform.digits].sort()).toEqual(range(10));
+      });
+    });
+  });
+
+  describe('areEquivalent', () => {
+    const disguise = (sudoku) => Transform.compose(
+      Transform.rotate90(),
+      Transform.swapBands(0, 1),
+      Transform.swapRows(7, 8),
+      Transform.swapStacks(1, 2),
+      Transform.relabel([4, 7, 1, 9, 3, 6, 2, 8, 5])
+    ).apply(sudoku);
+
+    test('returns a transform between equivalent boards', () => {
+      [Sudoku.generateConfig(), new Sudoku(chooseRandom(puzzles)), new Sudoku(chooseRandom(puzzles))].forEach(a => {
+        const b = disguise(a);
+        const transform = Sudoku.areEquivalent(a, b);
+        expect(transform).toBeInstanceOf(Transform);
+        expect(a.transform(transform).toString()).toBe(b.toString());
+        expect(b.transform(Sudoku.areEquivalent(b, a)).toString()).toBe(a.toString());
+        expect(Sudoku.areEquivalent(a, a)).not.toBeNull();
+      });
+    });
+
+    test('returns null for boards that are not equivalent', () => {
+      const grid = Sudoku.generateConfig();
+      expect(Sudoku.areEquivalent(grid, Sudoku.generateConfig())).toBeNull();
+
+      const [p1, p2] = puzzles;
+      expect(Sudoku.areEquivalent(new Sudoku(p1), new Sudoku(p2))).toBeNull();
+      expect(Sudoku.areEquivalent(new Sudoku(p1), grid)).toBeNull();
+
+      // Same number of clues and digit counts, but different cells emptied
+      const a = new Sudoku(grid);
+      const b = new Sudoku(grid);
+      a.setDigit(0, 0);
+      b.setDigit(0, 80);
+      expect(Sudoku.areEquivalent(a, b)).toBeNull();
+    });
+  });
+
+  describe('createScrambler', () => {
+    test('keeps grids valid', () => {
+      const grid = Sudoku.generateConfig();
+      for (let i = 0; i < 20; i++) {
+        const scrambled = new Sudoku(grid);
+        Sudoku.createScrambler()(scrambled);
+        expect(scrambled.isSolved()).toBe(true);
+      }
+    });
+
+    test('can move a cell anywhere', () => {
+      const reached = new Set();
+      for (let i = 0; i < 2000; i++) {
+        const board = new Sudoku();
+        board.setDigit(1, 0);
+        Sudoku.createScrambler()(board);
+        reached.add(board.board.findIndex(d => d > 0));
+      }
+      expect(reached.size).toBe(SPACES);
+    });
+  });
+
+  describe('randomIsomorph', () => {
+    test('returns an equivalent copy and the transform used', () => {
+      const puzzle = new Sudoku(chooseRandom(puzzles));
+      const original = puzzle.toString();
+      const { isomorph, transform } = puzzle.randomIsomorph();
+      expect(puzzle.toString()).toBe(original);
+      expect(transform.preservesValidity).toBe(true);
+      expect(puzzle.transform(transform).toString()).toBe(isomorph.toString());
+      expect(isomorph.solution().toString()).toBe(puzzle.solution().transform(transform).toString());
+    });
+
+    test('keeps constraints in sync', () => {
+      const puzzle = new Sudoku(chooseRandom(puzzles));
+      const { isomorph } = puzzle.randomIsomorph();
+      expect(isomorph.isValid()).toBe(true);
+      expect(isomorph.hasUniqueSolution()).toBe(true);
+
+      const rebuilt = new Sudoku(isomorph.toString());
+      range(SPACES).forEach(ci => {
+        expect(isomorph._cellConstraints(ci)).toBe(rebuilt._cellConstraints(ci));
+      });
+    });
+  });
+
+  describe('automorphisms', () => {
+    // The most symmetric grid
+    const symmetricGrid = new Sudoku('123456789456789123789123456231564897564897231897231564312645978645978312978312645');
+
+    test('maps the board onto itself, starting with the identity', () => {
+      const automorphisms = symmetricGrid.automorphisms();
+      expect(automorphisms.length).toBe(648);
+      expect(symmetricGrid.automorphismCount()).toBe(648);
+      expect(automorphisms[0].isIdentity).toBe(true);
+      automorphisms.forEach(t => expect(symmetricGrid.transform(t).toString()).toBe(symmetricGrid.toString()));
+    });
+
+    test('form a group', () => {
+      const automorphisms = symmetricGrid.automorphisms();
+      const keys = new Set(automorphisms.map(t => JSON.stringify(t)));
+      for (let i = 0; i < 20; i++) {
+        const a = chooseRandom(automorphisms);
+        const b = chooseRandom(automorphisms);
+        expect(keys.has(JSON.stringify(a.then(b)))).toBe(true);
+        expect(keys.has(JSON.stringify(a.inverse()))).toBe(true);
+      }
+    });
+
+    test('most grids only have the identity', () => {
+      const grid = new Sudoku('218574639573896124469123578721459386354681792986237415147962853695318247832745961');
+      const automorphisms = grid.automorphisms();
+      expect(automorphisms.length).toBe(1);
+      expect(automorphisms[0].isIdentity).toBe(true);
+    });
+
+    test('are the same size for equivalent boards', () => {
+      const disguised = Transform.compose(
+        Transform.reflectOverDiagonal(),
+        Transform.swapStacks(0, 2),
+        Transform.swapDigits(1, 5)
+      ).apply(symmetricGrid);
+      expect(disguised.automorphismCount()).toBe(648);
+    });
+
+    test('include relabeling missing digits', () => {
+      const puzzle = new Sudoku(symmetricGrid);
+      range(SPACES).forEach(ci => {
+        if (puzzle.getDigit(ci) >= 8) puzzle.setDigit(0, ci);
+      });
+      const automorphisms = puzzle.automorphisms();
+      expect(automorphisms.length).toBe(puzzle.automorphismCount());
+      expect(automorphisms.some(t => t.digits[8] === 9)).toBe(true);
+      automorphisms.forEach(t => expect(puzzle.transform(t).toString()).toBe(puzzle.toString()));
+    });
+
+    test('throw for the empty board, which every transform maps onto itself', () => {
+      expect(() => new Sudoku().automorphismCount()).toThrow('needs at least one digit');
+      expect(() => new Sudoku().automorphisms()).toThrow('needs at least one digit');
+    });
+
+    test('count the automorphisms of nearly empty boards', () => {
+      // The center cell can be moved to any of the 81 cells.
+      const oneClue = new Sudoku();
+      oneClue.setDigit(5, 40);
+      expect(oneClue.automorphismCount()).toBe(2 * (6 ** 8) / 81 * 40320);
+    });
+  });
+
   describe('fingerprint', () => {
     const gridStr = '218574639573896124469123578721459386354681792986237415147962853695318247832745961';
     const expected_dc2 = '9:9:7:4:2:3::16';
@@ -607,6 +1115,138 @@ describe('Sudoku', () => {
     });
   });
 
+  describe('isMinimal', () => {
+    test('returns false unless the puzzle has a unique solution', () => {
+      expect(new Sudoku().isMinimal()).toBe(false);
+      NO_SOLUTION_PUZZLES.slice(0, 1).forEach(p => {
+        expect(new Sudoku(p).isMinimal()).toBe(false);
+      });
+    });
+
+    test('returns false if a clue can be removed', () => {
+      expect(Sudoku.generateConfig().isMinimal()).toBe(false);
+      expect(Sudoku.generatePuzzle2({ numClues: 40 }).isMinimal()).toBe(false);
+    });
+
+    test('returns true for minimal puzzles', () => {
+      // 17-clue puzzles are always minimal.
+      expect(randomSudoku17().isMinimal()).toBe(true);
+    });
+
+    test('throws if the clues do not have the given symmetry', () => {
+      expect(() => new Sudoku('1' + '.'.repeat(80)).isMinimal({ symmetry: 'rotational180' })).toThrow();
+    });
+  });
+
+  describe('minimize', () => {
+    test('reduces a puzzle to a minimal one with the same solution', () => {
+      const puzzle = Sudoku.generatePuzzle2({ numClues: 40 });
+      const solution = puzzle.solution().toString();
+      const clues = puzzle.mask;
+      expect(puzzle.minimize()).toBe(puzzle);
+      expect(puzzle.isMinimal()).toBe(true);
+      expect(puzzle.solution().toString()).toBe(solution);
+      // Only removes clues
+      expect(puzzle.mask & ~clues).toBe(0n);
+    });
+
+    test('is deterministic', () => {
+      const puzzle = Sudoku.generatePuzzle2({ numClues: 40 });
+      expect(new Sudoku(puzzle).minimize().toString()).toBe(new Sudoku(puzzle).minimize().toString());
+    });
+
+    test('keeps the given symmetry', () => {
+      const puzzle = Sudoku.generateConfig().minimize({ symmetry: 'dihedral' });
+      expect(isSymmetric(puzzle.mask, 'dihedral')).toBe(true);
+      expect(puzzle.isMinimal({ symmetry: 'dihedral' })).toBe(true);
+    });
+
+    test('throws unless the puzzle has a unique solution', () => {
+      expect(() => new Sudoku().minimize()).toThrow();
+    });
+  });
+
+  describe('difficulty', () => {
+    test('returns -1 unless the puzzle has a unique solution', () => {
+      expect(new Sudoku().difficulty()).toBe(-1);
+      NO_SOLUTION_PUZZLES.slice(0, 1).forEach(p => {
+        expect(new Sudoku(p).difficulty()).toBe(-1);
+      });
+    });
+
+    test('returns 0 for solved grids', () => {
+      expect(Sudoku.generateConfig().difficulty()).toBe(0);
+    });
+
+    test('matches the logical solver\'s rating', () => {
+      SINGLE_SOLUTION_PUZZLES.slice(0, 5).forEach(p => {
+        const puzzle = new Sudoku(p);
+        expect(puzzle.difficulty()).toBe(new LogicalSolver().rate(puzzle).rating);
+      });
+    });
+
+    test('rates puzzles needing harder techniques higher', () => {
+      // Needs a forcing chain.
+      const hard = new Sudoku('...6....9.9..18.451.5.........95......28....46...2....8....3......1893..2.....1..');
+      expect(hard.difficulty()).toBe(7.5);
+      // Needs more than the solver knows ("Easter Monster").
+      const extreme = new Sudoku('1.......2.9.4...5...6...7...5.9.3.......7.......85..4.7.....6...3...9.8...2.....1');
+      expect(extreme.difficulty()).toBe(UNSOLVED_RATING);
+    });
+  });
+
+  describe('nextHint', () => {
+    test('returns a single deduction with an explanation', () => {
+      const puzzle = new Sudoku(SINGLE_SOLUTION_PUZZLES[0]);
+      const solution = puzzle.solution();
+      const hint = puzzle.nextHint();
+      expect(hint.placements.length + hint.eliminations.length).toBeGreaterThan(0);
+      hint.placements.forEach(({ cell, digit }) => {
+        expect(solution.getDigit(cell)).toBe(digit);
+      });
+      expect(hint.explanation.length).toBeGreaterThan(0);
+    });
+
+    test('does not modify the board', () => {
+      const puzzle = new Sudoku(SINGLE_SOLUTION_PUZZLES[0]);
+      puzzle.nextHint();
+      expect(puzzle.toString()).toBe(SINGLE_SOLUTION_PUZZLES[0]);
+    });
+
+    test('returns null when the board is full or invalid', () => {
+      expect(Sudoku.generateConfig().nextHint()).toBeNull();
+      NO_SOLUTION_PUZZLES.slice(0, 1).forEach(p => {
+        expect(new Sudoku(p).nextHint()).toBeNull();
+      });
+    });
+
+    test('following hints solves puzzles that need only singles', () => {
+      // Clearing the diagonal regions leaves only naked singles.
+      const config = Sudoku.generateConfig();
+      const puzzle = config.filter(masksFor.all & ~(masksFor.region[0] | masksFor.region[4] | masksFor.region[8]));
+      let hint;
+      while ((hint = puzzle.nextHint()) !== null && hint.placements.length > 0) {
+        hint.placements.forEach(({ cell, digit }) => puzzle.setDigit(digit, cell));
+      }
+      expect(puzzle.toString()).toBe(config.toString());
+    });
+
+    test('moves on once an elimination hint is applied', () => {
+      const puzzle = new Sudoku(puzzles[0]);
+      let hint = puzzle.nextHint();
+      while (hint !== null && hint.placements.length > 0) {
+        hint.placements.forEach(({ cell, digit }) => puzzle.setDigit(digit, cell));
+        hint = puzzle.nextHint();
+      }
+      expect(hint.eliminations.length).toBeGreaterThan(0);
+
+      hint.eliminations.forEach(({ cell, digit }) => expect(puzzle.removeCandidate(digit, cell)).toBe(true));
+      const next = puzzle.nextHint();
+      expect(next).not.toBeNull();
+      expect(next).not.toEqual(hint);
+    });
+  });
+
   describe('shake', () => {
     test('when grid is empty, does nothing', () => {
       const grid = new Sudoku();
@@ -702,4 +1342,440 @@ describe('Sudoku', () => {
       });
     });
   });
+
+  describe('other ranks', () => {
+    const SMALL = '1.3..4.22..3.3..';
+    const SMALL_SOLUTION = '1234341221434321';
+
+    test('supports ranks 2 through 5', () => {
+      expect(RANKS).toEqual([2, 3, 4, 5]);
+      expect(() => new Sudoku([], { rank: 6 })).toThrow('Unsupported rank');
+    });
+
+    test('infers the rank from arrays, and from strings when asked', () => {
+      const small = new Sudoku(SMALL, { rank: 2 });
+      expect(small.rank).toBe(2);
+      expect(small.board.length).toBe(16);
+      expect(small.toString()).toBe(SMALL);
+      expect(new Sudoku(SMALL, { rank: 'auto' }).rank).toBe(2);
+      expect(Sudoku.fromString(SMALL, { rank: 'auto' }).rank).toBe(2);
+      expect(new Sudoku(small.board).rank).toBe(2);
+      expect(new Sudoku(small.board, { rank: 'auto' }).rank).toBe(2);
+      expect(new Sudoku([], { rank: 4 }).board.length).toBe(256);
+      expect(new Sudoku(small).rank).toBe(2);
+    });
+
+    test('reads strings as 9x9 boards unless given a rank', () => {
+      expect(() => new Sudoku(SMALL)).toThrow('expected 81 cells');
+      expect(() => Sudoku.fromString(SMALL)).toThrow('expected 81 cells');
+      expect(() => Sudoku.fromString('1.3', { rank: 'auto' })).toThrow('expected 16, 81, 256, 625 cells');
+    });
+
+    test('validates strings against a rank', () => {
+      expect(Sudoku.validateStr(SMALL)).toBe(false);
+      expect(Sudoku.validateStr(SMALL, { rank: 'auto' })).toBe(true);
+      expect(Sudoku.validateStr(SMALL, { rank: 2 })).toBe(true);
+      expect(Sudoku.validateStr(SMALL, { rank: 3 })).toBe(false);
+      expect(Sudoku.validateStr('1.3..5.22..3.3..', { rank: 'auto' })).toBe(false);
+      expect(() => new Sudoku(SMALL, { rank: 3 })).toThrow();
+    });
+
+    test('writes digits above 9 as letters', () => {
+      const grid = Sudoku.generateConfig(createRng('rank4'), { rank: 4 });
+      const str = grid.toString();
+      expect(str.length).toBe(256);
+      expect(str).toMatch(/^[1-9A-G]+$/);
+      expect(new Sudoku(str, { rank: 4 }).toString()).toBe(str);
+      expect(new Sudoku(str.toLowerCase(), { rank: 'auto' }).toString()).toBe(str);
+    });
+
+    test('solves', () => {
+      const puzzle = new Sudoku(SMALL, { rank: 2 });
+      expect(puzzle.solutionsFlag()).toBe(1);
+      expect(puzzle.solutionCount({ solver: 'dfs' })).toBe(1);
+      expect(puzzle.solutionCount({ solver: 'dlx' })).toBe(1);
+      expect(puzzle.solution().toString()).toBe(SMALL_SOLUTION);
+      expect(new Sudoku('1...............', { rank: 2 }).solutionCount()).toBe(72);
+    });
+
+    RANKS.filter((rank) => rank !== 3).forEach((rank) => {
+      test(`generates rank ${rank} configs`, () => {
+        const rng = createRng(`configs${rank}`);
+        for (let i = 0; i < ((rank < 5) ? 5 : 1); i++) {
+          const grid = Sudoku.generateConfig(rng, { rank });
+          expect(grid.rank).toBe(rank);
+          expect(grid.isSolved()).toBe(true);
+        }
+      });
+    });
+
+    test('generates puzzles', () => {
+      const puzzle = Sudoku.generatePuzzle(6, 1 << 16, createRng('small'), { rank: 2 });
+      expect(puzzle.rank).toBe(2);
+      expect(16 - puzzle.numEmptyCells).toBe(6);
+      expect(puzzle.solutionsFlag()).toBe(1);
+    });
+
+    test('carves puzzles', () => {
+      RANKS.filter((rank) => rank < 5).forEach((rank) => {
+        const rng = createRng(`carve${rank}`);
+        const grid = Sudoku.generateConfig(rng, { rank });
+        const spaces = rank ** 4;
+        const numClues = Math.floor(spaces / 2);
+        const puzzle = Sudoku.generatePuzzle2({ grid, numClues, symmetry: 'rotational180', rng });
+        expect(puzzle.rank).toBe(rank);
+        expect(spaces - puzzle.numEmptyCells).toBe(numClues);
+        expect(isSymmetric(puzzle.mask, 'rotational180', { rank })).toBe(true);
+        expect(puzzle.solutionsFlag()).toBe(1);
+
+        const minimal = Sudoku.generatePuzzle2({ grid, numClues, minimal: true, rng });
+        expect(minimal.isMinimal()).toBe(true);
+
+        const combo = Sudoku.randomComboPuzzle({ solution: grid, numClues: spaces - 2, symmetry: 'horizontal', rng });
+        expect(spaces - combo.numEmptyCells).toBe(spaces - 2);
+        expect(combo.hasUniqueSolution()).toBe(true);
+      });
+    });
+
+    test('checks and minimizes puzzles', () => {
+      const puzzle = new Sudoku(SMALL, { rank: 2 });
+      expect(puzzle.isMinimal()).toBe(false);
+      puzzle.minimize();
+      expect(puzzle.isMinimal()).toBe(true);
+      expect(puzzle.solution().toString()).toBe(SMALL_SOLUTION);
+      expect(symmetryAllows('rotational90', 4, { rank: 2 })).toBe(true);
+      expect(symmetryAllows('rotational90', 6, { rank: 2 })).toBe(false);
+      expect(Sudoku.randomSymmetricMask(4, 'rotational90', createRng('small'), { rank: 2 }).toString(2)).toMatch(/^[01]+$/);
+    });
+
+    test('throws for features that only support 9x9 boards', () => {
+      const small = new Sudoku(SMALL, { rank: 2 });
+      const grid = Sudoku.generateConfig(createRng('rated'), { rank: 2 });
+      expect(() => Sudoku.generatePuzzle2({ grid, numClues: 8, difficulty: 2 })).toThrow('only supports 9x9');
+      expect(() => small.nextHint()).toThrow('only supports 9x9');
+      expect(() => small.difficulty()).toThrow('only supports 9x9');
+      expect(() => small.solutionsFlag({ solver: 'bitboard' })).toThrow('only supports 9x9');
+      expect(() => Transform.identity().apply(small)).toThrow('only supports 9x9');
+    });
+  });
+
+  describe('variants', () => {
+    const [diagonal, antidiagonal] = VARIANTS.x(3);
+    const housesHold = (grid, house) => new Set(house.map((ci) => grid.getDigit(ci))).size === DIGITS;
+
+    test('x adds the two main diagonals', () => {
+      expect(diagonal).toEqual([0, 10, 20, 30, 40, 50, 60, 70, 80]);
+      expect(antidiagonal).toEqual([8, 16, 24, 32, 40, 48, 56, 64, 72]);
+      expect(VARIANTS.x(2)).toEqual([[0, 5, 10, 15], [3, 6, 9, 12]]);
+    });
+
+    test('windoku adds the four windows', () => {
+      const windows = VARIANTS.windoku(3);
+      expect(windows.length).toBe(4);
+      expect(windows[0]).toEqual([10, 11, 12, 19, 20, 21, 28, 29, 30]);
+      expect(windows[3]).toEqual([50, 51, 52, 59, 60, 61, 68, 69, 70]);
+      expect(VARIANTS.windoku(2)).toEqual([[5, 6, 9, 10]]);
+      expect(() => new Sudoku([], { rank: 4, variants: ['windoku'] })).toThrow('Windoku only supports');
+    });
+
+    test('generates and solves windoku alongside x', () => {
+      const rng = createRng('windoku');
+      const windows = VARIANTS.windoku(3);
+      for (const variants of [['windoku'], ['x', 'windoku']]) {
+        const grid = Sudoku.generateConfig(rng, { variants });
+        expect(grid.isSolved()).toBe(true);
+        windows.forEach((window) => expect(housesHold(grid, window)).toBe(true));
+
+        const puzzle = Sudoku.generatePuzzle(24, 1 << 16, rng, { variants });
+        expect(puzzle.solutionsFlag()).toBe(1);
+        expect(puzzle.solutionsFlag({ solver: 'dfs' })).toBe(1);
+        const solution = puzzle.solution();
+        expect(solution.variants).toEqual([...variants].sort());
+        windows.forEach((window) => expect(housesHold(solution, window)).toBe(true));
+      }
+
+      const board = new Sudoku([], { variants: ['windoku'] });
+      board.setDigit(4, 10);
+      board.setDigit(4, 30);
+      expect(board.isValid()).toBe(false);
+    });
+
+    test('throws for unknown variants', () => {
+      expect(() => new Sudoku([], { variants: ['y'] })).toThrow('Unknown variant');
+    });
+
+    test('keeps the variants when copying and filtering', () => {
+      const grid = Sudoku.generateConfig(createRng('keep'), { variants: ['x'] });
+      expect(grid.variants).toEqual(['x']);
+      expect(new Sudoku(grid).variants).toEqual(['x']);
+      expect(grid.filter(0n).variants).toEqual(['x']);
+      expect(new Sudoku(grid.toString(), { variants: ['x'] }).variants).toEqual(['x']);
+      expect(new Sudoku(grid.toString()).variants).toEqual([]);
+    });
+
+    test('digits clash on a diagonal', () => {
+      const board = new Sudoku([], { variants: ['x'] });
+      board.setDigit(5, 0);
+      board.setDigit(5, 80);
+      expect(board.isValid()).toBe(false);
+      expect(board.cellValidityMap[0]).toBe(1);
+      expect(board.cellValidityMap[80]).toBe(1);
+      expect(board.solutionsFlag()).toBe(0);
+
+      board.setDigit(0, 80);
+      expect(board.isValid()).toBe(true);
+    });
+
+    test('generates configs with valid diagonals', () => {
+      const rng = createRng('x');
+      for (let i = 0; i < 10; i++) {
+        const grid = Sudoku.generateConfig(rng, { variants: ['x'] });
+        expect(grid.isSolved()).toBe(true);
+        expect(housesHold(grid, diagonal)).toBe(true);
+        expect(housesHold(grid, antidiagonal)).toBe(true);
+      }
+    });
+
+    test('solves and generates puzzles with the diagonals', () => {
+      const puzzle = Sudoku.generatePuzzle(24, 1 << 16, createRng('x puzzle'), { variants: ['x'] });
+      expect(puzzle.variants).toEqual(['x']);
+      expect(81 - puzzle.numEmptyCells).toBe(24);
+      expect(puzzle.solutionsFlag()).toBe(1);
+      expect(puzzle.solutionsFlag({ solver: 'dfs' })).toBe(1);
+      expect(puzzle.solutionCount({ solver: 'dlx' })).toBe(1);
+
+      const solution = puzzle.solution();
+      expect(solution.variants).toEqual(['x']);
+      expect(housesHold(solution, diagonal)).toBe(true);
+      expect(housesHold(solution, antidiagonal)).toBe(true);
+
+      // Without the diagonals, the clues aren't enough.
+      expect(new Sudoku(puzzle.toString()).solutionsFlag()).toBe(2);
+    });
+
+    test('rates, hints, and generates rated puzzles using the extra houses', () => {
+      const rng = createRng('rated variants');
+      for (const variants of [['x'], ['windoku']]) {
+        const grid = Sudoku.generateConfig(rng, { variants });
+        const { puzzle, rating } = Sudoku.generateRatedPuzzle({ grid, numClues: 28, difficulty: 'easy', rng });
+        expect(puzzle.variants).toEqual(variants);
+        expect(bandOf(rating)).toBe('easy');
+        expect(puzzle.difficulty()).toBe(rating);
+        expect(puzzle.isMinimal()).toBe(false);
+
+        // Easy puzzles need only singles, which then fill in the grid.
+        let hint;
+        while ((hint = puzzle.nextHint()) !== null) {
+          expect(typeof hint.explanation).toBe('string');
+          hint.placements.forEach(({ cell, digit }) => puzzle.setDigit(digit, cell));
+        }
+        expect(puzzle.toString()).toBe(grid.toString());
+      }
+    });
+
+    test('throws for features that only support standard boards', () => {
+      const grid = Sudoku.generateConfig(createRng('standard'), { variants: ['x'] });
+      expect(() => grid.solutionsFlag({ solver: 'bitboard' })).toThrow("doesn't support variants");
+      expect(() => grid.canonicalize()).toThrow("doesn't support variants");
+    });
+  });
+
+  describe('pair variants', () => {
+    const pairsHold = (grid, name) => PAIR_VARIANTS[name].pairs(3).every(([a, b]) => (
+      !PAIR_VARIANTS[name].forbids(grid.getDigit(a)).includes(grid.getDigit(b))
+    ));
+
+    test('pair up cells by chess moves and orthogonal neighbors', () => {
+      const partnersOf = (name, ci) => PAIR_VARIANTS[name].pairs(3)
+        .filter((pair) => pair.includes(ci))
+        .map(([a, b]) => (a === ci ? b : a))
+        .sort((a, b) => a - b);
+      expect(partnersOf('antiknight', 0)).toEqual([11, 19]);
+      expect(partnersOf('antiknight', 40).length).toBe(8);
+      expect(partnersOf('antiking', 0)).toEqual([1, 9, 10]);
+      expect(partnersOf('nonconsecutive', 10)).toEqual([1, 9, 11, 19]);
+      expect(PAIR_VARIANTS.nonconsecutive.forbids(4)).toEqual([3, 5]);
+    });
+
+    test('digits clash across pairs', () => {
+      const board = new Sudoku([], { variants: ['antiknight'] });
+      board.setDigit(5, 40);
+      board.setDigit(5, 59);
+      expect(board.isValid()).toBe(false);
+      expect(board.cellValidityMap[40]).toBe(1);
+      expect(board.cellValidityMap[59]).toBe(1);
+      expect(board.solutionsFlag()).toBe(0);
+      board.setDigit(0, 59);
+      expect(board.isValid()).toBe(true);
+
+      const nonconsecutive = new Sudoku([], { variants: ['nonconsecutive'] });
+      nonconsecutive.setDigit(3, 0);
+      nonconsecutive.setDigit(5, 1);
+      expect(nonconsecutive.isValid()).toBe(true);
+      nonconsecutive.setDigit(4, 9);
+      expect(nonconsecutive.isValid()).toBe(false);
+    });
+
+    test('solves again once a clashing digit is put back', () => {
+      const grid = Sudoku.generateConfig(createRng('pair clash'), { variants: ['antiknight'] });
+      const original = grid.getDigit(11);
+      // r3c5 is a knight's move from r2c3.
+      grid.setDigit(grid.getDigit(22), 11);
+      expect(grid.cellValidityMap[11]).toBeGreaterThan(0);
+      expect(grid.isSolved()).toBe(false);
+      grid.setDigit(original, 11);
+      expect(grid.cellValidityMap[11]).toBe(0);
+      expect(grid.isSolved()).toBe(true);
+    });
+
+    test('reduce candidates of paired cells', () => {
+      const board = new Sudoku([], { variants: ['nonconsecutive'] });
+      board.setDigit(5, 40);
+      board._reduce();
+      expect(board.getCandidates(31)).toEqual([1, 2, 3, 7, 8, 9]);
+      expect(board.getCandidates(30)).toEqual([1, 2, 3, 4, 6, 7, 8, 9]);
+    });
+
+    test('generates configs that keep the rules', () => {
+      const rng = createRng('pairs');
+      Object.keys(PAIR_VARIANTS).forEach((name) => {
+        const grid = Sudoku.generateConfig(rng, { variants: [name] });
+        expect(grid.isSolved()).toBe(true);
+        expect(grid.variants).toEqual([name]);
+        expect(pairsHold(grid, name)).toBe(true);
+      });
+    });
+
+    test('generates unique puzzles with few clues', () => {
+      const rng = createRng('pair puzzles');
+      [['antiknight', 20], ['nonconsecutive', 12]].forEach(([name, numClues]) => {
+        const grid = Sudoku.generateConfig(rng, { variants: [name] });
+        const puzzle = Sudoku.generatePuzzle2({ grid, numClues, rng });
+        expect(81 - puzzle.numEmptyCells).toBe(numClues);
+        expect(puzzle.variants).toEqual([name]);
+        expect(puzzle.solutionsFlag()).toBe(1);
+        expect(puzzle.solution().toString()).toBe(grid.toString());
+        // Without the pairs, the clues aren't nearly enough.
+        expect(new Sudoku(puzzle.toString()).solutionsFlag()).toBeGreaterThan(1);
+      });
+
+      const puzzle = Sudoku.generatePuzzle(24, 1 << 16, rng, { variants: ['antiking'] });
+      expect(puzzle.solutionsFlag()).toBe(1);
+      expect(pairsHold(puzzle.solution(), 'antiking')).toBe(true);
+    });
+
+    test('throws for solvers and features that can\'t handle pairs', () => {
+      const grid = Sudoku.generateConfig(createRng('pair solvers'), { variants: ['antiking'] });
+      expect(() => grid.solutionsFlag({ solver: 'dlx' })).toThrow("doesn't support pair variants");
+      expect(() => grid.solutionsFlag({ solver: 'bitboard' })).toThrow("doesn't support variants");
+      expect(() => grid.difficulty()).toThrow("doesn't support variants");
+      expect(() => Sudoku.generatePuzzle2({ grid, numClues: 20, difficulty: 'easy' })).toThrow("doesn't support variants");
+    });
+  });
+
+  describe('jigsaw', () => {
+    const regions = Sudoku.generateRegions(createRng('jigsaw'));
+    const regionsHold = (grid) => range(DIGITS).every((region) => new Set(
+      range(SPACES).filter((ci) => grid.regions[ci] === `${region + 1}`).map((ci) => grid.getDigit(ci))
+    ).size === DIGITS);
+
+    test('validates region layouts', () => {
+      const boxes = new Sudoku().regions;
+      expect(boxes).toBe(range(SPACES).map((ci) => cellRegion(ci) + 1).join(''));
+      expect(Sudoku.validateRegions(boxes)).toBe(true);
+      expect(Sudoku.validateRegions(regions)).toBe(true);
+      // Any labels will do.
+      expect(Sudoku.validateRegions(boxes.replace(/\d/g, (d) => 'abcdefghi'[d - 1]))).toBe(true);
+
+      expect(Sudoku.validateRegions(boxes.slice(1))).toBe(false);
+      // Eight regions
+      expect(Sudoku.validateRegions(boxes.replace(/9/g, '8'))).toBe(false);
+      // A region of 10 cells and one of 8
+      expect(Sudoku.validateRegions('2' + boxes.slice(1))).toBe(false);
+      // The first and last cells of the top row trade places, splitting both regions.
+      expect(Sudoku.validateRegions('3' + boxes.slice(1, 8) + '1' + boxes.slice(9))).toBe(false);
+      expect(() => new Sudoku([], { regions: boxes.replace(/9/g, '8') })).toThrow('expected 9 regions');
+    });
+
+    test('numbers regions in the order they first appear', () => {
+      const board = new Sudoku([], { regions: regions.replace(/\d/g, (d) => 'abcdefghi'[d - 1]) });
+      expect(board.regions).toBe(regions);
+      expect(board.layout).toEqual({ rank: 3, variants: [], regions });
+      expect(new Sudoku().layout.regions).toBeNull();
+    });
+
+    test('generates layouts', () => {
+      const rng = createRng('layouts');
+      for (let i = 0; i < 3; i++) {
+        const layout = Sudoku.generateRegions(rng);
+        expect(Sudoku.validateRegions(layout)).toBe(true);
+        expect(Sudoku.generateConfig(rng, { regions: layout }).isSolved()).toBe(true);
+      }
+      expect(Sudoku.generateRegions(createRng('same'))).toBe(Sudoku.generateRegions(createRng('same')));
+      expect(regions).not.toBe(new Sudoku().regions);
+    });
+
+    test('digits clash within a region', () => {
+      // Two cells of a region that share no row, column, or box
+      const a = range(SPACES).find((ci) => regions[ci] !== `${cellRegion(ci) + 1}`);
+      const b = range(SPACES).find((ci) => (
+        regions[ci] === regions[a] && cellRegion(ci) !== cellRegion(a) &&
+        ((ci / DIGITS) | 0) !== ((a / DIGITS) | 0) && (ci % DIGITS) !== (a % DIGITS)
+      ));
+      const boxes = new Sudoku();
+      boxes.setDigit(4, a);
+      boxes.setDigit(4, b);
+      expect(boxes.isValid()).toBe(true);
+
+      const board = new Sudoku([], { regions });
+      board.setDigit(4, a);
+      board.setDigit(4, b);
+      expect(board.isValid()).toBe(false);
+    });
+
+    test('generates configs and puzzles with the regions', () => {
+      const grid = Sudoku.generateConfig(createRng('jigsaw config'), { regions });
+      expect(grid.isSolved()).toBe(true);
+      expect(grid.regions).toBe(regions);
+      expect(regionsHold(grid)).toBe(true);
+
+      const puzzle = Sudoku.generatePuzzle(28, 1 << 16, createRng('jigsaw puzzle'), { regions });
+      expect(puzzle.regions).toBe(regions);
+      expect(81 - puzzle.numEmptyCells).toBe(28);
+      expect(puzzle.solutionsFlag()).toBe(1);
+      expect(puzzle.solutionsFlag({ solver: 'dfs' })).toBe(1);
+      expect(regionsHold(puzzle.solution())).toBe(true);
+    });
+
+    test('rates puzzles with the regions', () => {
+      const puzzle = Sudoku.generatePuzzle(30, 1 << 16, createRng('jigsaw rating'), { regions });
+      expect(puzzle.difficulty()).toBeGreaterThan(0);
+
+      const { solved, sudoku } = new LogicalSolver().solve(puzzle);
+      expect(solved).toBe(true);
+      expect(sudoku.regions).toBe(regions);
+      expect(sudoku.toString()).toBe(puzzle.solution().toString());
+      expect(puzzle.nextHint()).not.toBeNull();
+    });
+
+    test('generates rated and minimal puzzles with the regions', () => {
+      const rng = createRng('jigsaw rated');
+      const grid = Sudoku.generateConfig(rng, { regions });
+      const { puzzle, rating } = Sudoku.generateRatedPuzzle({ grid, numClues: 30, difficulty: 'easy', rng });
+      expect(puzzle.regions).toBe(regions);
+      expect(bandOf(rating)).toBe('easy');
+      expect(puzzle.difficulty()).toBe(rating);
+
+      const minimal = Sudoku.generatePuzzle2({ grid, numClues: 30, minimal: true, rng });
+      expect(minimal.regions).toBe(regions);
+      expect(minimal.isMinimal()).toBe(true);
+      expect(new Sudoku(grid).filter(puzzle.mask).minimize().isMinimal()).toBe(true);
+    });
+
+    test('throws for features that only support boxes', () => {
+      const grid = Sudoku.generateConfig(createRng('boxes'), { regions });
+      expect(() => grid.canonicalize()).toThrow("doesn't support jigsaw regions");
+      expect(() => grid.solutionsFlag({ solver: 'bitboard' })).toThrow("doesn't support jigsaw regions");
+    });
+  });
 });
@@ -0,0 +1,197 @@
+import { Sudoku, Transform, cellMask, createRng } from '../../index.js';
+
+const GRID = '218574639573896124469123578721459386354681792986237415147962853695318247832745961';
+const PUZZLE = '1.......2.9.4...5...6...7...5.9.3.......7.......85..4.7.....6...3...9.8...2.....1';
+
+/** Applies one of Sudoku's in-place operations to a copy. */
+const inPlace = (sudoku, operation) => {
+  const copy = new Sudoku(sudoku);
+  operation(copy);
+  return copy;
+};
+
+describe('Transform', () => {
+  const grid = new Sudoku(GRID);
+  const puzzle = new Sudoku(PUZZLE);
+
+  describe('constructor', () => {
+    test('defaults to the identity', () => {
+      const t = new Transform();
+      expect(t.isIdentity).toBe(true);
+      expect(t.apply(grid).toString()).toBe(GRID);
+    });
+
+    test('throws for parts that are not permutations', () => {
+      expect(() => new Transform({ rows: [0, 1, 2] })).toThrow();
+      expect(() => new Transform({ cols: [0, 0, 2, 3, 4, 5, 6, 7, 8] })).toThrow();
+      expect(() => new Transform({ digits: [1, 0, 2, 3, 4, 5, 6, 7, 8, 9] })).toThrow();
+    });
+  });
+
+  describe('factories', () => {
+    test('match the in-place operations', () => {
+      [
+        [Transform.swapBands(0, 2), s => s.swapBands(0, 2)],
+        [Transform.swapStacks(1, 2), s => s.swapStacks(1, 2)],
+        [Transform.swapRows(3, 5), s => s.swapRows(3, 5)],
+        [Transform.swapColumns(0, 1), s => s.swapColumns(0, 1)],
+        [Transform.swapDigits(2, 7), s => s.swapDigits(2, 7)],
+        [Transform.reflectOverHorizontal(), s => s.reflectOverHorizontal()],
+        [Transform.reflectOverVertical(), s => s.reflectOverVertical()],
+        [Transform.reflectOverDiagonal(), s => s.reflectOverDiagonal()],
+        [Transform.reflectOverAntidiagonal(), s => s.reflectOverAntidiagonal()],
+        [Transform.rotate90(), s => s.rotate90()],
+      ].forEach(([t, operation]) => {
+        expect(t.apply(grid).toString()).toBe(inPlace(grid, operation).toString());
+        expect(t.apply(puzzle).toString()).toBe(inPlace(puzzle, operation).toString());
+      });
+    });
+
+    test('relabel gives each digit its new label', () => {
+      const t = Transform.relabel([9, 8, 7, 6, 5, 4, 3, 2, 1]);
+      expect(t.apply(grid).board).toEqual(grid.board.map(d => 10 - d));
+    });
+  });
+
+  describe('then', () => {
+    test('applies this transform, then the other', () => {
+      const parts = [
+        Transform.rotate90(),
+        Transform.swapBands(0, 1),
+        Transform.swapDigits(1, 5),
+        Transform.reflectOverDiagonal(),
+        Transform.swapColumns(3, 4)
+      ];
+      const expected = parts.reduce((board, t) => t.apply(board), puzzle);
+      expect(Transform.compose(...parts).apply(puzzle).toString()).toBe(expected.toString());
+      expect(parts[0].then(parts[1]).apply(puzzle).toString())
+        .toBe(parts[1].apply(parts[0].apply(puzzle)).toString());
+    });
+
+    test('four quarter turns change nothing', () => {
+      const r = Transform.rotate90();
+      expect(Transform.compose(r, r, r, r).isIdentity).toBe(true);
+      expect(Transform.compose(r, r).isIdentity).toBe(false);
+    });
+  });
+
+  describe('inverse', () => {
+    test('undoes the transform', () => {
+      const t = Transform.compose(
+        Transform.rotate90(),
+        Transform.swapStacks(0, 2),
+        Transform.swapRows(6, 8),
+        Transform.relabel([3, 1, 2, 6, 4, 5, 9, 7, 8])
+      );
+      expect(t.inverse().apply(t.apply(grid)).toString()).toBe(GRID);
+      expect(t.then(t.inverse()).isIdentity).toBe(true);
+      expect(t.inverse().then(t).isIdentity).toBe(true);
+    });
+  });
+
+  describe('toJSON', () => {
+    test('can be restored with fromJSON', () => {
+      const t = Transform.compose(Transform.reflectOverDiagonal(), Transform.swapDigits(4, 9));
+      const json = JSON.stringify(t);
+      expect(JSON.parse(json)).toEqual({
+        transpose: true,
+        rows: [8, 7, 6, 5, 4, 3, 2, 1, 0],
+        cols: [8, 7, 6, 5, 4, 3, 2, 1, 0],
+        digits: [0, 1, 2, 3, 9, 5, 6, 7, 8, 4]
+      });
+      expect(Transform.fromJSON(json).equals(t)).toBe(true);
+      expect(Transform.fromJSON(JSON.parse(json)).equals(t)).toBe(true);
+    });
+  });
+
+  describe('apply', () => {
+    const t = Transform.compose(
+      Transform.rotate90(),
+      Transform.swapBands(1, 2),
+      Transform.relabel([2, 3, 4, 5, 6, 7, 8, 9, 1])
+    );
+
+    test('does not change the original', () => {
+      t.apply(grid);
+      expect(grid.toString()).toBe(GRID);
+    });
+
+    test('keeps constraints in sync', () => {
+      const result = t.apply(puzzle);
+      expect(result.isValid()).toBe(true);
+      expect(result.solutionsFlag()).toBe(1);
+      expect(result.solution().toString()).toBe(t.apply(puzzle.solution()).toString());
+
+      const rebuilt = new Sudoku(result.toString());
+      for (let ci = 0; ci < 81; ci++) {
+        expect(result._cellConstraints(ci)).toBe(rebuilt._cellConstraints(ci));
+      }
+    });
+
+    test('moves and relabels candidates', () => {
+      const reduced = new Sudoku(puzzle);
+      reduced._reduce();
+      const result = t.apply(reduced);
+      for (let ci = 0; ci < 81; ci++) {
+        if (result.getDigit(ci)) continue;
+        const source = t._sources[ci];
+        expect(result.getCandidates(ci)).toEqual(
+          reduced.getCandidates(source).map(d => t.digits[d]).sort()
+        );
+      }
+    });
+  });
+
+  describe('applyToMask', () => {
+    test('moves cells like apply', () => {
+      const t = Transform.compose(Transform.reflectOverDiagonal(), Transform.swapColumns(0, 2));
+      const mask = puzzle.mask;
+      expect(t.applyToMask(mask)).toBe(t.apply(puzzle).mask);
+      expect(t.apply(grid.filter(mask)).toString()).toBe(t.apply(grid).filter(t.applyToMask(mask)).toString());
+      expect(Transform.swapRows(0, 8).applyToMask(cellMask(0))).toBe(cellMask(72));
+    });
+  });
+
+  describe('preservesValidity', () => {
+    test('is true when rows and columns stay in their bands and stacks', () => {
+      expect(Transform.rotate90().then(Transform.swapBands(0, 2)).preservesValidity).toBe(true);
+      expect(Transform.swapRows(2, 3).preservesValidity).toBe(false);
+      expect(Transform.swapColumns(0, 8).preservesValidity).toBe(false);
+    });
+  });
+
+  describe('random', () => {
+    test('preserves validity', () => {
+      for (let i = 0; i < 20; i++) {
+        const t = Transform.random();
+        expect(t.preservesValidity).toBe(true);
+        expect(t.apply(grid).isSolved()).toBe(true);
+      }
+    });
+
+    test('depends only on the random numbers', () => {
+      expect(Transform.random(createRng('a')).equals(Transform.random(createRng('a')))).toBe(true);
+      expect(Transform.random(createRng('a')).equals(Transform.random(createRng('b')))).toBe(false);
+    });
+
+    test('can move a cell anywhere, and transposes half the time', () => {
+      const rng = createRng('spread');
+      const reached = new Set();
+      let transposed = 0;
+      for (let i = 0; i < 2000; i++) {
+        const t = Transform.random(rng);
+        reached.add(t.applyToMask(cellMask(0)));
+        if (t.transpose) transposed++;
+      }
+      expect(reached.size).toBe(81);
+      expect(transposed).toBeGreaterThan(900);
+      expect(transposed).toBeLessThan(1100);
+    });
+  });
+
+  test('canonicalize returns a Transform', () => {
+    const { canonical, transform } = puzzle.canonicalize();
+    expect(transform).toBeInstanceOf(Transform);
+    expect(puzzle.transform(transform).toString()).toBe(canonical.toString());
+  });
+});
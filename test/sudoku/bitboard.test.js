@@ -0,0 +1,52 @@
+import { countSolutions } from '../../src/sudoku/bitboard.js';
+import Sudoku from '../../src/sudoku/Sudoku.js';
+
+const digitsOf = (str) => new Sudoku(str).board;
+
+const GRID = '218574639573896124469123578721459386354681792986237415147962853695318247832745961';
+const UNIQUE = '1.......2.9.4...5...6...7...5.9.3.......7.......85..4.7.....6...3...9.8...2.....1';
+const MULTI = [
+  { puzzleStr: '..3.....9.7....65...9.71.345.1..78..9.43.2......54.......9..3............4.1.....', numSolutions: 322 },
+  { puzzleStr: '.2.......9.6.175..........34.....961.....5....7.9.4.......42...237.8...5....3..2.', numSolutions: 243 },
+];
+
+describe('countSolutions', () => {
+  test('returns 1 for full grids', () => {
+    expect(countSolutions(digitsOf(GRID))).toBe(1);
+  });
+
+  test('returns 1 for unique puzzles', () => {
+    expect(countSolutions(digitsOf(UNIQUE))).toBe(1);
+    expect(countSolutions(digitsOf(UNIQUE), 2)).toBe(1);
+  });
+
+  test('counts every solution', () => {
+    MULTI.forEach(({ puzzleStr, numSolutions }) => {
+      expect(countSolutions(digitsOf(puzzleStr))).toBe(numSolutions);
+    });
+  });
+
+  test('stops at the limit', () => {
+    MULTI.forEach(({ puzzleStr }) => {
+      expect(countSolutions(digitsOf(puzzleStr), 2)).toBe(2);
+      expect(countSolutions(digitsOf(puzzleStr), 0)).toBe(0);
+    });
+    expect(countSolutions(Array(81).fill(0), 100)).toBe(100);
+  });
+
+  test('returns 0 when clues conflict', () => {
+    const digits = digitsOf(UNIQUE);
+    digits[1] = 1;
+    expect(countSolutions(digits)).toBe(0);
+  });
+
+  test('returns 0 when a cell has no candidates', () => {
+    // The first cell sees every digit but 9, which is also in its region
+    const digits = digitsOf('.12345678' + '.'.repeat(9) + '9' + '.'.repeat(62));
+    expect(countSolutions(digits)).toBe(0);
+  });
+
+  test('accepts typed arrays', () => {
+    expect(countSolutions(Uint8Array.from(digitsOf(UNIQUE)))).toBe(1);
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  Sudoku,
+  parseSdk, toSdk,
+  parseSdm, toSdm,
+  parseSs, toSs,
+  parsePencilmarks, toPencilmarks
+} from '../../index.js';
+
+const PUZZLE = '..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..';
+const OTHER = '4.....8.5.3..........7......2.....6.....8.4......1.......6.3.7.5..2.....1.4......';
+
+describe('formats', () => {
+  const puzzle = new Sudoku(PUZZLE);
+
+  describe('sdk', () => {
+    test('reads headers and rows', () => {
+      const { puzzle: read, headers } = parseSdk([
+        '#AJane Doe',
+        '#DA classic',
+        '[Puzzle]',
+        '..3.2.6..', '9..3.5..1', '..18.64..',
+        '..81.29..', '7.......8', '..67.82..',
+        '..26.95..', '8..2.3..9', '..5.1.3..',
+        '[State]',
+        '483921657'
+      ].join('\r\n'));
+      expect(read.toString()).toBe(PUZZLE);
+      expect(headers).toEqual({ A: 'Jane Doe', D: 'A classic' });
+    });
+
+    test('writes headers and rows', () => {
+      const text = toSdk(puzzle, { A: 'Jane Doe' });
+      expect(text.split('\n').slice(0, 3)).toEqual(['#AJane Doe', '..3.2.6..', '9..3.5..1']);
+      expect(parseSdk(text)).toEqual({ puzzle: expect.any(Sudoku), headers: { A: 'Jane Doe' } });
+      expect(parseSdk(text).puzzle.toString()).toBe(PUZZLE);
+      expect(() => toSdk(puzzle, { AB: 'x' })).toThrow('Invalid sdk header AB');
+    });
+  });
+
+  describe('sdm', () => {
+    test('reads one puzzle per line', () => {
+      const text = `${PUZZLE.replace(/\./g, '0')}\n\n${OTHER} #2\n`;
+      expect(parseSdm(text).map((p) => p.toString())).toEqual([PUZZLE, OTHER]);
+      expect(() => parseSdm(`${PUZZLE}\n123`)).toThrow('Invalid sdm line 2: expected 81 cells, got 3');
+    });
+
+    test('writes one puzzle per line', () => {
+      const text = toSdm([puzzle, new Sudoku(OTHER)]);
+      expect(text).toBe(`${PUZZLE.replace(/\./g, '0')}\n${OTHER.replace(/\./g, '0')}\n`);
+      expect(parseSdm(text).map((p) => p.toString())).toEqual([PUZZLE, OTHER]);
+    });
+  });
+
+  describe('ss', () => {
+    test('writes boxes and bands', () => {
+      const lines = toSs(puzzle).split('\n');
+      expect(lines.slice(0, 5)).toEqual(['..3|.2.|6..', '9..|3.5|..1', '..1|8.6|4..', '-----------', '..8|1.2|9..']);
+      expect(lines.length).toBe(12);
+    });
+
+    test('reads the boxed layout Simple Sudoku saves', () => {
+      const text = [
+        '*-----------*',
+        '|..3|.2.|6..|', '|9..|3.5|..1|', '|..1|8.6|4..|',
+        '|---+---+---|',
+        '|..8|1.2|9..|', '|7..|...|..8|', '|..6|7.8|2..|',
+        '|---+---+---|',
+        '|..2|6.9|5..|', '|8..|2.3|..9|', '|..5|.1.|3..|',
+        '*-----------*'
+      ].join('\r\n');
+      expect(parseSs(text).toString()).toBe(PUZZLE);
+    });
+
+    test('reads its own output', () => {
+      expect(parseSs(toSs(puzzle)).toString()).toBe(PUZZLE);
+      expect(parseSs(toSs(new Sudoku(OTHER)).replace(/\n/g, '\r\n')).toString()).toBe(OTHER);
+    });
+  });
+
+  describe('pencilmarks', () => {
+    const grid = toPencilmarks(puzzle);
+
+    test('write candidates not seen by placed digits', () => {
+      const lines = grid.split('\n');
+      expect(lines[0]).toMatch(/^\.-+\.-+\.-+\.$/);
+      expect(lines[1].split(/[|\s]+/).filter(Boolean).slice(0, 3)).toEqual(['45', '4578', '3']);
+      expect(lines[4]).toMatch(/^:-+\+-+\+-+:$/);
+      expect(lines[12]).toMatch(/^'-+'-+'-+'$/);
+      expect(new Set(lines.slice(0, 13).map((line) => line.length)).size).toBe(1);
+    });
+
+    test('read candidates and placed digits', () => {
+      const read = parsePencilmarks(grid);
+      expect(read.isValid()).toBe(true);
+      expect(read.getCandidates(0)).toEqual([4, 5]);
+      expect(read.getCandidates(1)).toEqual([4, 5, 7, 8]);
+      expect(read.getDigit(2)).toBe(3);
+      // r5c6 has a single candidate, which reads as placed.
+      expect(read.getDigit(41)).toBe(4);
+
+      const cells = grid.split('\n').filter((line) => /\d/.test(line)).flatMap((line) => line.split(/[|\s]+/)).filter(Boolean);
+      expect(cells.map((_, ci) => read.getCandidates(ci).join(''))).toEqual(cells);
+    });
+
+    test('draw SudokuWiki grids', () => {
+      const wiki = toPencilmarks(puzzle, { style: 'sudokuwiki' });
+      const lines = wiki.split('\n');
+      expect(lines[0]).toMatch(/^\*-+\*$/);
+      expect(lines[4]).toMatch(/^\|-+\+-+\+-+\|$/);
+      expect(parsePencilmarks(wiki).toString()).toBe(parsePencilmarks(grid).toString());
+      expect(() => toPencilmarks(puzzle, { style: 'nope' })).toThrow('Unknown pencilmark style nope');
+    });
+
+    test('throw for malformed grids', () => {
+      expect(() => parsePencilmarks('| 1 2 3 |')).toThrow('expected 81 cells, got 3');
+      expect(() => parsePencilmarks(grid.replace('4578', '45x8'))).toThrow("cell 45x8 isn't a list of digits");
+    });
+  });
+
+  test('writers only support 9x9 boards', () => {
+    const small = new Sudoku([], { rank: 2 });
+    expect(() => toSdk(small)).toThrow('only supports 9x9');
+    expect(() => toSdm([small])).toThrow('only supports 9x9');
+    expect(() => toSs(small)).toThrow('only supports 9x9');
+    expect(() => toPencilmarks(small)).toThrow('only supports 9x9');
+  });
+});
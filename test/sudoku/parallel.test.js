@@ -0,0 +1,145 @@
+import { Sudoku, TASKS, generateInParallel, runJob } from '../../index.js';
+
+/**
+ * Runs jobs on the main thread, one at a time per "worker", answering asynchronously
+ * like a real worker would.
+ */
+const createInlineWorker = (started = []) => async (onMessage, onError) => {
+  const handle = {
+    jobs: 0,
+    terminated: false,
+    post: (job) => {
+      handle.jobs++;
+      setTimeout(() => {
+        if (handle.terminated) return;
+        try {
+          onMessage(runJob(job));
+        } catch (error) {
+          onError(error);
+        }
+      }, 0);
+    },
+    terminate: () => { handle.terminated = true; }
+  };
+  started.push(handle);
+  return handle;
+};
+
+const collect = async (iterator) => {
+  const results = [];
+  for await (const result of iterator) results.push(result);
+  return results;
+};
+
+describe('runJob', () => {
+  test('generates configs', () => {
+    const { index, grid } = runJob({ index: 3, task: 'config' });
+    expect(index).toBe(3);
+    expect(new Sudoku(grid).isSolved()).toBe(true);
+  });
+
+  test('generates puzzles', () => {
+    const result = runJob({ index: 0, task: 'puzzle', options: { numClues: 28, symmetry: 'rotational180' } });
+    const puzzle = new Sudoku(result.puzzle);
+    expect(81 - puzzle.numEmptyCells).toBe(28);
+    expect(puzzle.hasUniqueSolution()).toBe(true);
+    expect(puzzle.solution().toString()).toBe(result.grid);
+    expect(result.rating).toBeGreaterThan(0);
+  });
+
+  test('uses the given grid', () => {
+    const grid = Sudoku.generateConfig().toString();
+    const result = runJob({ index: 0, task: 'puzzle', options: { grid, numClues: 30 } });
+    expect(result.grid).toBe(grid);
+    expect(new Sudoku(result.puzzle).solution().toString()).toBe(grid);
+  });
+
+  test('depends only on the seed and index', () => {
+    const job = { index: 5, task: 'puzzle', options: { numClues: 30 }, seed: 'abc' };
+    expect(runJob(job).puzzle).toBe(runJob(job).puzzle);
+    expect(runJob({ ...job, index: 6 }).puzzle).not.toBe(runJob(job).puzzle);
+  });
+
+  test('throws for unknown tasks', () => {
+    expect(() => runJob({ index: 0, task: 'sieve' })).toThrow();
+  });
+});
+
+describe('generateInParallel', () => {
+  test('yields every item once', async () => {
+    const started = [];
+    const results = await collect(generateInParallel({
+      task: 'config',
+      amount: 7,
+      workers: 3,
+      createWorker: createInlineWorker(started)
+    }));
+
+    expect(results.map(r => r.index).sort()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    results.forEach(({ grid, puzzle }) => {
+      expect(grid.isSolved()).toBe(true);
+      expect(puzzle).toBeNull();
+    });
+    expect(started.length).toBe(3);
+    expect(started.reduce((sum, handle) => sum + handle.jobs, 0)).toBe(7);
+    expect(started.every(handle => handle.terminated)).toBe(true);
+  });
+
+  test('does not start more workers than items', async () => {
+    const started = [];
+    await collect(generateInParallel({
+      task: 'config',
+      amount: 2,
+      workers: 4,
+      createWorker: createInlineWorker(started)
+    }));
+    expect(started.length).toBe(2);
+  });
+
+  test('yields puzzles as Sudoku boards', async () => {
+    const results = await collect(generateInParallel({
+      amount: 2,
+      workers: 2,
+      options: { numClues: 30 },
+      seed: 'parallel',
+      createWorker: createInlineWorker()
+    }));
+    results.forEach(({ index, grid, puzzle }) => {
+      expect(puzzle).toBeInstanceOf(Sudoku);
+      expect(puzzle.hasUniqueSolution()).toBe(true);
+      expect(puzzle.solution().toString()).toBe(grid.toString());
+      expect(puzzle.toString()).toBe(runJob({ index, task: 'puzzle', options: { numClues: 30 }, seed: 'parallel' }).puzzle);
+    });
+  });
+
+  test('stops the workers when the loop is exited early', async () => {
+    const started = [];
+    for await (const result of generateInParallel({
+      task: 'config',
+      amount: 10,
+      workers: 2,
+      createWorker: createInlineWorker(started)
+    })) {
+      expect(result.grid.isSolved()).toBe(true);
+      break;
+    }
+    expect(started.every(handle => handle.terminated)).toBe(true);
+  });
+
+  test('throws when a job fails', async () => {
+    const started = [];
+    await expect(collect(generateInParallel({
+      task: 'pattern',
+      amount: 2,
+      workers: 2,
+      options: { pattern: 1n },
+      createWorker: createInlineWorker(started)
+    }))).rejects.toThrow();
+    expect(started.every(handle => handle.terminated)).toBe(true);
+  });
+
+  test('throws for unknown tasks', async () => {
+    await expect(collect(generateInParallel({ task: 'sieve', createWorker: createInlineWorker() }))).rejects.toThrow();
+    expect(TASKS).toContain('puzzle');
+  });
+});
@@ -13,6 +13,7 @@ import {
   reflectOverDiagonal,
   reflectOverAntiDiagonal
 } from '../../src/util/arrays.js';
+import { createRng } from '../../src/util/random.js';
 
 const when = (msg, testFuncs) => {
   describe(`when ${msg}`, testFuncs);
@@ -67,6 +68,16 @@ describe('array utilities', () => {
         expect(arr).toEqual(expect.arrayContaining(originalArr));
       });
     });
+
+    when('given a seeded rng', () => {
+      test('shuffles the same way for the same seed', () => {
+        const a = shuffle(range(50), createRng(7));
+        const b = shuffle(range(50), createRng(7));
+        const c = shuffle(range(50), createRng(8));
+        expect(a).toEqual(b);
+        expect(a).not.toEqual(c);
+      });
+    });
   });
 
   describe('swap', () => {
@@ -0,0 +1,35 @@
+import { createRng } from '../../src/util/random.js';
+
+const take = (rng, n) => Array(n).fill(0).map(() => rng());
+
+describe('createRng', () => {
+  test('returns numbers from 0 (inclusive) to 1 (exclusive)', () => {
+    take(createRng(1), 10000).forEach(n => {
+      expect(n).toBeGreaterThanOrEqual(0);
+      expect(n).toBeLessThan(1);
+    });
+  });
+
+  test('produces the same sequence for the same seed', () => {
+    expect(take(createRng('day #123'), 100)).toEqual(take(createRng('day #123'), 100));
+  });
+
+  test('produces different sequences for different seeds', () => {
+    expect(take(createRng('day #123'), 100)).not.toEqual(take(createRng('day #124'), 100));
+    expect(take(createRng(0), 100)).not.toEqual(take(createRng(1), 100));
+  });
+
+  test('treats seeds as strings', () => {
+    expect(take(createRng(123), 10)).toEqual(take(createRng('123'), 10));
+    expect(take(createRng(123n), 10)).toEqual(take(createRng('123'), 10));
+  });
+
+  test('is roughly uniform', () => {
+    const buckets = Array(10).fill(0);
+    take(createRng('uniform'), 100000).forEach(n => { buckets[(n * 10) | 0]++; });
+    buckets.forEach(count => {
+      expect(count).toBeGreaterThan(9500);
+      expect(count).toBeLessThan(10500);
+    });
+  });
+});